@@ -18,44 +18,255 @@ const ALERT_CONFIG = {
   // Demo mode interval (set to 0 to disable)
   DEMO_INTERVAL: 12000,
   
-  // Alert type configurations
+  // Queue priority levels (higher plays first; mega alerts preempt lower ones on screen)
+  PRIORITY_LEVELS: {
+    low: 1,
+    normal: 2,
+    high: 3,
+    mega: 4
+  },
+  
+  // Maximum time an alert may wait in the queue before it is dropped (0 = never)
+  MAX_QUEUE_AGE: {
+    low: 60000,
+    normal: 300000,
+    high: 600000,
+    mega: 0
+  },
+  
+  // Repeats (gifted subs from one gifter, re-follows) within this window merge into one alert
+  COALESCE_WINDOW: 10000,
+  
+  // Number of shown alerts remembered for replayAlerts()
+  HISTORY_SIZE: 20,
+  
+  // Alert type configurations (volume is 0 - 1, multiplied by AUDIO_CONFIG.MASTER_VOLUME in audio.js)
+  // header, title, amount and detail are text templates (see formatTemplate in shared.js)
+  // Tokens: {name} {sender} {amount} {currency} {bits} {months} {tier} {count} {message}
   types: {
     follow: {
       icon: '👤',
       header: 'New Follower',
+      title: '{name}',
+      amount: '',
+      detail: '',
       color: 'var(--racing-blue)',
-      sound: null // Add sound file path if available
+      sound: null, // Add sound file path if available
+      volume: 1,
+      priority: 'low'
     },
     subscribe: {
       icon: '⭐',
       header: 'New Subscriber',
+      title: '{name}',
+      amount: '',
+      detail: '{months|plural::# months!}',
       color: 'var(--racing-yellow)',
-      sound: null
+      sound: null,
+      volume: 1,
+      priority: 'normal'
     },
     donation: {
       icon: '💵',
       header: 'Donation',
+      title: '{name}',
+      amount: '{amount|currency}',
+      detail: '',
       color: 'var(--racing-red)',
-      sound: null
+      sound: null,
+      volume: 1,
+      priority: 'high'
     },
     cheer: {
       icon: '💎',
       header: 'Bits Cheered',
+      title: '{name}',
+      amount: '{bits|number} bits',
+      detail: '',
       color: 'var(--neon-color)',
-      sound: null
+      sound: null,
+      volume: 1,
+      priority: 'normal'
     }
-  }
+  },
+  
+  // Alert variations, checked in order; the first rule that matches restyles the alert
+  // Conditions: type, min (field >= value), match (field === value)
+  // Overrides: header, title, amount, detail, icon, sound, volume, lifetime, theme, animation, priority, mega
+  variations: [
+    { type: 'donation', min: { amount: 100 }, header: 'Huge Donation', icon: '💰', theme: 'gold', animation: 'burst', lifetime: 12000, mega: true },
+    { type: 'donation', min: { amount: 50 }, mega: true },
+    { type: 'cheer', min: { bits: 10000 }, header: 'Bits Storm', theme: 'gold', animation: 'burst', lifetime: 12000, mega: true },
+    { type: 'cheer', min: { bits: 5000 }, mega: true },
+    { type: 'subscribe', match: { gifted: true }, min: { count: 5 }, header: 'Gift Bomb', icon: '🎁', amount: 'Gifted {count|number} subs!', theme: 'checkered', priority: 'high' },
+    { type: 'subscribe', match: { gifted: true }, min: { count: 2 }, amount: 'Gifted {count|number} subs!' },
+    { type: 'subscribe', match: { gifted: true }, detail: 'Gift from {sender}' },
+    { type: 'subscribe', match: { tier: '3000' }, header: 'Tier 3 Subscriber', icon: '🏆', detail: '{tier|tier}{months|plural:: · # months}', theme: 'gold', animation: 'drop' },
+    { type: 'subscribe', min: { months: 12 }, header: 'Veteran Subscriber', icon: '🏁', theme: 'checkered' }
+  ]
 };
 
 /* ============================================================
    STATE MANAGEMENT
    ============================================================ */
 
+// Queue and active lists hold alert entries:
+// { data, style, priority, key, createdAt, element, timer, speech, removing, restored }
 let alertQueue = [];
 let activeAlerts = [];
 let alertContainer = null;
 let demoInterval = null;
 
+// Control state (see CONTROL API)
+let alertHistory = [];
+let alertsPaused = false;
+let alertHoldPriority = 0;
+let alertsMuted = false;
+let muteTimer = null;
+let mutedUntil = 0;
+let saveAlertState = () => {};
+
+/* ============================================================
+   VARIATIONS
+   ============================================================ */
+
+/**
+ * Check whether an alert variation rule applies to an alert
+ * @param {Object} rule - Entry from ALERT_CONFIG.variations
+ * @param {Object} data - Alert data
+ * @returns {boolean}
+ */
+function matchesAlertVariation(rule, data) {
+  if (rule.type && rule.type !== data.type) {
+    return false;
+  }
+  
+  const min = rule.min || {};
+  const match = rule.match || {};
+  
+  return Object.keys(min).every(field => data[field] >= min[field]) &&
+    Object.keys(match).every(field => data[field] === match[field]);
+}
+
+/**
+ * Resolve how an alert looks and behaves: the type defaults, overridden by the first matching variation
+ * @param {Object} data - Alert data
+ * @returns {Object} { icon, header, title, amount, detail, sound, volume, lifetime, theme, animation, priority, mega }
+ */
+function resolveAlertStyle(data) {
+  const { icon, header, title, amount, detail, sound, volume, priority } = ALERT_CONFIG.types[data.type];
+  const rule = ALERT_CONFIG.variations.find(variation => matchesAlertVariation(variation, data)) || {};
+  const { type, min, match, ...overrides } = rule;
+  
+  const style = {
+    icon,
+    header,
+    title,
+    amount,
+    detail,
+    sound,
+    volume,
+    priority,
+    lifetime: ALERT_CONFIG.ALERT_LIFETIME,
+    theme: null,
+    animation: null,
+    ...overrides
+  };
+  
+  // Callers can still force a mega alert directly
+  style.mega = Boolean(data.mega || style.mega);
+  
+  return style;
+}
+
+/**
+ * Apply the mega flag, theme and animation of a style to an alert element
+ * @param {HTMLElement} element - Alert element
+ * @param {Object} style - Result of resolveAlertStyle()
+ */
+function applyAlertStyle(element, style) {
+  element.classList.toggle('mega', style.mega);
+  
+  ['theme', 'animation'].forEach(key => {
+    if (style[key]) {
+      element.setAttribute(`data-${key}`, style[key]);
+    } else {
+      element.removeAttribute(`data-${key}`);
+    }
+  });
+}
+
+/* ============================================================
+   PRIORITY & COALESCING
+   ============================================================ */
+
+/**
+ * Get the numeric queue priority for an alert
+ * @param {Object} style - Result of resolveAlertStyle()
+ * @returns {number}
+ */
+function getAlertPriority(style) {
+  const levels = ALERT_CONFIG.PRIORITY_LEVELS;
+  
+  if (style.mega) {
+    return levels.mega;
+  }
+  
+  return levels[style.priority] || levels.normal;
+}
+
+/**
+ * Get the key that identifies repeats of the same alert, or null if it never coalesces
+ * @param {Object} data - Alert data
+ * @returns {string|null}
+ */
+function getCoalesceKey(data) {
+  if (data.replay) {
+    return null;
+  }
+  if (data.type === 'subscribe' && data.gifted) {
+    return `gift:${data.sender || data.username}`;
+  }
+  if (data.type === 'follow') {
+    return `follow:${data.username}`;
+  }
+  return null;
+}
+
+/**
+ * Fold a new alert into a pending or recently shown alert with the same key
+ * Gifted subs add up their counts; repeated follows are dropped
+ * @param {Object} entry - New alert entry
+ * @returns {boolean} Whether the alert was absorbed
+ */
+function coalesceAlert(entry) {
+  if (!entry.key) return false;
+  
+  const now = Date.now();
+  const target = [...alertQueue, ...activeAlerts].find(existing =>
+    existing.key === entry.key &&
+    !existing.removing &&
+    now - existing.createdAt <= ALERT_CONFIG.COALESCE_WINDOW
+  );
+  
+  if (!target) return false;
+  
+  if (entry.data.gifted) {
+    target.data.count += entry.data.count;
+    target.data.username = target.data.sender || target.data.username;
+    target.style = resolveAlertStyle(target.data);
+    target.priority = Math.max(target.priority, getAlertPriority(target.style));
+    
+    // Already on screen: show the new total (and any new variation) in place
+    if (target.element) {
+      applyAlertStyle(target.element, target.style);
+      target.element.replaceChild(buildAlertContent(target.data, target.style), target.element.querySelector('.alert-content'));
+    }
+  }
+  
+  return true;
+}
+
 /* ============================================================
    ALERT CREATION & MANAGEMENT
    ============================================================ */
@@ -67,39 +278,103 @@ let demoInterval = null;
  * @param {string} alertData.username - Username of the user
  * @param {string} alertData.message - Optional custom message
  * @param {number} alertData.amount - Amount (for donations)
+ * @param {string} alertData.currency - Currency symbol (for donations)
  * @param {number} alertData.bits - Bits amount (for cheers)
  * @param {number} alertData.months - Subscription months
- * @param {boolean} alertData.mega - Whether this is a "mega" alert (high value)
- */
-function createAlert(alertData) {
-  const {
-    type = 'follow',
-    username = 'Anonymous',
-    message = '',
-    amount = 0,
-    bits = 0,
-    months = 1,
-    mega = false
-  } = alertData;
+ * @param {string} alertData.tier - Subscription tier ('1000', '2000', '3000', 'prime')
+ * @param {boolean} alertData.gifted - Whether the subscription was gifted
+ * @param {string} alertData.sender - Gifter username (gifted subs)
+ * @param {number} alertData.count - Number of subs gifted
+ * @param {boolean} alertData.mega - Force a "mega" alert (otherwise set by ALERT_CONFIG.variations)
+ * @param {boolean} alertData.replay - Replayed alert (never coalesced or added to the history)
+ * @param {Object} options - Internal, for alerts restored after a refresh (see restorePendingAlerts)
+ * @param {number} options.createdAt - When the alert first arrived, so MAX_QUEUE_AGE keeps counting
+ * @param {boolean} options.restored - Restored alert (not added to the history again)
+ */
+function createAlert(alertData, options = {}) {
+  const data = {
+    type: 'follow',
+    username: 'Anonymous',
+    message: '',
+    amount: 0,
+    currency: '$',
+    bits: 0,
+    months: 1,
+    tier: '',
+    gifted: false,
+    sender: '',
+    count: 1,
+    mega: false,
+    ...alertData
+  };
   
   // Validate type
-  if (!ALERT_CONFIG.types[type]) {
-    console.error(`Invalid alert type: ${type}`);
+  if (!ALERT_CONFIG.types[data.type]) {
+    console.error(`Invalid alert type: ${data.type}`);
     return;
   }
   
-  const config = ALERT_CONFIG.types[type];
+  const style = resolveAlertStyle(data);
   
-  // Create alert element
-  const alert = createElement('div', {
-    classes: ['alert', mega ? 'mega' : ''].filter(Boolean),
-    attrs: { 'data-type': type }
-  });
+  const entry = {
+    data,
+    style,
+    priority: getAlertPriority(style),
+    key: getCoalesceKey(data),
+    createdAt: options.createdAt || Date.now(),
+    element: null,
+    timer: null,
+    speech: null,
+    removing: false,
+    restored: Boolean(options.restored)
+  };
   
-  // Create accent stripe
-  const accentStripe = createElement('div', {
-    classes: 'alert-accent-stripe'
-  });
+  if (coalesceAlert(entry)) {
+    return;
+  }
+  
+  // Display immediately, or queue by priority (FIFO within the same priority)
+  if (canShowAlert(entry) && activeAlerts.length < ALERT_CONFIG.MAX_ALERTS) {
+    displayAlert(entry);
+  } else {
+    const index = alertQueue.findIndex(queued => queued.priority < entry.priority);
+    alertQueue.splice(index === -1 ? alertQueue.length : index, 0, entry);
+    
+    if (canShowAlert(entry) && entry.priority >= ALERT_CONFIG.PRIORITY_LEVELS.mega) {
+      preemptAlert();
+    }
+  }
+  
+  postAlertStatus();
+}
+
+/**
+ * Get the template tokens for an alert
+ * @param {Object} data - Alert data (see createAlert)
+ * @returns {Object}
+ */
+function getAlertTokens(data) {
+  return {
+    name: data.username,
+    sender: data.sender,
+    amount: data.amount,
+    currency: data.currency,
+    bits: data.bits,
+    months: data.months,
+    tier: data.tier,
+    count: data.count,
+    message: data.message
+  };
+}
+
+/**
+ * Build the inner content of an alert
+ * @param {Object} data - Alert data (see createAlert)
+ * @param {Object} style - Result of resolveAlertStyle()
+ * @returns {HTMLElement}
+ */
+function buildAlertContent(data, style) {
+  const tokens = getAlertTokens(data);
   
   // Create alert content wrapper
   const content = createElement('div', {
@@ -109,19 +384,19 @@ function createAlert(alertData) {
   // Create icon
   const icon = createElement('div', {
     classes: 'alert-icon',
-    text: config.icon
+    text: style.icon
   });
   
   // Create header
   const header = createElement('div', {
     classes: 'alert-header',
-    text: config.header
+    text: formatTemplate(style.header, tokens)
   });
   
   // Create main message (username)
   const mainMessage = createElement('div', {
     classes: 'alert-message',
-    text: username
+    text: formatTemplate(style.title, tokens)
   });
   
   // Build content
@@ -129,130 +404,452 @@ function createAlert(alertData) {
   content.appendChild(header);
   content.appendChild(mainMessage);
   
-  // Add type-specific content
-  if (type === 'subscribe' && months > 1) {
-    const subMessage = createElement('div', {
-      classes: 'alert-sub-message',
-      text: `${months} month${months > 1 ? 's' : ''}!`
-    });
-    content.appendChild(subMessage);
-  }
-  
-  if (type === 'donation' && amount > 0) {
-    const amountDisplay = createElement('div', {
+  // Add type-specific content (amount, bits, gift count, months...)
+  const amount = formatTemplate(style.amount, tokens);
+  if (amount) {
+    content.appendChild(createElement('div', {
       classes: 'alert-amount',
-      text: formatCurrency(amount)
-    });
-    content.appendChild(amountDisplay);
+      text: amount
+    }));
   }
   
-  if (type === 'cheer' && bits > 0) {
-    const bitsDisplay = createElement('div', {
-      classes: 'alert-amount',
-      text: `${formatNumber(bits)} bits`
-    });
-    content.appendChild(bitsDisplay);
+  const detail = formatTemplate(style.detail, tokens);
+  if (detail) {
+    content.appendChild(createElement('div', {
+      classes: 'alert-sub-message',
+      text: detail
+    }));
   }
   
-  if (message) {
+  // User-supplied text is set as textContent, so it is shown exactly as typed
+  if (data.message) {
     const customMessage = createElement('div', {
       classes: 'alert-sub-message',
-      text: escapeHtml(message)
+      text: data.message
     });
     content.appendChild(customMessage);
   }
   
-  // Assemble alert
-  alert.appendChild(accentStripe);
-  alert.appendChild(content);
-  
-  // Add alert to queue or display immediately
-  if (activeAlerts.length < ALERT_CONFIG.MAX_ALERTS) {
-    displayAlert(alert);
-  } else {
-    alertQueue.push(alert);
-  }
-  
-  // Play sound if configured
-  if (config.sound) {
-    playAlertSound(config.sound);
-  }
+  return content;
 }
 
 /**
  * Display an alert on screen
- * @param {HTMLElement} alert - Alert element
+ * @param {Object} entry - Alert entry
  */
-function displayAlert(alert) {
+function displayAlert(entry) {
   if (!alertContainer) {
     console.error('Alert container not found');
     return;
   }
   
+  const { data, style } = entry;
+  
+  // Create alert element
+  const alert = createElement('div', {
+    classes: 'alert',
+    attrs: { 'data-type': data.type }
+  });
+  applyAlertStyle(alert, style);
+  
+  // Create accent stripe
+  const accentStripe = createElement('div', {
+    classes: 'alert-accent-stripe'
+  });
+  
+  // Assemble alert
+  alert.appendChild(accentStripe);
+  alert.appendChild(buildAlertContent(data, style));
+  entry.element = alert;
+  
   // Add to active alerts
-  activeAlerts.push(alert);
+  activeAlerts.push(entry);
   
   // Append to container
   alertContainer.appendChild(alert);
   
-  // Schedule removal
-  setTimeout(() => {
-    removeAlert(alert);
-  }, ALERT_CONFIG.ALERT_LIFETIME);
+  // Remember it for replayAlerts()
+  if (!data.replay && !entry.restored) {
+    alertHistory.push(data);
+    if (alertHistory.length > ALERT_CONFIG.HISTORY_SIZE) {
+      alertHistory.shift();
+    }
+  }
+  
+  // Play sound if configured, now that the alert is actually on screen
+  if (!alertsMuted) {
+    playAlertSound(entry);
+  }
+  
+  // Read the message aloud if tts.js is loaded and the alert qualifies
+  const speechText = !alertsMuted && typeof getAlertSpeech === 'function' ? getAlertSpeech(data) : null;
+  let lifetimeElapsed = false;
+  
+  if (speechText) {
+    entry.speech = speakText(speechText);
+    entry.speech.done.then(() => {
+      entry.speech = null;
+      if (lifetimeElapsed) {
+        removeAlert(entry);
+      }
+    });
+  }
+  
+  // Schedule removal (held until speech finishes, is skipped or times out)
+  entry.timer = setTimeout(() => {
+    lifetimeElapsed = true;
+    if (!entry.speech) {
+      removeAlert(entry);
+    }
+  }, style.lifetime);
 }
 
 /**
  * Remove an alert from display
- * @param {HTMLElement} alert - Alert element to remove
+ * @param {Object} entry - Alert entry to remove
  */
-function removeAlert(alert) {
+function removeAlert(entry) {
+  if (entry.removing) return;
+  
+  entry.removing = true;
+  clearTimeout(entry.timer);
+  
+  if (entry.speech) {
+    entry.speech.cancel();
+  }
+  
   // Add exit animation
-  alert.classList.add('exiting');
+  entry.element.classList.add('exiting');
   
   // Wait for animation to complete
-  setTimeout(() => {
+  entry.timer = setTimeout(() => {
     // Remove from DOM
-    if (alert.parentNode) {
-      alert.parentNode.removeChild(alert);
+    if (entry.element.parentNode) {
+      entry.element.parentNode.removeChild(entry.element);
     }
     
     // Remove from active alerts
-    activeAlerts = activeAlerts.filter(a => a !== alert);
+    activeAlerts = activeAlerts.filter(a => a !== entry);
     
-    // Show next alert in queue
-    if (alertQueue.length > 0) {
-      const nextAlert = alertQueue.shift();
-      displayAlert(nextAlert);
-    }
+    showNextAlert();
+    postAlertStatus();
   }, 600); // Match animation duration
 }
 
+/**
+ * Whether an alert may go on screen now (not paused, and not below a flag hold)
+ * @param {Object} entry - Alert entry
+ * @returns {boolean}
+ */
+function canShowAlert(entry) {
+  return !alertsPaused && entry.priority >= alertHoldPriority;
+}
+
+/**
+ * Show queued alerts while there is room, dropping any that waited too long
+ * The queue is sorted by priority, so once the first alert is held the rest are too.
+ */
+function showNextAlert() {
+  while (alertQueue.length > 0 && canShowAlert(alertQueue[0]) && activeAlerts.length < ALERT_CONFIG.MAX_ALERTS) {
+    const nextAlert = alertQueue.shift();
+    const level = Object.keys(ALERT_CONFIG.PRIORITY_LEVELS).find(name => ALERT_CONFIG.PRIORITY_LEVELS[name] === nextAlert.priority);
+    const maxAge = ALERT_CONFIG.MAX_QUEUE_AGE[level];
+    
+    if (maxAge && Date.now() - nextAlert.createdAt > maxAge) {
+      console.log(`Dropping stale ${nextAlert.data.type} alert for ${nextAlert.data.username}`);
+      continue;
+    }
+    
+    displayAlert(nextAlert);
+  }
+}
+
+/**
+ * Make room for a queued mega alert by ending the lowest priority alert on screen early
+ */
+function preemptAlert() {
+  const candidates = activeAlerts.filter(entry =>
+    !entry.removing && entry.priority < ALERT_CONFIG.PRIORITY_LEVELS.mega
+  );
+  
+  // Nothing to preempt, or an alert is already on its way out
+  if (candidates.length === 0 || activeAlerts.some(entry => entry.removing)) {
+    return;
+  }
+  
+  // Lowest priority first, oldest first within a priority
+  const victim = candidates.reduce((lowest, entry) => entry.priority < lowest.priority ? entry : lowest);
+  removeAlert(victim);
+}
+
 /**
  * Clear all alerts
  */
 function clearAlerts() {
-  activeAlerts.forEach(alert => {
-    if (alert.parentNode) {
-      alert.parentNode.removeChild(alert);
+  activeAlerts.forEach(entry => {
+    clearTimeout(entry.timer);
+    if (entry.speech) {
+      entry.speech.cancel();
+    }
+    if (entry.element.parentNode) {
+      entry.element.parentNode.removeChild(entry.element);
     }
   });
   activeAlerts = [];
   alertQueue = [];
+  postAlertStatus();
 }
 
 /**
- * Play alert sound
- * @param {string} soundPath - Path to sound file
+ * Play the sound for an alert through the audio engine (audio.js)
+ * If the browser blocks autoplay, the alert gets a 'sound-blocked' class as a visual stand-in
+ * @param {Object} entry - Alert entry
  */
-function playAlertSound(soundPath) {
-  try {
-    const audio = new Audio(soundPath);
-    audio.volume = 0.5; // Adjust as needed
-    audio.play().catch(err => {
-      console.error('Error playing alert sound:', err);
-    });
-  } catch (err) {
-    console.error('Error creating audio:', err);
+function playAlertSound(entry) {
+  const { sound, volume, mega } = entry.style;
+  
+  if (!sound) return;
+  
+  if (typeof playSound !== 'function') {
+    console.error('Alert sounds require audio.js to be loaded');
+    return;
+  }
+  
+  playSound(sound, { volume, priority: mega }).then(status => {
+    if (status === 'blocked' && entry.element) {
+      entry.element.classList.add('sound-blocked');
+    }
+  });
+}
+
+/**
+ * Get every sound file used by alert types and variations
+ * @returns {string[]}
+ */
+function getAlertSounds() {
+  return [
+    ...Object.values(ALERT_CONFIG.types).map(config => config.sound),
+    ...ALERT_CONFIG.variations.map(rule => rule.sound)
+  ].filter(Boolean);
+}
+
+/* ============================================================
+   CONTROL API
+   ============================================================ */
+
+/**
+ * Skip the alert that has been on screen the longest
+ * @returns {boolean} Whether an alert was skipped
+ */
+function skipAlert() {
+  const current = activeAlerts.find(entry => !entry.removing);
+  
+  if (!current) {
+    return false;
+  }
+  
+  removeAlert(current);
+  return true;
+}
+
+/**
+ * Show the last alerts again, oldest first
+ * @param {number} count - Number of alerts to replay (default: 1)
+ * @returns {number} Number of alerts queued for replay
+ */
+function replayAlerts(count = 1) {
+  const replays = alertHistory.slice(-Math.max(1, count));
+  
+  replays.forEach(data => createAlert({ ...data, replay: true }));
+  return replays.length;
+}
+
+/**
+ * Hold queued alerts (e.g. during a caution or restart); alerts on screen finish normally
+ */
+function pauseAlerts() {
+  alertsPaused = true;
+  postAlertStatus();
+}
+
+/**
+ * Start showing queued alerts again
+ */
+function resumeAlerts() {
+  alertsPaused = false;
+  showNextAlert();
+  postAlertStatus();
+}
+
+/**
+ * Hold alerts below a priority in the queue (e.g. during a caution); higher priority alerts still show
+ * @param {string} level - Lowest priority level that still shows (a key of ALERT_CONFIG.PRIORITY_LEVELS)
+ */
+function holdAlerts(level = 'high') {
+  alertHoldPriority = ALERT_CONFIG.PRIORITY_LEVELS[level] || 0;
+  postAlertStatus();
+}
+
+/**
+ * Stop holding alerts by priority and show what was held
+ */
+function releaseAlerts() {
+  alertHoldPriority = 0;
+  showNextAlert();
+  postAlertStatus();
+}
+
+/**
+ * Silence alert sounds and text-to-speech
+ * @param {number} duration - How long to stay muted (milliseconds, 0 = until unmuteAlerts())
+ */
+function muteAlerts(duration = 0) {
+  clearTimeout(muteTimer);
+  muteTimer = null;
+  alertsMuted = true;
+  mutedUntil = duration > 0 ? Date.now() + duration : 0;
+  
+  if (duration > 0) {
+    muteTimer = setTimeout(unmuteAlerts, duration);
+  }
+  
+  // Stop anything currently being read
+  activeAlerts.forEach(entry => {
+    if (entry.speech) {
+      entry.speech.cancel();
+    }
+  });
+  
+  postAlertStatus();
+}
+
+/**
+ * Turn alert sounds and text-to-speech back on
+ */
+function unmuteAlerts() {
+  clearTimeout(muteTimer);
+  muteTimer = null;
+  alertsMuted = false;
+  mutedUntil = 0;
+  postAlertStatus();
+}
+
+/**
+ * Get the current state of the alert system
+ * @returns {Object} { paused, held, muted, mutedUntil, active, queued, history, demo }
+ */
+function getAlertStatus() {
+  const held = Object.keys(ALERT_CONFIG.PRIORITY_LEVELS)
+    .filter(level => ALERT_CONFIG.PRIORITY_LEVELS[level] < alertHoldPriority);
+  
+  return {
+    paused: alertsPaused,
+    held: held.length ? held.join(', ') : false,
+    muted: alertsMuted,
+    mutedUntil,
+    active: activeAlerts.filter(entry => !entry.removing).length,
+    queued: alertQueue.length,
+    history: alertHistory.map(({ type, username }) => ({ type, username })),
+    demo: Boolean(demoInterval)
+  };
+}
+
+/**
+ * Commands accepted from the dock (see control.js)
+ */
+const ALERT_COMMANDS = {
+  skip: skipAlert,
+  replay: replayAlerts,
+  pause: pauseAlerts,
+  resume: resumeAlerts,
+  hold: holdAlerts,
+  release: releaseAlerts,
+  mute: muteAlerts,
+  unmute: unmuteAlerts,
+  clear: clearAlerts,
+  test: (type = 'follow') => createAlert({
+    type,
+    username: 'TestUser',
+    message: 'This is a test alert',
+    amount: 50,
+    bits: 1000,
+    months: 6
+  }),
+  demo: (enabled) => (enabled ? startDemoMode() : stopDemoMode())
+};
+
+/**
+ * Report the current status to the dock (when control.js is loaded) and save the pending alerts
+ */
+function postAlertStatus() {
+  saveAlertState();
+  
+  if (typeof postControlStatus === 'function') {
+    postControlStatus('alerts');
+  }
+}
+
+/**
+ * Get the alerts that have not finished yet (on screen or queued), to show again after a refresh
+ * @returns {Object[]} { data, createdAt } for each alert
+ */
+function getPendingAlerts() {
+  return [...activeAlerts.filter(entry => !entry.removing), ...alertQueue]
+    .map(({ data, createdAt }) => ({ data, createdAt }));
+}
+
+/**
+ * Queue the alerts saved before the source was refreshed, except those that waited longer than MAX_QUEUE_AGE
+ * They keep their original arrival time, so the age limit is not reset by a refresh.
+ * @param {Object[]} pending - Saved getPendingAlerts() list
+ */
+function restorePendingAlerts(pending) {
+  pending.forEach(({ data, createdAt }) => {
+    const style = resolveAlertStyle(data);
+    const level = Object.keys(ALERT_CONFIG.PRIORITY_LEVELS).find(name => ALERT_CONFIG.PRIORITY_LEVELS[name] === getAlertPriority(style));
+    const maxAge = ALERT_CONFIG.MAX_QUEUE_AGE[level];
+    
+    if (!maxAge || Date.now() - createdAt <= maxAge) {
+      createAlert(data, { createdAt, restored: true });
+    }
+  });
+}
+
+/* ============================================================
+   EVENT BUS
+   ============================================================ */
+
+/**
+ * Build createAlert() data from a normalized bus event
+ * @param {Object} event - Normalized event (see normalizeEvent in shared.js)
+ * @returns {Object}
+ */
+function eventToAlertData(event) {
+  // Gift bombs credit the gifter; single gifts and regular subs credit the recipient
+  const username = event.gifted && event.count > 1 ? (event.sender || event.user) : event.user;
+  
+  return {
+    type: event.type,
+    username,
+    message: event.message,
+    amount: event.amount,
+    currency: getCurrencySymbol(event.currency),
+    bits: event.bits,
+    months: event.months,
+    tier: event.tier,
+    gifted: event.gifted,
+    sender: event.sender,
+    count: event.count
+  };
+}
+
+/**
+ * Show an alert for a bus event, if this widget has an alert style for its type
+ * @param {Object} event - Normalized event
+ */
+function handleAlertEvent(event) {
+  if (ALERT_CONFIG.types[event.type]) {
+    createAlert(eventToAlertData(event));
   }
 }
 
@@ -284,27 +881,25 @@ const DEMO_DATA = {
 function generateDemoAlert() {
   const types = ['follow', 'subscribe', 'donation', 'cheer'];
   const type = randomItem(types);
-  const username = randomItem(DEMO_DATA.usernames);
-  const message = Math.random() > 0.7 ? randomItem(DEMO_DATA.messages) : '';
   
-  const alertData = {
+  const event = {
     type,
-    username,
-    message
+    user: randomItem(DEMO_DATA.usernames),
+    message: Math.random() > 0.7 ? randomItem(DEMO_DATA.messages) : ''
   };
   
   // Add type-specific data
   if (type === 'subscribe') {
-    alertData.months = randomInt(1, 24);
+    event.months = randomInt(1, 24);
+    event.tier = randomItem(['1000', '1000', '1000', '2000', '3000']);
   } else if (type === 'donation') {
-    alertData.amount = randomInt(1, 100);
-    alertData.mega = alertData.amount >= 50;
+    event.amount = randomInt(1, 150);
   } else if (type === 'cheer') {
-    alertData.bits = randomInt(100, 10000);
-    alertData.mega = alertData.bits >= 5000;
+    event.bits = randomInt(100, 10000);
   }
   
-  createAlert(alertData);
+  // Render locally only; demo events are not published on the bus
+  handleAlertEvent(normalizeEvent(event));
 }
 
 /**
@@ -354,6 +949,21 @@ function initAlerts() {
     document.body.appendChild(alertContainer);
   }
   
+  // Show alerts that were still pending when the source was refreshed (storage.js)
+  if (typeof persistState === 'function') {
+    const pending = loadState('alerts') || [];
+    saveAlertState = persistState('alerts', getPendingAlerts);
+    restorePendingAlerts(pending);
+  }
+  
+  // Render alerts for events published by connectors or other widgets
+  bus.on('*', handleAlertEvent);
+  
+  // Decode alert sounds up front so they play without delay
+  if (typeof preloadSounds === 'function') {
+    preloadSounds(getAlertSounds());
+  }
+  
   logInit('Alerts System');
   
   // Start demo mode if configured
@@ -362,11 +972,35 @@ function initAlerts() {
     setTimeout(startDemoMode, 2000);
   }
   
+  // Accept commands from the dock (control panel)
+  if (typeof registerControlTarget === 'function') {
+    registerControlTarget('alerts', { commands: ALERT_COMMANDS, getStatus: getAlertStatus });
+  }
+  
+  // Hold non-essential alerts while a caution or red flag is out (flags.js)
+  if (typeof onFlagChange === 'function') {
+    onFlagChange((flag) => {
+      if (FLAG_CONFIG.HOLD_ALERTS.includes(flag)) {
+        holdAlerts(FLAG_CONFIG.ALERT_HOLD_PRIORITY);
+      } else {
+        releaseAlerts();
+      }
+    });
+  }
+  
   // Make createAlert available globally
   window.createAlert = createAlert;
   window.clearAlerts = clearAlerts;
   window.startDemoMode = startDemoMode;
   window.stopDemoMode = stopDemoMode;
+  window.skipAlert = skipAlert;
+  window.replayAlerts = replayAlerts;
+  window.pauseAlerts = pauseAlerts;
+  window.resumeAlerts = resumeAlerts;
+  window.holdAlerts = holdAlerts;
+  window.releaseAlerts = releaseAlerts;
+  window.muteAlerts = muteAlerts;
+  window.unmuteAlerts = unmuteAlerts;
 }
 
 // Auto-initialize when DOM is ready
@@ -381,6 +1015,17 @@ onReady(initAlerts);
 export {
   createAlert,
   clearAlerts,
+  skipAlert,
+  replayAlerts,
+  pauseAlerts,
+  resumeAlerts,
+  holdAlerts,
+  releaseAlerts,
+  muteAlerts,
+  unmuteAlerts,
+  getAlertStatus,
+  eventToAlertData,
+  handleAlertEvent,
   startDemoMode,
   stopDemoMode,
   initAlerts
@@ -0,0 +1,319 @@
+/*
+ * audio.js
+ * Web Audio engine for alert sounds
+ * Preloads sounds, plays them one at a time with master volume and ducking, and flags blocked autoplay
+ */
+
+/* ============================================================
+   CONFIGURATION
+   ============================================================ */
+
+const AUDIO_CONFIG = {
+  // Master volume for all alert sounds (0 - 1)
+  MASTER_VOLUME: 0.8,
+  
+  // Volume multiplier while ducked (TTS speaking, or a mega alert sound over a regular one)
+  DUCK_VOLUME: 0.25,
+  
+  // Fade time when ducking starts or ends (seconds)
+  DUCK_FADE: 0.2,
+  
+  // Queued sounds that have waited longer than this are skipped instead of playing late (milliseconds)
+  MAX_QUEUE_DELAY: 4000,
+  
+  // How long to wait for the browser to allow audio before treating autoplay as blocked (milliseconds)
+  RESUME_TIMEOUT: 300
+};
+
+/* ============================================================
+   STATE MANAGEMENT
+   ============================================================ */
+
+let audioContext = null;
+let audioNodes = null;
+let soundQueue = Promise.resolve();
+let prioritySoundsPlaying = 0;
+const soundBuffers = {};
+const duckReasons = new Set();
+
+/* ============================================================
+   AUDIO GRAPH
+   ============================================================ */
+
+/**
+ * Get the shared AudioContext, building the gain graph on first use:
+ * queue (regular sounds) -> master, priority (mega sounds) -> master -> speakers
+ * @returns {Object|null} { context, master, queue, priority }, or null without Web Audio support
+ */
+function getAudioGraph() {
+  if (audioNodes) {
+    return audioNodes;
+  }
+  
+  const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+  if (!AudioContextClass) {
+    return null;
+  }
+  
+  audioContext = new AudioContextClass();
+  audioNodes = {
+    context: audioContext,
+    master: audioContext.createGain(),
+    queue: audioContext.createGain(),
+    priority: audioContext.createGain()
+  };
+  
+  audioNodes.master.gain.value = AUDIO_CONFIG.MASTER_VOLUME;
+  audioNodes.queue.connect(audioNodes.master);
+  audioNodes.priority.connect(audioNodes.master);
+  audioNodes.master.connect(audioContext.destination);
+  
+  return audioNodes;
+}
+
+/**
+ * Set the master volume
+ * @param {number} volume - 0 - 1
+ */
+function setMasterVolume(volume) {
+  AUDIO_CONFIG.MASTER_VOLUME = Math.min(1, Math.max(0, volume));
+  
+  if (audioNodes) {
+    audioNodes.master.gain.setValueAtTime(AUDIO_CONFIG.MASTER_VOLUME, audioContext.currentTime);
+  }
+}
+
+/**
+ * Turn a ducking reason on or off. 'tts' ducks every alert sound; 'mega' ducks regular sounds only.
+ * @param {string} reason - e.g. 'tts' or 'mega'
+ * @param {boolean} active - Whether the reason applies
+ */
+function setAudioDuck(reason, active) {
+  if (active) {
+    duckReasons.add(reason);
+  } else {
+    duckReasons.delete(reason);
+  }
+  
+  if (!audioNodes) return;
+  
+  const now = audioContext.currentTime;
+  const ramp = (node, ducked) => {
+    node.gain.cancelScheduledValues(now);
+    node.gain.setValueAtTime(node.gain.value, now);
+    node.gain.linearRampToValueAtTime(ducked ? AUDIO_CONFIG.DUCK_VOLUME : 1, now + AUDIO_CONFIG.DUCK_FADE);
+  };
+  
+  ramp(audioNodes.queue, duckReasons.size > 0);
+  ramp(audioNodes.priority, duckReasons.has('tts'));
+}
+
+/**
+ * Make sure the AudioContext is running
+ * @returns {Promise<boolean>} false if the browser is blocking autoplay
+ */
+function ensureAudioRunning() {
+  if (audioContext.state === 'running') {
+    return Promise.resolve(true);
+  }
+  
+  // resume() never settles while autoplay is blocked, so give it a deadline
+  return Promise.race([
+    audioContext.resume().catch(() => {}),
+    new Promise(resolve => setTimeout(resolve, AUDIO_CONFIG.RESUME_TIMEOUT))
+  ]).then(() => {
+    const running = audioContext.state === 'running';
+    setAudioBlocked(!running);
+    return running;
+  });
+}
+
+/**
+ * Show or hide the "sound blocked" indicator. While blocked, the next click or key press unlocks audio.
+ * @param {boolean} blocked - Whether autoplay is blocked
+ */
+function setAudioBlocked(blocked) {
+  const wasBlocked = document.body.classList.contains('audio-blocked');
+  document.body.classList.toggle('audio-blocked', blocked);
+  
+  if (!blocked || wasBlocked) return;
+  
+  console.warn('Audio: autoplay blocked, click the page (OBS: Interact) to enable sound');
+  
+  const unlock = () => {
+    document.removeEventListener('pointerdown', unlock);
+    document.removeEventListener('keydown', unlock);
+    if (audioContext) {
+      audioContext.resume().then(() => setAudioBlocked(false));
+    } else {
+      setAudioBlocked(false);
+    }
+  };
+  
+  document.addEventListener('pointerdown', unlock);
+  document.addEventListener('keydown', unlock);
+}
+
+/* ============================================================
+   SOUND LOADING
+   ============================================================ */
+
+/**
+ * Fetch and decode a sound. Results are cached, so calling this again is cheap.
+ * @param {string} url - Sound file URL
+ * @returns {Promise<AudioBuffer|null>} null if the sound could not be loaded
+ */
+function loadSound(url) {
+  const graph = getAudioGraph();
+  
+  if (!graph || typeof fetch !== 'function') {
+    return Promise.resolve(null);
+  }
+  
+  if (!soundBuffers[url]) {
+    soundBuffers[url] = fetch(url)
+      .then(response => response.arrayBuffer())
+      .then(data => new Promise((resolve, reject) => graph.context.decodeAudioData(data, resolve, reject)))
+      .catch(err => {
+        // file:// pages often cannot fetch; playSound falls back to an <audio> element
+        console.warn(`Audio: could not preload ${url}`, err);
+        return null;
+      });
+  }
+  
+  return soundBuffers[url];
+}
+
+/**
+ * Preload a list of sounds
+ * @param {string[]} urls - Sound file URLs (empty values are ignored)
+ * @returns {Promise}
+ */
+function preloadSounds(urls) {
+  return Promise.all([...new Set(urls.filter(Boolean))].map(loadSound));
+}
+
+/* ============================================================
+   PLAYBACK
+   ============================================================ */
+
+/**
+ * Play a sound now
+ * @param {string} url - Sound file URL
+ * @param {Object} options - { volume, priority }
+ * @returns {Promise<string>} Resolves when the sound ends: 'played', 'blocked' or 'error'
+ */
+function playSoundNow(url, options) {
+  const graph = getAudioGraph();
+  const volume = options.volume === undefined ? 1 : options.volume;
+  
+  if (!graph) {
+    return playSoundElement(url, volume);
+  }
+  
+  return ensureAudioRunning().then(running => {
+    if (!running) {
+      return 'blocked';
+    }
+    
+    return loadSound(url).then(buffer => {
+      if (!buffer) {
+        return playSoundElement(url, volume * (duckReasons.size > 0 ? AUDIO_CONFIG.DUCK_VOLUME : 1));
+      }
+      
+      return new Promise(resolve => {
+        const source = graph.context.createBufferSource();
+        const gain = graph.context.createGain();
+        
+        source.buffer = buffer;
+        gain.gain.value = volume;
+        source.connect(gain);
+        gain.connect(options.priority ? graph.priority : graph.queue);
+        
+        if (options.priority) {
+          prioritySoundsPlaying++;
+          setAudioDuck('mega', true);
+        }
+        
+        source.onended = () => {
+          if (options.priority) {
+            prioritySoundsPlaying--;
+            setAudioDuck('mega', prioritySoundsPlaying > 0);
+          }
+          resolve('played');
+        };
+        source.start();
+      });
+    });
+  });
+}
+
+/**
+ * Play a sound through a plain <audio> element (no Web Audio, or the file could not be fetched)
+ * @param {string} url - Sound file URL
+ * @param {number} volume - 0 - 1, before master volume
+ * @returns {Promise<string>} 'played', 'blocked' or 'error'
+ */
+function playSoundElement(url, volume) {
+  return new Promise(resolve => {
+    const audio = new Audio(url);
+    audio.volume = Math.min(1, volume * AUDIO_CONFIG.MASTER_VOLUME);
+    audio.onended = () => resolve('played');
+    audio.onerror = () => resolve('error');
+    
+    audio.play().catch(err => {
+      if (err.name === 'NotAllowedError') {
+        setAudioBlocked(true);
+        resolve('blocked');
+      } else {
+        console.error('Error playing alert sound:', err);
+        resolve('error');
+      }
+    });
+  });
+}
+
+/**
+ * Play a sound. Regular sounds wait for each other so they never stack;
+ * priority sounds play immediately and duck anything already playing.
+ * @param {string} url - Sound file URL
+ * @param {Object} options - Playback options
+ * @param {number} options.volume - Volume for this sound, 0 - 1 (multiplied by the master volume)
+ * @param {boolean} options.priority - Skip the queue (mega alerts)
+ * @returns {Promise<string>} Resolves when the sound ends: 'played', 'skipped', 'blocked' or 'error'
+ */
+function playSound(url, options = {}) {
+  if (options.priority) {
+    return playSoundNow(url, options);
+  }
+  
+  const queuedAt = Date.now();
+  
+  const played = soundQueue.then(() => {
+    if (Date.now() - queuedAt > AUDIO_CONFIG.MAX_QUEUE_DELAY) {
+      return 'skipped';
+    }
+    return playSoundNow(url, options);
+  });
+  
+  soundQueue = played;
+  return played;
+}
+
+/* ============================================================
+   EXPORTS (for ES6 modules)
+   ============================================================ */
+
+// If using ES6 modules, uncomment below:
+/*
+export {
+  setMasterVolume,
+  setAudioDuck,
+  loadSound,
+  preloadSounds,
+  playSound
+};
+*/
+
+console.log('%c[NASCAR 25 Stream Overlay] audio.js loaded', 
+  'color: #FDB813; font-weight: bold; font-size: 12px;');
@@ -0,0 +1,260 @@
+/*
+ * badges.js
+ * Chat badge images from badge JSON manifests (Twitch global and channel badge sets, or custom badges)
+ * Badges without an image are shown as text pills
+ */
+
+/* ============================================================
+   CONFIGURATION
+   ============================================================ */
+
+const BADGE_CONFIG = {
+  // Badge manifests, loaded in order: later manifests win for the same badge version.
+  // Or ?badges=URL,URL in the page URL. Accepts the Twitch API responses of /helix/chat/badges/global and
+  // /helix/chat/badges?broadcaster_id=... saved as files, or a plain list (see parseBadgeManifest).
+  MANIFESTS: [],
+  
+  // Custom badges, used before the manifests: 'set/version' or 'set' (any version) -> image URL
+  custom: {},
+  
+  // Image size: 1, 2 or 4
+  SCALE: 2,
+  
+  // Badges shown per message (0 = all), in this order (sets not listed come last, in the order Twitch sent them)
+  MAX_BADGES: 3,
+  ORDER: [
+    'broadcaster',
+    'moderator',
+    'vip',
+    'founder',
+    'subscriber',
+    'sub-gifter',
+    'sub-gift-leader',
+    'bits',
+    'bits-leader',
+    'premium',
+    'turbo'
+  ]
+};
+
+/* ============================================================
+   STATE MANAGEMENT
+   ============================================================ */
+
+// Badge set -> Map of version -> { url, title }
+const badgeSets = new Map();
+
+/* ============================================================
+   MANIFESTS
+   ============================================================ */
+
+/**
+ * Split a badge into its set and version
+ * @param {string} badge - 'set/version' or 'set'
+ * @returns {Object} { set, version } (version '' when there is none)
+ */
+function parseBadge(badge) {
+  const [set, version = ''] = String(badge).split('/');
+  return { set, version };
+}
+
+/**
+ * Read a badge manifest into badge entries
+ * Accepted formats:
+ *   Twitch API:    { data: [{ set_id, versions: [{ id, image_url_1x, image_url_2x, image_url_4x, title }] }] }
+ *   Legacy Twitch: { badge_sets: { subscriber: { versions: { '0': { image_url_1x, ... } } } } }
+ *   Plain list:    { badges: { 'subscriber/12': 'url', 'founder': { url, title } } }
+ * @param {Object} json - Manifest
+ * @returns {Object[]} [{ set, version, url, title }] (version '' matches any version)
+ */
+function parseBadgeManifest(json) {
+  const entries = [];
+  const imageUrl = (version) => version[`image_url_${BADGE_CONFIG.SCALE}x`] || version.image_url_1x;
+  
+  if (Array.isArray(json.data)) {
+    json.data.forEach(set => {
+      (set.versions || []).forEach(version => {
+        entries.push({ set: set.set_id, version: version.id, url: imageUrl(version), title: version.title || '' });
+      });
+    });
+  } else if (json.badge_sets) {
+    Object.entries(json.badge_sets).forEach(([set, { versions = {} }]) => {
+      Object.entries(versions).forEach(([id, version]) => {
+        entries.push({ set, version: id, url: imageUrl(version), title: version.title || '' });
+      });
+    });
+  } else if (json.badges) {
+    Object.entries(json.badges).forEach(([badge, value]) => {
+      const image = typeof value === 'string' ? { url: value } : value;
+      entries.push({ ...parseBadge(badge), url: image.url, title: image.title || '' });
+    });
+  }
+  
+  return entries.filter(entry => entry.set && entry.url);
+}
+
+/**
+ * Add badge entries to the badge sets
+ * @param {Object[]} entries - Result of parseBadgeManifest()
+ */
+function addBadgeEntries(entries) {
+  entries.forEach(({ set, version, url, title }) => {
+    if (!badgeSets.has(set)) {
+      badgeSets.set(set, new Map());
+    }
+    badgeSets.get(set).set(version, { url, title });
+  });
+}
+
+/**
+ * Load badge manifests
+ * Manifests are added in the order given; one that fails to load is skipped.
+ * @param {string[]} urls - Manifest URLs
+ * @returns {Promise<number>} Number of badge sets available
+ */
+function loadBadgeManifests(urls) {
+  return Promise.all(urls.map(url => fetch(url)
+    .then(response => {
+      if (!response.ok) {
+        throw new Error(`${response.status}`);
+      }
+      return response.json();
+    })
+    .catch(err => {
+      console.warn(`Badges: could not load ${url} (${err.message})`);
+      return null;
+    })
+  )).then(manifests => {
+    manifests.filter(Boolean).forEach(json => addBadgeEntries(parseBadgeManifest(json)));
+    console.log(`Badges: ${badgeSets.size} badge sets loaded`);
+    return badgeSets.size;
+  });
+}
+
+/* ============================================================
+   RESOLUTION
+   ============================================================ */
+
+/**
+ * Find the image for a badge
+ * Falls back to the closest lower version (of the same sub tier for subscriber and founder badges, e.g.
+ * 'subscriber/2014' shows the 'subscriber/2012' image when there is no 14-month tier 2 badge, and the tier 1
+ * badge when the channel has no tier 2 badges), then to a version-less entry for the set.
+ * @param {string} badge - 'set/version' or 'set'
+ * @returns {Object|null} { url, title }, or null to show a text pill
+ */
+function resolveBadge(badge) {
+  const { set, version } = parseBadge(badge);
+  const custom = BADGE_CONFIG.custom[badge] || BADGE_CONFIG.custom[set];
+  if (custom) {
+    return { url: custom, title: '' };
+  }
+  
+  const versions = badgeSets.get(set);
+  if (!versions) {
+    return null;
+  }
+  
+  if (versions.has(version)) {
+    return versions.get(version);
+  }
+  
+  const number = Number(version);
+  if (version && !Number.isNaN(number)) {
+    const tiered = set === 'subscriber' || set === 'founder';
+    const tier = (value) => (tiered && value >= 1000 ? Math.floor(value / 1000) : 0);
+    const numbers = [...versions.keys()].filter(key => key !== '').map(Number).filter(value => !Number.isNaN(value));
+    const closest = (target) => numbers
+      .filter(value => value <= target && tier(value) === tier(target))
+      .sort((a, b) => b - a)[0];
+    
+    // Same tier first, then the tier 1 badge for the same months
+    const match = closest(number) !== undefined ? closest(number) : (tiered ? closest(number % 1000) : undefined);
+    if (match !== undefined) {
+      return versions.get(String(match));
+    }
+  }
+  
+  return versions.get('') || null;
+}
+
+/**
+ * Pick the badges to show for a message, in BADGE_CONFIG.ORDER and at most MAX_BADGES
+ * @param {string[]} badges - 'set/version' or 'set' badges as sent
+ * @returns {string[]}
+ */
+function getDisplayBadges(badges = []) {
+  const rank = (badge) => {
+    const index = BADGE_CONFIG.ORDER.indexOf(parseBadge(badge).set);
+    return index === -1 ? BADGE_CONFIG.ORDER.length : index;
+  };
+  
+  return badges
+    .map((badge, index) => ({ badge, index }))
+    .sort((a, b) => rank(a.badge) - rank(b.badge) || a.index - b.index)
+    .map(({ badge }) => badge)
+    .slice(0, BADGE_CONFIG.MAX_BADGES > 0 ? BADGE_CONFIG.MAX_BADGES : undefined);
+}
+
+/**
+ * Create the element for a badge: its image, or a text pill when there is none
+ * @param {string} badge - 'set/version' or 'set'
+ * @returns {HTMLElement}
+ */
+function createBadgeElement(badge) {
+  const { set } = parseBadge(badge);
+  const image = resolveBadge(badge);
+  
+  if (!image) {
+    return createElement('span', { classes: ['badge', set], text: set.replace(/-/g, ' ').toUpperCase() });
+  }
+  
+  return createElement('img', {
+    classes: ['badge-image', set],
+    attrs: { src: image.url, alt: image.title || set }
+  });
+}
+
+/* ============================================================
+   INITIALIZATION
+   ============================================================ */
+
+/**
+ * Initialize badges
+ * URL parameters: ?badges=URL,URL loads those manifests instead of BADGE_CONFIG.MANIFESTS
+ */
+function initBadges() {
+  const params = new URLSearchParams(window.location.search);
+  const manifests = params.get('badges') ? params.get('badges').split(',').filter(Boolean) : BADGE_CONFIG.MANIFESTS;
+  
+  if (manifests.length > 0) {
+    loadBadgeManifests(manifests);
+  }
+  
+  logInit('Badges');
+  
+  // Make functions available globally
+  window.loadBadgeManifests = loadBadgeManifests;
+  window.resolveBadge = resolveBadge;
+}
+
+// Auto-initialize when DOM is ready
+onReady(initBadges);
+
+/* ============================================================
+   EXPORTS (for ES6 modules)
+   ============================================================ */
+
+// If using ES6 modules, uncomment below:
+/*
+export {
+  parseBadgeManifest,
+  loadBadgeManifests,
+  resolveBadge,
+  getDisplayBadges,
+  createBadgeElement
+};
+*/
+
+console.log('%c[NASCAR 25 Stream Overlay] badges.js loaded', 
+  'color: #9146FF; font-weight: bold; font-size: 12px;');
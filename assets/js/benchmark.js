@@ -0,0 +1,191 @@
+/*
+ * benchmark.js
+ * Chat rendering benchmark: floods the chat box with demo lines and measures frame times and rendering cost
+ * Runs in any browser, or headless (see README): chat-box.html?benchmark=100&duration=10&fresh
+ */
+
+/* ============================================================
+   CONFIGURATION
+   ============================================================ */
+
+const BENCHMARK_CONFIG = {
+  // Lines per second (?benchmark=) and how long to send them (?duration=, seconds)
+  RATE: 100,
+  DURATION: 10,
+  
+  // How often lines are sent (milliseconds); lines due in between are sent together, like a busy IRC socket
+  TICK: 10,
+  
+  // Frames taking longer than this count as long frames (milliseconds)
+  LONG_FRAME: 50,
+  
+  // Console prefix of the result line (grep for it in headless runs)
+  LOG_PREFIX: '[Chat benchmark]'
+};
+
+/* ============================================================
+   BENCHMARK
+   ============================================================ */
+
+/**
+ * Round to two decimals
+ * @param {number} value
+ * @returns {number}
+ */
+function roundBenchmarkValue(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Flood the chat with demo lines and measure how the page keeps up
+ * @param {Object} options - { rate, duration } (defaults from BENCHMARK_CONFIG)
+ * @returns {Promise<Object>} Result: lines sent and rendered, frame times, rendering time, elements created
+ *   and reused, and lines dropped by the rate limit (times in milliseconds)
+ */
+function runChatBenchmark(options = {}) {
+  const rate = options.rate || BENCHMARK_CONFIG.RATE;
+  const duration = (options.duration || BENCHMARK_CONFIG.DURATION) * 1000;
+  
+  // Start from an empty chat with no demo lines in between
+  CHAT_CONFIG.DEMO_INTERVAL = 0;
+  stopDemoMode();
+  clearChat();
+  
+  const before = getChatRenderStats();
+  const frameTimes = [];
+  let sent = 0;
+  let sendTime = 0;
+  let running = true;
+  
+  return new Promise(resolve => {
+    let lastFrame = null;
+    const measureFrame = (time) => {
+      if (lastFrame !== null) {
+        frameTimes.push(time - lastFrame);
+      }
+      lastFrame = time;
+      
+      if (running) {
+        requestAnimationFrame(measureFrame);
+      }
+    };
+    requestAnimationFrame(measureFrame);
+    
+    const started = performance.now();
+    const sender = setInterval(() => {
+      const elapsed = Math.min(performance.now() - started, duration);
+      const due = Math.floor(elapsed / 1000 * rate) - sent;
+      
+      const sendStarted = performance.now();
+      for (let i = 0; i < due; i++) {
+        generateDemoMessage();
+      }
+      sendTime += performance.now() - sendStarted;
+      sent += due;
+      
+      if (elapsed < duration) return;
+      
+      clearInterval(sender);
+      
+      // One more frame so the last lines are rendered
+      requestAnimationFrame(() => requestAnimationFrame(() => {
+        running = false;
+        
+        const after = getChatRenderStats();
+        const frames = frameTimes.length;
+        const totalFrameTime = frameTimes.reduce((total, time) => total + time, 0);
+        const lines = after.lines - before.lines;
+        const renderTime = after.renderTime - before.renderTime;
+        
+        resolve({
+          rate,
+          duration: duration / 1000,
+          batch: CHAT_CONFIG.BATCH_RENDERING,
+          pool: CHAT_CONFIG.NODE_POOL_SIZE,
+          cap: CHAT_CONFIG.MAX_LINES_PER_SECOND,
+          sent,
+          rendered: lines,
+          dropped: after.dropped - before.dropped,
+          frames,
+          fps: roundBenchmarkValue(frames / (totalFrameTime / 1000 || 1)),
+          averageFrame: roundBenchmarkValue(totalFrameTime / (frames || 1)),
+          maxFrame: roundBenchmarkValue(Math.max(0, ...frameTimes)),
+          longFrames: frameTimes.filter(time => time > BENCHMARK_CONFIG.LONG_FRAME).length,
+          sendTime: roundBenchmarkValue(sendTime),
+          renderTime: roundBenchmarkValue(renderTime),
+          renderPerLine: roundBenchmarkValue(renderTime / (lines || 1)),
+          maxRender: roundBenchmarkValue(after.maxRenderTime),
+          created: after.created - before.created,
+          recycled: after.recycled - before.recycled,
+          elements: document.getElementsByTagName('*').length
+        });
+      }));
+    }, BENCHMARK_CONFIG.TICK);
+  });
+}
+
+/**
+ * Show a benchmark result: console line, window.chatBenchmarkResult and a <pre> on the page
+ * (for headless --dump-dom runs), and the page title changes to 'Chat benchmark done'.
+ * @param {Object} result - Result of runChatBenchmark()
+ */
+function reportChatBenchmark(result) {
+  const json = JSON.stringify(result);
+  
+  console.log(`${BENCHMARK_CONFIG.LOG_PREFIX} ${json}`);
+  window.chatBenchmarkResult = result;
+  
+  document.body.appendChild(createElement('pre', {
+    attrs: { id: 'chat-benchmark-result' },
+    text: json
+  }));
+  document.title = 'Chat benchmark done';
+}
+
+/* ============================================================
+   INITIALIZATION
+   ============================================================ */
+
+/**
+ * Initialize the benchmark
+ * URL parameters: ?benchmark=RATE runs it (lines per second, empty = BENCHMARK_CONFIG.RATE),
+ * &duration=SECONDS, and &batch=0 / &pool=0 / &cap=0 turn off batching, element reuse or the rate limit to compare
+ */
+function initBenchmark() {
+  const params = new URLSearchParams(window.location.search);
+  
+  window.runChatBenchmark = runChatBenchmark;
+  
+  if (!params.has('benchmark') || typeof addChatLine !== 'function') return;
+  
+  if (params.get('batch') === '0') {
+    CHAT_CONFIG.BATCH_RENDERING = false;
+  }
+  if (params.get('pool') === '0') {
+    CHAT_CONFIG.NODE_POOL_SIZE = 0;
+  }
+  
+  const rate = Number(params.get('benchmark')) || BENCHMARK_CONFIG.RATE;
+  const duration = Number(params.get('duration')) || BENCHMARK_CONFIG.DURATION;
+  
+  console.log(`${BENCHMARK_CONFIG.LOG_PREFIX} ${rate} lines/s for ${duration}s...`);
+  runChatBenchmark({ rate, duration }).then(reportChatBenchmark);
+}
+
+// Auto-initialize when DOM is ready
+onReady(initBenchmark);
+
+/* ============================================================
+   EXPORTS (for ES6 modules)
+   ============================================================ */
+
+// If using ES6 modules, uncomment below:
+/*
+export {
+  runChatBenchmark,
+  reportChatBenchmark
+};
+*/
+
+console.log('%c[NASCAR 25 Stream Overlay] benchmark.js loaded', 
+  'color: #FDB813; font-weight: bold; font-size: 12px;');
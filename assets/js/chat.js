@@ -12,19 +12,51 @@ const CHAT_CONFIG = {
   // Maximum messages to keep in DOM (older messages get removed)
   MAX_MESSAGES: 50,
   
+  // Messages brought back after a browser source refresh (requires storage.js)
+  RESTORE_MESSAGES: 20,
+  
+  // Layout (or ?mode= in the page URL): 'list' (scrolling list), 'horizontal' (single line for a bottom bar)
+  // or 'bubble' (chat bubbles stacking upward), and how many messages each keeps (default: MAX_MESSAGES)
+  MODE: 'list',
+  modes: {
+    list: {},
+    horizontal: { maxMessages: 15 },
+    bubble: { maxMessages: 8 }
+  },
+  
+  // Fade messages out this many seconds after they were sent (or ?fade=; 0 = keep them)
+  FADE_AFTER: 0,
+  
+  // Length of the exit animation when a message fades or is pushed out (milliseconds)
+  EXIT_DURATION: 400,
+  
+  // Lines arriving before the next animation frame are added to the page together (false = one by one), and
+  // the elements of removed lines are kept for reuse (up to NODE_POOL_SIZE spare, 0 = always create new ones)
+  BATCH_RENDERING: true,
+  NODE_POOL_SIZE: 20,
+  
+  // Lines kept in memory, newest last; only the current mode's message limit is on the page, and switching to
+  // a mode that shows more lines fills it from here
+  HISTORY_SIZE: 200,
+  
+  // Most chat lines shown per second (or ?cap= in the page URL; 0 = no limit). System, highlighted and cheer
+  // messages are always shown; the others are counted in a "+N more" indicator, hidden again after
+  // OVERFLOW_HOLD milliseconds without dropped lines
+  MAX_LINES_PER_SECOND: 15,
+  OVERFLOW_HOLD: 3000,
+  
   // Auto-scroll behavior
   AUTO_SCROLL: true,
   
   // Demo mode interval (set to 0 to disable)
   DEMO_INTERVAL: 5000,
   
-  // Badge colors
-  badges: {
-    broadcaster: { bg: 'var(--neon-color)', color: 'var(--bg-dark)' },
-    moderator: { bg: 'var(--racing-blue)', color: 'var(--text-color)' },
-    subscriber: { bg: 'var(--racing-yellow)', color: 'var(--bg-dark)' },
-    vip: { bg: 'var(--racing-red)', color: 'var(--text-color)' }
-  }
+  // Twitch IRC-over-WebSocket endpoint
+  IRC_URL: 'wss://irc-ws.chat.twitch.tv:443',
+  
+  // Reconnect backoff (milliseconds)
+  RECONNECT_DELAY: 2000,
+  MAX_RECONNECT_DELAY: 30000
 };
 
 /* ============================================================
@@ -35,6 +67,32 @@ let chatMessages = [];
 let chatContainer = null;
 let demoInterval = null;
 let isAutoScrollEnabled = CHAT_CONFIG.AUTO_SCROLL;
+let chatMode = CHAT_CONFIG.MODE;
+let chatLineCount = 0;
+let saveChatState = () => {};
+
+// Line data (history, and lines waiting for the next frame) kept apart from the elements on the page
+let chatHistory = [];
+let pendingChatLines = [];
+let chatLinePool = [];
+let chatFlushFrame = null;
+
+// Rate limit: when recent lines were shown, and lines dropped since the indicator was last hidden
+let chatRateWindow = [];
+let chatOverflowCount = 0;
+let chatOverflowTimer = null;
+let chatOverflowElement = null;
+
+// Rendering counters, read by the benchmark (benchmark.js)
+const chatRenderStats = {
+  lines: 0,
+  frames: 0,
+  renderTime: 0,
+  maxRenderTime: 0,
+  created: 0,
+  recycled: 0,
+  dropped: 0
+};
 
 /* ============================================================
    CHAT MESSAGE MANAGEMENT
@@ -42,139 +100,442 @@ let isAutoScrollEnabled = CHAT_CONFIG.AUTO_SCROLL;
 
 /**
  * Add a chat message to the display
+ * Lines go through the chat filters first when moderation.js is loaded (hidden bots and commands are dropped).
+ * Every display mode shows the same lines; with FADE_AFTER set, lines older than that are not added.
+ * Lines beyond MAX_LINES_PER_SECOND are dropped and counted in the "+N more" indicator. The rest are put on
+ * the page with the next animation frame (see flushChatLines).
  * @param {Object} messageData - Message configuration
+ * @param {string} messageData.id - Message id (default: a local id), used to delete the line
+ * @param {string} messageData.userId - Sender's user id, used to remove their lines
+ * @param {string} messageData.login - Sender's login name
  * @param {string} messageData.username - Username of sender
  * @param {string} messageData.message - Message content
- * @param {string[]} messageData.badges - Array of badge types
+ * @param {string[]} messageData.badges - Badges as 'set/version' or 'set' (e.g. 'subscriber/12', 'vip')
+ * @param {Object[]} messageData.emotes - Twitch emote positions (see parseEmotes in irc.js)
  * @param {boolean} messageData.highlighted - Whether message is highlighted
  * @param {boolean} messageData.system - Whether this is a system message
  * @param {boolean} messageData.cheer - Whether this is a cheer message
  * @param {number} messageData.bits - Bits amount (if cheer)
  * @param {string} messageData.color - Username color (hex)
+ * @param {number} messageData.time - When the message was sent, in milliseconds (default: now)
  */
 function addChatLine(messageData) {
-  const {
-    username = 'Anonymous',
-    message = '',
-    badges = [],
-    highlighted = false,
-    system = false,
-    cheer = false,
-    bits = 0,
-    color = null
-  } = messageData;
+  if (typeof filterChatLine === 'function') {
+    messageData = filterChatLine(messageData);
+    if (!messageData) return;
+  }
   
   if (!chatContainer) {
     console.error('Chat container not found');
     return;
   }
   
-  // Create message element
-  const messageClasses = ['chat-message'];
-  if (highlighted) messageClasses.push('highlighted');
-  if (system) messageClasses.push('system');
-  if (cheer) messageClasses.push('cheer');
+  const line = {
+    ...messageData,
+    id: messageData.id || `local-${Date.now()}-${++chatLineCount}`,
+    time: messageData.time || Date.now()
+  };
   
-  const messageElement = createElement('div', {
-    classes: messageClasses
-  });
+  if (isChatLineFaded(line)) return;
   
-  // Create message header
-  const messageHeader = createElement('div', {
-    classes: 'message-header'
-  });
+  if (!takeChatRateSlot(line)) {
+    chatOverflowCount++;
+    chatRenderStats.dropped++;
+    clearTimeout(chatOverflowTimer);
+    chatOverflowTimer = setTimeout(() => {
+      chatOverflowCount = 0;
+      renderChatOverflow();
+    }, CHAT_CONFIG.OVERFLOW_HOLD);
+    scheduleChatFlush();
+    return;
+  }
   
-  // Create username section with badges
-  const usernameSection = createElement('div', {
-    classes: 'message-username-section'
+  queueChatLine(line);
+}
+
+/**
+ * Add a system message (follow, sub, etc.)
+ * @param {string} message - System message text
+ */
+function addSystemMessage(message) {
+  addChatLine({
+    username: 'System',
+    message: message,
+    badges: [],
+    system: true
   });
+}
+
+/**
+ * Work out how long a line stays before it fades
+ * @param {Object} line - Line data
+ * @returns {number} Milliseconds left (Infinity when FADE_AFTER is off)
+ */
+function getChatFadeDelay(line) {
+  if (CHAT_CONFIG.FADE_AFTER <= 0) {
+    return Infinity;
+  }
   
-  // Add badges
-  if (badges.length > 0) {
-    const badgesContainer = createElement('div', {
-      classes: 'message-badges'
-    });
-    
-    badges.forEach(badgeType => {
-      const badge = createElement('span', {
-        classes: ['badge', badgeType],
-        text: badgeType.toUpperCase()
-      });
-      badgesContainer.appendChild(badge);
-    });
-    
-    usernameSection.appendChild(badgesContainer);
+  return CHAT_CONFIG.FADE_AFTER * 1000 - (Date.now() - line.time);
+}
+
+/**
+ * Check whether a line is older than FADE_AFTER
+ * @param {Object} line - Line data
+ * @returns {boolean}
+ */
+function isChatLineFaded(line) {
+  return getChatFadeDelay(line) <= 0;
+}
+
+/**
+ * Count a line against MAX_LINES_PER_SECOND
+ * System, highlighted and cheer messages always get through (and still count).
+ * @param {Object} line - Line data
+ * @returns {boolean} Whether the line is shown
+ */
+function takeChatRateSlot(line) {
+  const now = Date.now();
+  const limit = CHAT_CONFIG.MAX_LINES_PER_SECOND;
+  if (limit <= 0) return true;
+  
+  chatRateWindow = chatRateWindow.filter(time => now - time < 1000);
+  if (chatRateWindow.length >= limit && !line.system && !line.highlighted && !line.cheer) {
+    return false;
+  }
+  
+  chatRateWindow.push(now);
+  return true;
+}
+
+/**
+ * Show or hide the "+N more" indicator for lines dropped by the rate limit
+ */
+function renderChatOverflow() {
+  if (!chatOverflowElement) return;
+  
+  chatOverflowElement.textContent = chatOverflowCount > 0 ? `+${formatNumber(chatOverflowCount)} more` : '';
+  chatOverflowElement.classList.toggle('visible', chatOverflowCount > 0);
+}
+
+/**
+ * Get how many lines the current mode keeps on the page
+ * @returns {number}
+ */
+function getChatLineLimit() {
+  return CHAT_CONFIG.modes[chatMode].maxMessages || CHAT_CONFIG.MAX_MESSAGES;
+}
+
+/**
+ * Add a line to the history and render it with the next frame
+ * Lines restored after a refresh come in here directly, past the filters and the rate limit.
+ * @param {Object} line - Line data with its id and time
+ */
+function queueChatLine(line) {
+  chatHistory.push(line);
+  
+  const historySize = Math.max(CHAT_CONFIG.HISTORY_SIZE, getChatLineLimit());
+  if (chatHistory.length > historySize) {
+    chatHistory.splice(0, chatHistory.length - historySize);
   }
   
-  // Add username
-  const usernameElement = createElement('span', {
-    classes: 'message-username',
-    text: username
+  pendingChatLines.push(line);
+  scheduleChatFlush();
+}
+
+/**
+ * Render the waiting lines with the next animation frame (or now, without BATCH_RENDERING)
+ */
+function scheduleChatFlush() {
+  if (!CHAT_CONFIG.BATCH_RENDERING) {
+    flushChatLines();
+  } else if (chatFlushFrame === null) {
+    chatFlushFrame = requestAnimationFrame(flushChatLines);
+  }
+}
+
+/**
+ * Put the waiting lines on the page in one go
+ * Only the newest lines that fit the current mode are built, so a burst (or a hidden page where animation
+ * frames are paused) costs no more than one screen of lines. The page is then trimmed, saved and scrolled once.
+ */
+function flushChatLines() {
+  cancelAnimationFrame(chatFlushFrame);
+  chatFlushFrame = null;
+  renderChatOverflow();
+  
+  if (!chatContainer || pendingChatLines.length === 0) return;
+  
+  const started = performance.now();
+  const lines = pendingChatLines.slice(-getChatLineLimit()).filter(line => !isChatLineFaded(line));
+  const fragment = document.createDocumentFragment();
+  pendingChatLines = [];
+  
+  lines.forEach(line => {
+    const element = renderChatLine(line);
+    fragment.appendChild(element);
+    chatMessages.push(element);
+    
+    // Fade out after FADE_AFTER seconds
+    if (CHAT_CONFIG.FADE_AFTER > 0) {
+      element.fadeTimer = setTimeout(() => retireChatLine(element), getChatFadeDelay(line));
+    }
   });
   
-  // Apply custom color if provided
-  if (color) {
-    usernameElement.style.color = color;
+  chatContainer.appendChild(fragment);
+  
+  // Limit message count
+  trimChatLines();
+  
+  saveChatState();
+  
+  // Auto-scroll to bottom if enabled
+  if (isAutoScrollEnabled) {
+    scrollToBottom();
   }
   
-  usernameSection.appendChild(usernameElement);
+  const renderTime = performance.now() - started;
+  chatRenderStats.lines += lines.length;
+  chatRenderStats.frames++;
+  chatRenderStats.renderTime += renderTime;
+  chatRenderStats.maxRenderTime = Math.max(chatRenderStats.maxRenderTime, renderTime);
+}
+
+/**
+ * Create an empty chat line element
+ * The parts filled in for each line are kept on the element (chatParts) for reuse.
+ * @returns {HTMLElement}
+ */
+function createChatLineElement() {
+  const element = createElement('div', { classes: 'chat-message' });
+  const messageHeader = createElement('div', { classes: 'message-header' });
+  const usernameSection = createElement('div', { classes: 'message-username-section' });
+  const parts = {
+    badges: createElement('div', { classes: 'message-badges' }),
+    username: createElement('span', { classes: 'message-username' }),
+    timestamp: createElement('span', { classes: 'message-timestamp' }),
+    content: createElement('div', { classes: 'message-content' })
+  };
+  
+  usernameSection.appendChild(parts.badges);
+  usernameSection.appendChild(parts.username);
   messageHeader.appendChild(usernameSection);
+  messageHeader.appendChild(parts.timestamp);
+  element.appendChild(messageHeader);
+  element.appendChild(parts.content);
+  element.chatParts = parts;
   
-  // Add timestamp
-  const timestamp = createElement('span', {
-    classes: 'message-timestamp',
-    text: formatTimestamp(new Date(), false)
-  });
-  messageHeader.appendChild(timestamp);
+  chatRenderStats.created++;
+  return element;
+}
+
+/**
+ * Fill a chat line element (a spare one when there is one) with a line
+ * @param {Object} line - Line data
+ * @returns {HTMLElement}
+ */
+function renderChatLine(line) {
+  const {
+    id,
+    userId = null,
+    login = null,
+    username = 'Anonymous',
+    message = '',
+    badges = [],
+    emotes = [],
+    highlighted = false,
+    system = false,
+    cheer = false,
+    bits = 0,
+    color = null,
+    time
+  } = line;
+  
+  const recycled = chatLinePool.pop();
+  const element = recycled || createChatLineElement();
+  const parts = element.chatParts;
+  if (recycled) {
+    chatRenderStats.recycled++;
+  }
+  
+  element.className = 'chat-message';
+  if (highlighted) element.classList.add('highlighted');
+  if (system) element.classList.add('system');
+  if (cheer) element.classList.add('cheer');
   
-  // Create message content
-  const contentElement = createElement('div', {
-    classes: 'message-content'
+  element.chatData = line;
+  element.dataset.id = id;
+  ['userId', 'login'].forEach(key => delete element.dataset[key]);
+  if (userId) element.dataset.userId = userId;
+  if (login) element.dataset.login = login;
+  
+  // Badges (images, ordering and limit from badges.js when it is loaded)
+  const shownBadges = typeof getDisplayBadges === 'function' ? getDisplayBadges(badges) : badges;
+  parts.badges.textContent = '';
+  shownBadges.forEach(badgeType => {
+    const badge = typeof createBadgeElement === 'function' ? createBadgeElement(badgeType) : createElement('span', {
+      classes: ['badge', badgeType.split('/')[0]],
+      text: badgeType.split('/')[0].toUpperCase()
+    });
+    parts.badges.appendChild(badge);
   });
   
-  // Process message (escape HTML and handle emotes)
+  parts.username.textContent = username;
+  parts.username.style.color = color || '';
+  parts.timestamp.textContent = formatTimestamp(new Date(time), false);
+  
+  // Process message (escape HTML and turn emotes into images, see emotes.js)
   let processedMessage = escapeHtml(message);
+  parts.content.className = 'message-content';
+  if (typeof renderEmotes === 'function') {
+    const rendered = renderEmotes(message, emotes);
+    processedMessage = rendered.html;
+    
+    // Emote-only messages are shown larger
+    if (rendered.emoteOnly && !cheer) {
+      parts.content.classList.add('emote-only');
+    }
+  }
   
   // Add bits amount if cheer
   if (cheer && bits > 0) {
     processedMessage = `Cheered ${formatNumber(bits)} bits: ${processedMessage}`;
   }
   
-  contentElement.innerHTML = processedMessage;
+  parts.content.innerHTML = processedMessage;
   
-  // Assemble message
-  messageElement.appendChild(messageHeader);
-  messageElement.appendChild(contentElement);
+  return element;
+}
+
+/**
+ * Take a line element off the page and keep it for reuse (up to NODE_POOL_SIZE)
+ * @param {HTMLElement} element - Chat line
+ */
+function releaseChatLine(element) {
+  clearTimeout(element.fadeTimer);
+  element.remove();
+  element.chatData = null;
   
-  // Add to container
-  chatContainer.appendChild(messageElement);
-  chatMessages.push(messageElement);
+  if (chatLinePool.length < CHAT_CONFIG.NODE_POOL_SIZE) {
+    chatLinePool.push(element);
+  }
+}
+
+/**
+ * Play a line's exit animation, then remove it
+ * @param {HTMLElement} element - Chat line
+ */
+function retireChatLine(element) {
+  if (!chatMessages.includes(element)) return;
   
-  // Limit message count
-  if (chatMessages.length > CHAT_CONFIG.MAX_MESSAGES) {
-    const oldMessage = chatMessages.shift();
-    if (oldMessage.parentNode) {
-      oldMessage.parentNode.removeChild(oldMessage);
-    }
+  chatMessages = chatMessages.filter(line => line !== element);
+  clearTimeout(element.fadeTimer);
+  element.classList.add('leaving');
+  setTimeout(() => releaseChatLine(element), CHAT_CONFIG.EXIT_DURATION);
+  
+  saveChatState();
+}
+
+/**
+ * Retire the oldest lines beyond the current mode's message limit
+ */
+function trimChatLines() {
+  chatMessages.slice(0, Math.max(0, chatMessages.length - getChatLineLimit())).forEach(retireChatLine);
+}
+
+/**
+ * Redraw the page from the history (after the message limit changed)
+ */
+function renderChatHistory() {
+  chatMessages.forEach(releaseChatLine);
+  chatMessages = [];
+  pendingChatLines = chatHistory.slice(-getChatLineLimit());
+  flushChatLines();
+}
+
+/**
+ * Switch the chat layout
+ * @param {string} mode - 'list', 'horizontal' or 'bubble'
+ * @returns {boolean} Whether the mode exists
+ */
+function setChatMode(mode) {
+  if (!CHAT_CONFIG.modes[mode]) {
+    console.error(`Chat: unknown display mode "${mode}"`);
+    return false;
   }
   
-  // Auto-scroll to bottom if enabled
+  const widget = document.getElementById('chat-widget');
+  if (widget) {
+    widget.classList.remove(...Object.keys(CHAT_CONFIG.modes).map(name => `chat-mode-${name}`));
+    widget.classList.add(`chat-mode-${mode}`);
+  }
+  
+  chatMode = mode;
+  renderChatHistory();
+  
   if (isAutoScrollEnabled) {
     scrollToBottom();
   }
+  
+  if (typeof postControlStatus === 'function') {
+    postControlStatus('chat');
+  }
+  
+  return true;
 }
 
 /**
- * Add a system message (follow, sub, etc.)
- * @param {string} message - System message text
+ * Take chat lines off the display and out of the history
+ * @param {Function} match - Called with each line's data; lines it returns true for are removed
+ * @returns {number} Number of lines removed
  */
-function addSystemMessage(message) {
-  addChatLine({
-    username: 'System',
-    message: message,
-    badges: [],
-    system: true
-  });
+function removeChatLines(match) {
+  const removed = chatHistory.filter(match);
+  const elements = chatMessages.filter(element => match(element.chatData));
+  if (removed.length === 0 && elements.length === 0) return 0;
+  
+  chatHistory = chatHistory.filter(line => !removed.includes(line));
+  pendingChatLines = pendingChatLines.filter(line => !removed.includes(line));
+  elements.forEach(releaseChatLine);
+  chatMessages = chatMessages.filter(element => !elements.includes(element));
+  saveChatState();
+  
+  return Math.max(removed.length, elements.length);
+}
+
+/**
+ * Remove a deleted message (CLEARMSG)
+ * @param {string} id - Message id
+ * @returns {number} Number of lines removed
+ */
+function removeChatLine(id) {
+  return id ? removeChatLines(line => line.id === id) : 0;
+}
+
+/**
+ * Remove every line from a user who was timed out or banned (CLEARCHAT)
+ * @param {string} user - User id or login name
+ * @returns {number} Number of lines removed
+ */
+function removeUserChatLines(user) {
+  if (!user) return 0;
+  
+  const login = String(user).toLowerCase();
+  return removeChatLines(line => line.userId === user || (line.login || '').toLowerCase() === login);
+}
+
+/**
+ * Apply a moderation action from chat (see ircMessageToModeration in irc.js)
+ * @param {Object} action - { id } deletes a message, { userId, login } removes a user's lines, {} clears the chat
+ */
+function applyChatModeration(action) {
+  if (action.id !== undefined) {
+    removeChatLine(action.id);
+  } else if (action.userId || action.login) {
+    removeUserChatLines(action.userId || action.login);
+  } else {
+    clearChat();
+  }
 }
 
 /**
@@ -190,10 +551,23 @@ function scrollToBottom() {
  * Clear all chat messages
  */
 function clearChat() {
+  chatMessages.forEach(releaseChatLine);
   if (chatContainer) {
     chatContainer.innerHTML = '';
   }
   chatMessages = [];
+  chatHistory = [];
+  pendingChatLines = [];
+  saveChatState();
+}
+
+/**
+ * Get the rendering counters
+ * @returns {Object} { lines, frames, renderTime, maxRenderTime, created, recycled, dropped, pooled, history }
+ *   (times in milliseconds, counted since the page loaded)
+ */
+function getChatRenderStats() {
+  return { ...chatRenderStats, pooled: chatLinePool.length, history: chatHistory.length };
 }
 
 /**
@@ -204,6 +578,53 @@ function setAutoScroll(enabled) {
   isAutoScrollEnabled = enabled;
 }
 
+/* ============================================================
+   EVENT BUS
+   ============================================================ */
+
+/**
+ * Describe a normalized bus event as a chat system message
+ * @param {Object} event - Normalized event (see normalizeEvent in shared.js)
+ * @returns {string|null} Message text, or null if the event is not shown in chat
+ */
+function describeChatEvent(event) {
+  const { type, user, amount, currency, bits, months, gifted, sender, count, viewers } = event;
+  
+  switch (type) {
+    case 'follow':
+      return `${user} just followed!`;
+    case 'subscribe':
+      if (gifted && count > 1) {
+        return `${sender || user} gifted ${count} subs!`;
+      }
+      if (gifted && sender) {
+        return `${sender} gifted a sub to ${user}!`;
+      }
+      return `${user} subscribed${months > 1 ? ` for ${months} months` : ''}!`;
+    case 'donation':
+      return `${user} donated ${formatCurrency(amount, getCurrencySymbol(currency))}!`;
+    case 'cheer':
+      return `${user} cheered ${formatNumber(bits)} bits!`;
+    case 'raid':
+      return `${user} raided with ${formatNumber(viewers)} viewers!`;
+    case 'host':
+      return `${user} hosted with ${formatNumber(viewers)} viewers!`;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Show a system message for a bus event
+ * @param {Object} event - Normalized event
+ */
+function handleChatEvent(event) {
+  const text = describeChatEvent(event);
+  if (text) {
+    addSystemMessage(text);
+  }
+}
+
 /* ============================================================
    DEMO MODE (For Testing)
    ============================================================ */
@@ -348,8 +769,173 @@ function setChatStatus(connected) {
       statusElement.classList.remove('connected');
     }
   }
+  
+  // Let the dock show the connection state
+  if (typeof postControlStatus === 'function') {
+    postControlStatus('chat');
+  }
 }
 
+/* ============================================================
+   TWITCH CHAT CONNECTION
+   ============================================================ */
+
+/**
+ * Connect anonymously (justinfan login) to a Twitch channel's chat over WebSocket
+ * Requires irc.js for line parsing
+ * @param {Object} config - Configuration object
+ * @param {string} config.channel - Channel name to join
+ * @param {string} config.url - Optional WebSocket URL override (e.g. a local IRC mock)
+ * @param {Function} config.onMessage - Optional handler for mapped chat lines (default: addChatLine)
+ * @param {Function} config.onModeration - Optional handler for deleted messages, timeouts, bans and clears
+ *   (default: applyChatModeration)
+ * @returns {Object} Connection handle with a close() method
+ */
+function connectChat(config = {}) {
+  const url = config.url || CHAT_CONFIG.IRC_URL;
+  const onMessage = config.onMessage || addChatLine;
+  const onModeration = config.onModeration || applyChatModeration;
+  const channel = (config.channel || '').toLowerCase().replace(/^#/, '');
+  const nick = `justinfan${randomInt(10000, 99999)}`;
+  
+  let socket = null;
+  let reconnectTimer = null;
+  let reconnectDelay = CHAT_CONFIG.RECONNECT_DELAY;
+  let closed = false;
+  
+  if (!channel) {
+    console.error('connectChat: a channel name is required');
+  }
+  
+  const handleLine = (line) => {
+    const message = parseIrcMessage(line);
+    if (!message) return;
+    
+    switch (message.command) {
+      case 'PING':
+        socket.send(`PONG :${message.trailing || 'tmi.twitch.tv'}`);
+        break;
+      
+      case 'JOIN':
+        if (message.nick === nick) {
+          console.log(`Chat: joined #${channel}`);
+          reconnectDelay = CHAT_CONFIG.RECONNECT_DELAY;
+          setChatStatus(true);
+        }
+        break;
+      
+      case 'ROOMSTATE':
+        // The channel's user id, needed for its BetterTTV, FFZ and 7TV emotes (emotes.js)
+        if (typeof loadChannelEmotes === 'function') {
+          loadChannelEmotes(message.tags['room-id']);
+        }
+        break;
+      
+      case 'RECONNECT':
+        // Twitch is restarting the server; drop the socket and let onclose reconnect
+        socket.close();
+        break;
+      
+      case 'CLEARMSG':
+      case 'CLEARCHAT': {
+        // Deleted messages, timeouts and bans, and /clear
+        const action = ircMessageToModeration(message);
+        if (action) {
+          onModeration(action);
+        }
+        break;
+      }
+      
+      case 'PRIVMSG':
+      case 'USERNOTICE': {
+        const messageData = ircMessageToChatLine(message);
+        if (messageData) {
+          onMessage(messageData);
+        }
+        break;
+      }
+    }
+  };
+  
+  function open() {
+    socket = new WebSocket(url);
+    
+    socket.onopen = () => {
+      socket.send('CAP REQ :twitch.tv/tags twitch.tv/commands');
+      socket.send('PASS SCHMOOPIIE');
+      socket.send(`NICK ${nick}`);
+      socket.send(`JOIN #${channel}`);
+    };
+    
+    socket.onmessage = (event) => {
+      event.data.split('\r\n').forEach(line => {
+        try {
+          handleLine(line);
+        } catch (err) {
+          console.error('Chat: failed to handle line', line, err);
+        }
+      });
+    };
+    
+    socket.onerror = (error) => {
+      console.error('Chat: socket error', error);
+    };
+    
+    socket.onclose = () => {
+      setChatStatus(false);
+      if (closed) return;
+      
+      console.log(`Chat: disconnected, reconnecting in ${reconnectDelay / 1000}s`);
+      reconnectTimer = setTimeout(open, reconnectDelay);
+      reconnectDelay = Math.min(reconnectDelay * 2, CHAT_CONFIG.MAX_RECONNECT_DELAY);
+    };
+  }
+  
+  open();
+  
+  return {
+    close() {
+      closed = true;
+      clearTimeout(reconnectTimer);
+      if (socket) {
+        socket.close();
+      }
+    }
+  };
+}
+
+/* ============================================================
+   REMOTE CONTROL
+   ============================================================ */
+
+/**
+ * Get the current chat state for the dock
+ * @returns {Object} { connected, mode, fade, messages, autoScroll, demo }
+ */
+function getChatStatus() {
+  const statusElement = document.querySelector('.chat-status');
+  
+  return {
+    connected: Boolean(statusElement) && statusElement.classList.contains('connected'),
+    mode: chatMode,
+    fade: CHAT_CONFIG.FADE_AFTER > 0 ? `${CHAT_CONFIG.FADE_AFTER}s` : 'off',
+    messages: chatMessages.length,
+    autoScroll: isAutoScrollEnabled,
+    demo: Boolean(demoInterval)
+  };
+}
+
+/**
+ * Commands accepted from the dock (see control.js)
+ */
+const CHAT_COMMANDS = {
+  clear: clearChat,
+  mode: setChatMode,
+  autoscroll: setAutoScroll,
+  system: addSystemMessage,
+  demo: (enabled) => (enabled ? startDemoMode() : stopDemoMode())
+};
+
 /* ============================================================
    INITIALIZATION
    ============================================================ */
@@ -366,9 +952,46 @@ function initChat() {
     return;
   }
   
+  // "+N more" indicator for lines over the rate limit
+  chatOverflowElement = document.querySelector('.chat-overflow');
+  
+  // Display mode, fading and rate limit (?mode=horizontal&fade=30&cap=10)
+  const params = new URLSearchParams(window.location.search);
+  CHAT_CONFIG.FADE_AFTER = Number(params.get('fade')) || CHAT_CONFIG.FADE_AFTER;
+  if (params.has('cap')) {
+    CHAT_CONFIG.MAX_LINES_PER_SECOND = Number(params.get('cap')) || 0;
+  }
+  chatContainer.style.setProperty('--chat-exit-duration', `${CHAT_CONFIG.EXIT_DURATION}ms`);
+  if (!setChatMode(params.get('mode') || CHAT_CONFIG.MODE)) {
+    setChatMode('list');
+  }
+  
   // Set initial status
   setChatStatus(false);
   
+  // Bring back the last messages from before the source was refreshed (storage.js)
+  if (typeof persistState === 'function') {
+    (loadState('chat') || []).filter(line => !isChatLineFaded(line)).forEach(queueChatLine);
+    saveChatState = persistState('chat', () => chatHistory.slice(-CHAT_CONFIG.RESTORE_MESSAGES));
+  }
+  
+  // Announce events published by connectors or other widgets
+  bus.on('*', handleChatEvent);
+  
+  // Accept commands from the dock (control panel)
+  if (typeof registerControlTarget === 'function') {
+    registerControlTarget('chat', { commands: CHAT_COMMANDS, getStatus: getChatStatus });
+  }
+  
+  // Post race flag changes as system messages (flags.js)
+  if (typeof onFlagChange === 'function') {
+    onFlagChange((flag, previous, { synced }) => {
+      if (flag && !synced && FLAG_CONFIG.CHAT_ANNOUNCE) {
+        addSystemMessage(describeFlag(flag));
+      }
+    });
+  }
+  
   logInit('Chat System');
   
   // Start demo mode if configured
@@ -381,8 +1004,13 @@ function initChat() {
   window.addChatLine = addChatLine;
   window.addSystemMessage = addSystemMessage;
   window.clearChat = clearChat;
+  window.setChatMode = setChatMode;
+  window.removeChatLine = removeChatLine;
+  window.removeUserChatLines = removeUserChatLines;
+  window.getChatRenderStats = getChatRenderStats;
   window.setAutoScroll = setAutoScroll;
   window.setChatStatus = setChatStatus;
+  window.connectChat = connectChat;
   window.startChatDemo = startDemoMode;
   window.stopChatDemo = stopDemoMode;
 }
@@ -400,8 +1028,15 @@ export {
   addChatLine,
   addSystemMessage,
   clearChat,
+  setChatMode,
+  removeChatLine,
+  removeUserChatLines,
+  applyChatModeration,
+  getChatRenderStats,
   setAutoScroll,
   setChatStatus,
+  connectChat,
+  describeChatEvent,
   startDemoMode,
   stopDemoMode,
   initChat
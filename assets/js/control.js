@@ -0,0 +1,125 @@
+/*
+ * control.js
+ * Remote control channel between widget pages and the dock (control panel)
+ * Widgets register the commands they accept and report their live status
+ */
+
+/* ============================================================
+   CONFIGURATION
+   ============================================================ */
+
+const CONTROL_CONFIG = {
+  // Channel shared by the dock and every widget (see createRelayTransport in relay.js)
+  CHANNEL_NAME: 'nascar25-overlay-control'
+};
+
+/* ============================================================
+   STATE MANAGEMENT
+   ============================================================ */
+
+let controlTransport = null;
+const controlTargets = {};
+
+/* ============================================================
+   CONTROL CHANNEL
+   ============================================================ */
+
+/**
+ * Open the control channel for this page (once) and route incoming messages
+ * @returns {Object|null} Transport, or null if relay.js is not loaded
+ */
+function getControlTransport() {
+  if (controlTransport) {
+    return controlTransport;
+  }
+  
+  if (typeof createRelayTransport !== 'function') {
+    console.error('The control channel requires relay.js to be loaded');
+    return null;
+  }
+  
+  controlTransport = createRelayTransport(CONTROL_CONFIG.CHANNEL_NAME);
+  controlTransport.listen((message) => {
+    if (!message) return;
+    
+    if (message.kind === 'ping') {
+      // The dock asks every widget to report in
+      Object.keys(controlTargets).forEach(postControlStatus);
+    } else if (message.kind === 'command' && controlTargets[message.target]) {
+      runControlCommand(message.target, message.command, ...(message.args || []));
+    }
+  });
+  
+  return controlTransport;
+}
+
+/**
+ * Register this page as a control target
+ * Commands arrive as { kind: 'command', target, command, args }, status leaves as { kind: 'status', source, status }
+ * @param {string} target - Target name used by the dock (e.g. 'alerts', 'ticker')
+ * @param {Object} options - Target options
+ * @param {Object} options.commands - Command name -> function(...args)
+ * @param {Function} options.getStatus - Returns a plain object describing the widget's live state
+ */
+function registerControlTarget(target, options) {
+  controlTargets[target] = options;
+  
+  if (getControlTransport()) {
+    postControlStatus(target);
+  }
+}
+
+/**
+ * Run a registered command and report the new status
+ * A command that throws is logged, and the status is still reported so the dock shows the real state.
+ * @param {string} target - Target name
+ * @param {string} command - Command name
+ * @param {...*} args - Command arguments
+ * @returns {*} The command's return value (undefined if it threw)
+ */
+function runControlCommand(target, command, ...args) {
+  const registered = controlTargets[target];
+  
+  if (!registered || !registered.commands[command]) {
+    console.error(`Unknown ${target} command: ${command}`);
+    return undefined;
+  }
+  
+  let result;
+  try {
+    result = registered.commands[command](...args);
+  } catch (err) {
+    console.error(`Control: ${target} command ${command} failed`, err);
+  }
+  
+  postControlStatus(target);
+  return result;
+}
+
+/**
+ * Broadcast a target's current status to the dock
+ * @param {string} target - Target name
+ */
+function postControlStatus(target) {
+  const registered = controlTargets[target];
+  
+  if (!controlTransport || !registered) return;
+  
+  controlTransport.post({ kind: 'status', source: target, status: registered.getStatus() });
+}
+
+/* ============================================================
+   EXPORTS (for ES6 modules)
+   ============================================================ */
+
+// If using ES6 modules, uncomment below:
+/*
+export {
+  registerControlTarget,
+  runControlCommand,
+  postControlStatus
+};
+*/
+
+console.log('%c[NASCAR 25 Stream Overlay] control.js loaded', 
+  'color: #FDB813; font-weight: bold; font-size: 12px;');
@@ -0,0 +1,248 @@
+/*
+ * dock.js
+ * Control panel for operating the overlay live (load dock/control-panel.html as an OBS custom dock)
+ * Sends commands to every widget over the control channel and shows each widget's status
+ */
+
+/* ============================================================
+   CONFIGURATION
+   ============================================================ */
+
+const DOCK_CONFIG = {
+  // How often widgets are asked to report their status (milliseconds)
+  PING_INTERVAL: 2000,
+  
+  // A widget is shown as offline after this long without a status (milliseconds)
+  OFFLINE_AFTER: 5000,
+  
+  // Number of alert history entries shown
+  HISTORY_ITEMS: 5
+};
+
+/* ============================================================
+   STATE MANAGEMENT
+   ============================================================ */
+
+let dockTransport = null;
+const lastSeen = {};
+
+/* ============================================================
+   COMMANDS
+   ============================================================ */
+
+/**
+ * Send a command to a widget
+ * @param {string} target - Widget target name (e.g. 'alerts')
+ * @param {string} command - Command name
+ * @param {Array} args - Command arguments
+ */
+function sendCommand(target, command, args = []) {
+  dockTransport.post({ kind: 'command', target, command, args });
+}
+
+/**
+ * Read a form control's value as a command argument
+ * @param {HTMLElement} input - input or select element
+ * @returns {*}
+ */
+function getInputValue(input) {
+  if (input.type === 'checkbox') {
+    return input.checked;
+  }
+  if (input.type === 'number' || (input.tagName === 'SELECT' && /^\d+$/.test(input.value))) {
+    return Number(input.value);
+  }
+  return input.value;
+}
+
+/**
+ * Build the arguments for a control from its data attributes:
+ * data-args (JSON array), data-input (selector of one field), data-form (selector of a form; named fields become an object),
+ * data-timestamp (the time of the click, so timing commands are not delayed by the channel)
+ * A checkbox with data-command passes its own checked state.
+ * @param {HTMLElement} control - Button or checkbox
+ * @returns {Array}
+ */
+function getCommandArgs(control) {
+  if (control.type === 'checkbox') {
+    return [control.checked];
+  }
+  
+  if (control.dataset.args) {
+    return JSON.parse(control.dataset.args);
+  }
+  
+  if (control.dataset.timestamp !== undefined) {
+    return [Date.now()];
+  }
+  
+  if (control.dataset.input) {
+    return [getInputValue(document.querySelector(control.dataset.input))];
+  }
+  
+  if (control.dataset.form) {
+    const values = {};
+    document.querySelectorAll(`${control.dataset.form} [name]`).forEach(field => {
+      if (field.value) {
+        values[field.name] = field.value;
+      }
+    });
+    return [values];
+  }
+  
+  return [];
+}
+
+/* ============================================================
+   STATUS DISPLAY
+   ============================================================ */
+
+/**
+ * Format a status value for display
+ * @param {string} key - Status key
+ * @param {*} value - Status value
+ * @returns {string}
+ */
+function formatStatusValue(key, value) {
+  if (typeof value === 'boolean') {
+    return value ? 'Yes' : 'No';
+  }
+  
+  if (key === 'mutedUntil') {
+    return value ? formatTimestamp(new Date(value)) : '-';
+  }
+  
+  if (Array.isArray(value)) {
+    if (value.length === 0) return '-';
+    return value.slice(-DOCK_CONFIG.HISTORY_ITEMS)
+      .map(item => (typeof item === 'object' ? Object.values(item).join(' ') : item))
+      .join(', ');
+  }
+  
+  if (value && typeof value === 'object') {
+    return Object.entries(value).map(([name, item]) => `${name} ${item}`).join(' · ');
+  }
+  
+  return String(value);
+}
+
+/**
+ * Show a widget's status in its panel
+ * @param {string} target - Widget target name
+ * @param {Object} status - Status reported by the widget
+ */
+function renderStatus(target, status) {
+  const panel = document.querySelector(`.dock-panel[data-target="${target}"]`);
+  if (!panel) return;
+  
+  lastSeen[target] = Date.now();
+  panel.classList.add('online');
+  
+  const list = panel.querySelector('.dock-status');
+  list.innerHTML = '';
+  Object.entries(status).forEach(([key, value]) => {
+    list.appendChild(createElement('dt', { text: key }));
+    list.appendChild(createElement('dd', { text: formatStatusValue(key, value) }));
+  });
+  
+  // Keep toggles in step with the widget
+  panel.querySelectorAll('[data-sync]').forEach(input => {
+    if (input.dataset.sync in status) {
+      input.checked = Boolean(status[input.dataset.sync]);
+    }
+  });
+}
+
+/**
+ * Mark widgets that stopped reporting as offline
+ */
+function checkOnline() {
+  document.querySelectorAll('.dock-panel[data-target]').forEach(panel => {
+    const seen = lastSeen[panel.dataset.target] || 0;
+    panel.classList.toggle('online', Date.now() - seen < DOCK_CONFIG.OFFLINE_AFTER);
+  });
+}
+
+/* ============================================================
+   INITIALIZATION
+   ============================================================ */
+
+/**
+ * Initialize the control panel
+ */
+function initDock() {
+  if (typeof createRelayTransport !== 'function') {
+    console.error('The control panel requires relay.js to be loaded');
+    return;
+  }
+  
+  dockTransport = createRelayTransport(CONTROL_CONFIG.CHANNEL_NAME);
+  dockTransport.listen((message) => {
+    if (message && message.kind === 'status') {
+      renderStatus(message.source, message.status);
+    }
+  });
+  
+  // Buttons send on click, checkboxes on change
+  document.addEventListener('click', (event) => {
+    const control = event.target.closest('button[data-command]');
+    if (!control) return;
+    
+    event.preventDefault();
+    const panel = control.closest('.dock-panel');
+    sendCommand(panel.dataset.target, control.dataset.command, getCommandArgs(control));
+  });
+  
+  document.addEventListener('change', (event) => {
+    const control = event.target;
+    if (control.type !== 'checkbox' || !control.dataset.command) return;
+    
+    const panel = control.closest('.dock-panel');
+    sendCommand(panel.dataset.target, control.dataset.command, getCommandArgs(control));
+  });
+  
+  // Buttons with data-hotkey also fire on that key, unless a field has focus
+  document.addEventListener('keydown', (event) => {
+    if (event.repeat || event.ctrlKey || event.altKey || event.metaKey) return;
+    if (event.target.closest('input, select, textarea')) return;
+    
+    const key = event.key.toLowerCase();
+    const control = [...document.querySelectorAll('button[data-hotkey]')].find(button => button.dataset.hotkey === key);
+    if (control) {
+      event.preventDefault();
+      control.click();
+    }
+  });
+  
+  // Ask every widget for its status now and on an interval
+  const ping = () => {
+    dockTransport.post({ kind: 'ping' });
+    checkOnline();
+  };
+  ping();
+  setInterval(ping, DOCK_CONFIG.PING_INTERVAL);
+  
+  logInit('Control Panel');
+  
+  // Make functions available globally
+  window.sendCommand = sendCommand;
+}
+
+// Auto-initialize when DOM is ready
+onReady(initDock);
+
+/* ============================================================
+   EXPORTS (for ES6 modules)
+   ============================================================ */
+
+// If using ES6 modules, uncomment below:
+/*
+export {
+  sendCommand,
+  renderStatus,
+  initDock
+};
+*/
+
+console.log('%c[NASCAR 25 Stream Overlay] dock.js loaded', 
+  'color: #00FFFF; font-weight: bold; font-size: 12px;');
@@ -0,0 +1,411 @@
+/*
+ * emotes.js
+ * Chat emotes: Twitch emotes from the IRC emotes tag, plus BetterTTV, FrankerFaceZ and 7TV emote sets
+ * Emote sets are read from JSON, so local copies can stand in for the provider APIs
+ */
+
+/* ============================================================
+   CONFIGURATION
+   ============================================================ */
+
+const EMOTE_CONFIG = {
+  // Image size: 1, 2 or 3 (2 stays sharp at 1080p)
+  SCALE: 2,
+  
+  // Play animated emotes (false shows still images where the provider has them)
+  ANIMATED: true,
+  
+  // Messages made only of emotes are shown larger, up to this many emotes (0 = never)
+  EMOTE_ONLY_MAX: 6,
+  
+  // Twitch emote images ({format}: 'default' plays animated emotes, 'static' does not)
+  TWITCH_URL: 'https://static-cdn.jtvnw.net/emoticons/v2/{id}/{format}/dark/{scale}.0',
+  
+  // Third-party emote sets, loaded in order: later sets win when two emotes share a name.
+  // {channelId} is the channel's Twitch user id, known once chat joins the channel (or from ?channel_id=).
+  // ?emotes=URL,URL in the page URL loads those JSON files instead, e.g. local copies (they may use {channelId} too).
+  sets: [
+    { provider: 'bttv', url: 'https://api.betterttv.net/3/cached/emotes/global' },
+    { provider: 'ffz', url: 'https://api.frankerfacez.com/v1/set/global' },
+    { provider: '7tv', url: 'https://7tv.io/v3/emote-sets/global' },
+    { provider: 'bttv', url: 'https://api.betterttv.net/3/cached/users/twitch/{channelId}' },
+    { provider: 'ffz', url: 'https://api.frankerfacez.com/v1/room/id/{channelId}' },
+    { provider: '7tv', url: 'https://7tv.io/v3/users/twitch/{channelId}' }
+  ],
+  
+  // BetterTTV emotes drawn over the emote before them (its API does not mark them)
+  BTTV_ZERO_WIDTH: ['SoSnowy', 'IceCold', 'SantaHat', 'TopHat', 'ReinDeer', 'CandyCane', 'cvMask', 'cvHazmat']
+};
+
+/* ============================================================
+   STATE MANAGEMENT
+   ============================================================ */
+
+// Parsed emotes per set URL, and the merged name -> emote lookup used by renderEmotes()
+const emoteSetCache = new Map();
+let thirdPartyEmotes = new Map();
+let emoteSetList = EMOTE_CONFIG.sets;
+let emoteSources = [];
+let emoteChannelId = null;
+
+/* ============================================================
+   EMOTE SET PARSING
+   ============================================================ */
+
+/**
+ * Work out which provider an emote set response came from
+ * @param {Object|Array} json - Emote set response
+ * @returns {string} 'bttv', 'ffz', '7tv' or 'json' (a plain list, see parseEmoteSet)
+ */
+function detectEmoteProvider(json) {
+  if (Array.isArray(json) || (json && (json.channelEmotes || json.sharedEmotes))) {
+    return 'bttv';
+  }
+  
+  if (json && json.sets) {
+    return 'ffz';
+  }
+  
+  if (json && (json.emote_set || (Array.isArray(json.emotes) && json.emotes.some(emote => emote.data)))) {
+    return '7tv';
+  }
+  
+  return 'json';
+}
+
+/**
+ * Read a BetterTTV global or channel emote list
+ * @param {Object|Array} json - Response of /3/cached/emotes/global or /3/cached/users/twitch/{id}
+ * @returns {Object[]} Emotes
+ */
+function parseBttvEmotes(json) {
+  const emotes = Array.isArray(json) ? json : [...(json.channelEmotes || []), ...(json.sharedEmotes || [])];
+  
+  return emotes.map(emote => ({
+    name: emote.code,
+    url: `https://cdn.betterttv.net/emote/${emote.id}/${EMOTE_CONFIG.SCALE}x`,
+    animated: Boolean(emote.animated) || emote.imageType === 'gif',
+    zeroWidth: EMOTE_CONFIG.BTTV_ZERO_WIDTH.includes(emote.code)
+  }));
+}
+
+/**
+ * Read a FrankerFaceZ global set or room
+ * @param {Object} json - Response of /v1/set/global or /v1/room/id/{id}
+ * @returns {Object[]} Emotes
+ */
+function parseFfzEmotes(json) {
+  const setIds = json.default_sets || Object.keys(json.sets);
+  const scales = { 1: ['1'], 2: ['2', '1'], 3: ['4', '2', '1'] }[EMOTE_CONFIG.SCALE] || ['1'];
+  
+  return setIds
+    .map(id => json.sets[id])
+    .filter(Boolean)
+    .flatMap(set => set.emoticons || [])
+    .map(emote => {
+      const urls = (EMOTE_CONFIG.ANIMATED && emote.animated) || emote.urls || {};
+      const url = urls[scales.find(scale => urls[scale])] || '';
+      
+      return {
+        name: emote.name,
+        url: url.startsWith('//') ? `https:${url}` : url,
+        animated: Boolean(emote.animated),
+        zeroWidth: Boolean(emote.modifier)
+      };
+    });
+}
+
+/**
+ * Read a 7TV emote set or user
+ * @param {Object} json - Response of /v3/emote-sets/{id} or /v3/users/twitch/{id}
+ * @returns {Object[]} Emotes
+ */
+function parseSevenTvEmotes(json) {
+  const emotes = (json.emote_set ? json.emote_set.emotes : json.emotes) || [];
+  const fileName = `${EMOTE_CONFIG.SCALE}x.webp`;
+  
+  return emotes.filter(emote => emote.data && emote.data.host).map(emote => {
+    const { host, animated } = emote.data;
+    const file = (host.files || []).find(entry => entry.name === fileName) || { name: fileName };
+    const name = !EMOTE_CONFIG.ANIMATED && animated && file.static_name ? file.static_name : file.name;
+    
+    return {
+      name: emote.name,
+      url: `${host.url.startsWith('//') ? 'https:' : ''}${host.url}/${name}`,
+      animated: Boolean(animated),
+      // Zero-width flag on the emote in this set, or on the emote itself
+      zeroWidth: Boolean((emote.flags & 1) || (emote.data.flags & 256))
+    };
+  });
+}
+
+/**
+ * Read an emote set response into emotes
+ * Besides the provider formats, a plain list is accepted:
+ * { "emotes": [{ "name": "catJAM", "url": "emotes/catjam.webp", "animated": true, "zeroWidth": false }] }
+ * @param {Object|Array} json - Emote set response
+ * @param {string} provider - 'bttv', 'ffz', '7tv', 'json' or 'auto' (default)
+ * @returns {Object[]} [{ name, url, animated, zeroWidth, provider }]
+ */
+function parseEmoteSet(json, provider = 'auto') {
+  const source = provider === 'auto' ? detectEmoteProvider(json) : provider;
+  const parsers = {
+    bttv: parseBttvEmotes,
+    ffz: parseFfzEmotes,
+    '7tv': parseSevenTvEmotes,
+    json: (list) => (Array.isArray(list.emotes) ? list.emotes : [])
+  };
+  
+  if (!parsers[source]) {
+    console.error(`Emotes: unknown emote provider "${provider}"`);
+    return [];
+  }
+  
+  return parsers[source](json)
+    .filter(emote => emote.name && emote.url)
+    .map(emote => ({
+      name: emote.name,
+      url: emote.url,
+      animated: Boolean(emote.animated),
+      zeroWidth: Boolean(emote.zeroWidth),
+      provider: source
+    }));
+}
+
+/* ============================================================
+   EMOTE SET LOADING
+   ============================================================ */
+
+/**
+ * Rebuild the name lookup from the loaded sets, in source order
+ */
+function rebuildEmoteIndex() {
+  const index = new Map();
+  
+  emoteSources.forEach(source => {
+    (emoteSetCache.get(source.url) || []).forEach(emote => index.set(emote.name, emote));
+  });
+  
+  thirdPartyEmotes = index;
+}
+
+/**
+ * Fetch and parse one emote set
+ * @param {Object} source - { provider, url }
+ * @returns {Promise}
+ */
+function fetchEmoteSet(source) {
+  if (emoteSetCache.has(source.url)) {
+    return Promise.resolve();
+  }
+  
+  return fetch(source.url)
+    .then(response => {
+      if (!response.ok) {
+        // Channels without a BetterTTV, FFZ or 7TV account get a 404
+        throw new Error(`${response.status}`);
+      }
+      return response.json();
+    })
+    .then(json => {
+      emoteSetCache.set(source.url, parseEmoteSet(json, source.provider));
+    })
+    .catch(err => {
+      console.warn(`Emotes: could not load ${source.url} (${err.message})`);
+    });
+}
+
+/**
+ * Load emote sets and add them to the lookup
+ * Sets are added in the order given, after any loaded before; a set that fails to load is skipped.
+ * @param {Array<Object|string>} sources - { provider, url } or URL strings (provider detected from the JSON)
+ * @returns {Promise<number>} Number of third-party emotes available
+ */
+function loadEmoteSets(sources) {
+  const added = sources.map(source => (typeof source === 'string' ? { provider: 'auto', url: source } : source));
+  emoteSources = [...emoteSources, ...added];
+  
+  return Promise.all(added.map(fetchEmoteSet)).then(() => {
+    rebuildEmoteIndex();
+    console.log(`Emotes: ${thirdPartyEmotes.size} third-party emotes loaded`);
+    return thirdPartyEmotes.size;
+  });
+}
+
+/**
+ * Load a channel's emote sets (the configured sets with {channelId} in their URL)
+ * Called when chat joins a channel; later calls for the same channel do nothing.
+ * @param {string} channelId - Twitch user id of the channel
+ * @returns {Promise<number>} Number of third-party emotes available
+ */
+function loadChannelEmotes(channelId) {
+  if (!channelId || channelId === emoteChannelId) {
+    return Promise.resolve(thirdPartyEmotes.size);
+  }
+  
+  emoteChannelId = channelId;
+  
+  return loadEmoteSets(emoteSetList
+    .filter(set => set.url.includes('{channelId}'))
+    .map(set => ({ ...set, url: formatTemplate(set.url, { channelId }) })));
+}
+
+/* ============================================================
+   RENDERING
+   ============================================================ */
+
+/**
+ * Escape text for use inside a double-quoted HTML attribute
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeEmoteAttribute(value) {
+  return escapeHtml(value).replace(/"/g, '&quot;');
+}
+
+/**
+ * Build the image for an emote
+ * @param {Object} emote - { name, url, animated, zeroWidth }
+ * @returns {string} HTML
+ */
+function renderEmoteImage(emote) {
+  const classes = ['emote'];
+  if (emote.animated) classes.push('animated');
+  if (emote.zeroWidth) classes.push('zero-width');
+  
+  return `<img class="${classes.join(' ')}" src="${escapeEmoteAttribute(emote.url)}" alt="${escapeEmoteAttribute(emote.name)}">`;
+}
+
+/**
+ * Get the emote for a Twitch emote id
+ * @param {string} id - Emote id from the emotes tag
+ * @param {string} name - Emote text
+ * @returns {Object}
+ */
+function getTwitchEmote(id, name) {
+  return {
+    name,
+    url: formatTemplate(EMOTE_CONFIG.TWITCH_URL, {
+      id,
+      format: EMOTE_CONFIG.ANIMATED ? 'default' : 'static',
+      scale: EMOTE_CONFIG.SCALE
+    }),
+    animated: false,
+    zeroWidth: false,
+    provider: 'twitch'
+  };
+}
+
+/**
+ * Turn a chat message into HTML with its emotes as images
+ * Text is escaped piece by piece, so only emote images are ever added as markup. Zero-width emotes are
+ * stacked on the emote before them.
+ * @param {string} message - Raw message text
+ * @param {Object[]} twitchEmotes - Twitch emote positions (see parseEmotes in irc.js)
+ * @param {Map} emotes - Third-party emotes by name (default: the loaded sets)
+ * @returns {Object} { html, emoteOnly } - emoteOnly is true for messages of 1 to EMOTE_ONLY_MAX emotes and nothing else
+ */
+function renderEmotes(message, twitchEmotes = [], emotes = thirdPartyEmotes) {
+  const chars = Array.from(message);
+  const tokens = [];
+  let index = 0;
+  
+  // Words between the Twitch emotes may be third-party emotes
+  const addText = (text) => {
+    text.split(/(\s+)/).forEach(word => {
+      if (word) {
+        tokens.push(emotes.has(word) ? { emote: emotes.get(word) } : { text: word });
+      }
+    });
+  };
+  
+  [...twitchEmotes].sort((a, b) => a.start - b.start).forEach(({ id, start, end }) => {
+    if (start < index || end < start || end >= chars.length) return;
+    
+    addText(chars.slice(index, start).join(''));
+    tokens.push({ emote: getTwitchEmote(id, chars.slice(start, end + 1).join('')) });
+    index = end + 1;
+  });
+  addText(chars.slice(index).join(''));
+  
+  // Stack zero-width emotes onto the emote before them (dropping the space between)
+  const parts = [];
+  tokens.forEach(token => {
+    if (token.emote && token.emote.zeroWidth) {
+      let last = parts.length - 1;
+      while (last >= 0 && parts[last].text !== undefined && !parts[last].text.trim()) {
+        last--;
+      }
+      
+      if (last >= 0 && parts[last].stack) {
+        parts.length = last + 1;
+        parts[last].stack.push(token.emote);
+        return;
+      }
+    }
+    
+    parts.push(token.emote ? { stack: [token.emote] } : token);
+  });
+  
+  const emoteCount = parts.filter(part => part.stack).length;
+  const emoteOnly = emoteCount > 0 && emoteCount <= EMOTE_CONFIG.EMOTE_ONLY_MAX &&
+    parts.every(part => part.stack || !part.text.trim());
+  
+  const html = parts.map(part => {
+    if (!part.stack) {
+      return escapeHtml(part.text);
+    }
+    
+    const images = part.stack.map(renderEmoteImage).join('');
+    return part.stack.length > 1 ? `<span class="emote-stack">${images}</span>` : images;
+  }).join('');
+  
+  return { html, emoteOnly };
+}
+
+/* ============================================================
+   INITIALIZATION
+   ============================================================ */
+
+/**
+ * Initialize emotes
+ * URL parameters: ?emotes=URL,URL loads those emote set files instead of EMOTE_CONFIG.sets,
+ * ?channel_id= loads the channel's sets without waiting for chat to join.
+ */
+function initEmotes() {
+  const params = new URLSearchParams(window.location.search);
+  
+  if (params.get('emotes')) {
+    emoteSetList = params.get('emotes').split(',').filter(Boolean).map(url => ({ provider: 'auto', url }));
+  }
+  
+  loadEmoteSets(emoteSetList.filter(set => !set.url.includes('{channelId}')));
+  loadChannelEmotes(params.get('channel_id'));
+  
+  logInit('Emotes');
+  
+  // Make functions available globally
+  window.renderEmotes = renderEmotes;
+  window.loadEmoteSets = loadEmoteSets;
+  window.loadChannelEmotes = loadChannelEmotes;
+}
+
+// Auto-initialize when DOM is ready
+onReady(initEmotes);
+
+/* ============================================================
+   EXPORTS (for ES6 modules)
+   ============================================================ */
+
+// If using ES6 modules, uncomment below:
+/*
+export {
+  parseEmoteSet,
+  loadEmoteSets,
+  loadChannelEmotes,
+  renderEmotes
+};
+*/
+
+console.log('%c[NASCAR 25 Stream Overlay] emotes.js loaded', 
+  'color: #9146FF; font-weight: bold; font-size: 12px;');
@@ -0,0 +1,345 @@
+/*
+ * eventsub.js
+ * Twitch EventSub WebSocket client
+ * Handles session welcome/keepalive/reconnect/revocation and publishes notifications on the event bus
+ */
+
+/* ============================================================
+   CONFIGURATION
+   ============================================================ */
+
+const EVENTSUB_CONFIG = {
+  // EventSub WebSocket endpoint
+  URL: 'wss://eventsub.wss.twitch.tv/ws',
+  
+  // Helix endpoint used to create subscriptions for a session
+  HELIX_URL: 'https://api.twitch.tv/helix/eventsub/subscriptions',
+  
+  // Extra time allowed past keepalive_timeout_seconds before the session is treated as dead (milliseconds)
+  KEEPALIVE_GRACE: 2000,
+  
+  // Reconnect backoff (milliseconds)
+  RECONNECT_DELAY: 1000,
+  MAX_RECONNECT_DELAY: 30000,
+  
+  // Number of recent message ids remembered to drop redelivered messages
+  DEDUPE_SIZE: 100,
+  
+  // Subscriptions created on each new session (condition keys are filled with the broadcaster id)
+  subscriptions: [
+    { type: 'channel.follow', version: '2', conditionKeys: ['broadcaster_user_id', 'moderator_user_id'] },
+    { type: 'channel.subscribe', version: '1', conditionKeys: ['broadcaster_user_id'] },
+    { type: 'channel.subscription.gift', version: '1', conditionKeys: ['broadcaster_user_id'] },
+    { type: 'channel.cheer', version: '1', conditionKeys: ['broadcaster_user_id'] },
+    { type: 'channel.raid', version: '1', conditionKeys: ['to_broadcaster_user_id'] }
+  ]
+};
+
+/* ============================================================
+   EVENT NORMALIZATION
+   ============================================================ */
+
+/**
+ * Convert an EventSub notification event to the event bus shape (see normalizeEvent)
+ * @param {string} subscriptionType - EventSub subscription type (e.g. 'channel.follow')
+ * @param {Object} event - Notification `payload.event` object
+ * @returns {Object|null} Normalized event, or null if the notification should not be shown
+ */
+function normalizeEventSubNotification(subscriptionType, event = {}) {
+  switch (subscriptionType) {
+    case 'channel.follow':
+      return { type: 'follow', user: event.user_name };
+    
+    case 'channel.subscribe':
+      // Gifted subs are announced once through channel.subscription.gift instead
+      if (event.is_gift) {
+        return null;
+      }
+      return { type: 'subscribe', user: event.user_name, tier: event.tier, months: 1 };
+    
+    case 'channel.subscription.gift': {
+      const gifter = event.is_anonymous ? 'Anonymous' : event.user_name;
+      return {
+        type: 'subscribe',
+        user: gifter,
+        sender: gifter,
+        gifted: true,
+        count: event.total || 1,
+        tier: event.tier
+      };
+    }
+    
+    case 'channel.cheer':
+      return {
+        type: 'cheer',
+        user: event.is_anonymous ? 'Anonymous' : event.user_name,
+        bits: event.bits || 0,
+        message: event.message || ''
+      };
+    
+    case 'channel.raid':
+      return {
+        type: 'raid',
+        user: event.from_broadcaster_user_name,
+        viewers: event.viewers || 0
+      };
+    
+    default:
+      return null;
+  }
+}
+
+/* ============================================================
+   SUBSCRIPTIONS
+   ============================================================ */
+
+/**
+ * Create the configured EventSub subscriptions for a WebSocket session
+ * @param {string} sessionId - Session id from the session_welcome message
+ * @param {Object} config - Connection configuration (clientId, accessToken, broadcasterId, helixUrl)
+ * @returns {Promise}
+ */
+function createEventSubSubscriptions(sessionId, config) {
+  const headers = {
+    'Client-Id': config.clientId,
+    'Authorization': `Bearer ${config.accessToken}`,
+    'Content-Type': 'application/json'
+  };
+  
+  return Promise.all(EVENTSUB_CONFIG.subscriptions.map(subscription => {
+    const condition = {};
+    subscription.conditionKeys.forEach(key => {
+      condition[key] = config.broadcasterId;
+    });
+    
+    return fetch(config.helixUrl || EVENTSUB_CONFIG.HELIX_URL, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({
+        type: subscription.type,
+        version: subscription.version,
+        condition,
+        transport: { method: 'websocket', session_id: sessionId }
+      })
+    }).then(response => {
+      if (!response.ok) {
+        console.error(`EventSub: failed to subscribe to ${subscription.type} (${response.status})`);
+      }
+    }).catch(err => {
+      console.error(`EventSub: failed to subscribe to ${subscription.type}`, err);
+    });
+  }));
+}
+
+/* ============================================================
+   CONNECTION
+   ============================================================ */
+
+/**
+ * Connect to Twitch EventSub over WebSocket and publish notifications on the event bus
+ * @param {Object} config - Configuration object
+ * @param {string} config.clientId - Twitch application client id
+ * @param {string} config.accessToken - User access token with the required scopes
+ * @param {string} config.broadcasterId - Broadcaster user id
+ * @param {string} config.url - Optional WebSocket URL override (e.g. a fake EventSub server)
+ * @param {string} config.helixUrl - Optional subscription endpoint override
+ * @param {Function} config.onEvent - Optional handler for normalized events (default: bus.emit)
+ * @returns {Object} Connection handle with a close() method
+ */
+function connectEventSub(config = {}) {
+  const url = config.url || EVENTSUB_CONFIG.URL;
+  const onEvent = config.onEvent || (event => bus.emit(event));
+  
+  let socket = null;
+  // session_reconnect target waiting for its welcome
+  let pendingSocket = null;
+  let keepaliveTimer = null;
+  let keepaliveTimeout = 0;
+  let reconnectTimer = null;
+  let reconnectDelay = EVENTSUB_CONFIG.RECONNECT_DELAY;
+  const recentMessageIds = [];
+  let closed = false;
+  
+  if (!config.clientId || !config.accessToken || !config.broadcasterId) {
+    console.warn('EventSub: clientId, accessToken and broadcasterId are required to create subscriptions');
+  }
+  
+  /**
+   * Close a socket without triggering reconnect handling
+   */
+  const retire = (ws) => {
+    if (!ws) return;
+    ws.onmessage = null;
+    ws.onclose = null;
+    ws.onerror = null;
+    ws.close();
+  };
+  
+  const resetKeepalive = () => {
+    clearTimeout(keepaliveTimer);
+    if (!keepaliveTimeout) return;
+    
+    keepaliveTimer = setTimeout(() => {
+      console.warn('EventSub: keepalive timed out, reconnecting');
+      retire(socket);
+      socket = null;
+      handleDisconnect();
+    }, keepaliveTimeout + EVENTSUB_CONFIG.KEEPALIVE_GRACE);
+  };
+  
+  const isDuplicate = (messageId) => {
+    if (!messageId) return false;
+    if (recentMessageIds.includes(messageId)) return true;
+    
+    recentMessageIds.push(messageId);
+    if (recentMessageIds.length > EVENTSUB_CONFIG.DEDUPE_SIZE) {
+      recentMessageIds.shift();
+    }
+    return false;
+  };
+  
+  const handleMessage = (ws, message) => {
+    if (closed) return;
+    
+    const { metadata = {}, payload = {} } = message;
+    
+    // Messages on a socket that is still migrating only matter once it sends its welcome
+    if (ws === socket) {
+      resetKeepalive();
+    }
+    
+    if (isDuplicate(metadata.message_id)) {
+      return;
+    }
+    
+    switch (metadata.message_type) {
+      case 'session_welcome': {
+        const session = payload.session || {};
+        keepaliveTimeout = (session.keepalive_timeout_seconds || 10) * 1000;
+        
+        if (ws !== socket) {
+          // Reconnect target is live: subscriptions carry over, so drop the old socket
+          retire(socket);
+          socket = ws;
+          pendingSocket = null;
+        } else if (config.clientId && config.accessToken) {
+          createEventSubSubscriptions(session.id, config);
+        }
+        
+        console.log('EventSub: session started', session.id);
+        reconnectDelay = EVENTSUB_CONFIG.RECONNECT_DELAY;
+        setEventsStale(false);
+        resetKeepalive();
+        break;
+      }
+      
+      case 'session_keepalive':
+        break;
+      
+      case 'notification': {
+        const event = normalizeEventSubNotification(metadata.subscription_type, payload.event);
+        if (event) {
+          event.id = metadata.message_id;
+          onEvent(event);
+        }
+        break;
+      }
+      
+      case 'session_reconnect':
+        console.log('EventSub: server requested reconnect');
+        setEventsStale(true);
+        open(payload.session.reconnect_url, true);
+        break;
+      
+      case 'revocation':
+        console.warn(`EventSub: subscription ${metadata.subscription_type} revoked (${payload.subscription && payload.subscription.status})`);
+        break;
+    }
+  };
+  
+  function handleDisconnect() {
+    clearTimeout(keepaliveTimer);
+    keepaliveTimeout = 0;
+    setEventsStale(true);
+    
+    if (closed) return;
+    
+    console.log(`EventSub: reconnecting in ${reconnectDelay / 1000}s`);
+    reconnectTimer = setTimeout(() => open(url), reconnectDelay);
+    reconnectDelay = Math.min(reconnectDelay * 2, EVENTSUB_CONFIG.MAX_RECONNECT_DELAY);
+  }
+  
+  /**
+   * Open a socket. A fresh connection becomes the active socket right away;
+   * a session_reconnect target only takes over once it sends its welcome.
+   */
+  function open(target, migrating = false) {
+    const ws = new WebSocket(target);
+    if (migrating) {
+      retire(pendingSocket);
+      pendingSocket = ws;
+    } else {
+      socket = ws;
+    }
+    
+    ws.onmessage = (message) => {
+      try {
+        handleMessage(ws, JSON.parse(message.data));
+      } catch (err) {
+        console.error('EventSub: failed to handle message', err);
+      }
+    };
+    
+    ws.onerror = (error) => {
+      console.error('EventSub: socket error', error);
+    };
+    
+    ws.onclose = (event) => {
+      if (closed) return;
+      
+      // A reconnect target that closed before its welcome: the old socket is still delivering
+      if (ws !== socket) {
+        pendingSocket = null;
+        console.warn(`EventSub: reconnect target closed before its welcome (${event.code})`);
+        if (socket) {
+          setEventsStale(false);
+        }
+        return;
+      }
+      
+      console.log(`EventSub: disconnected (${event.code})`);
+      socket = null;
+      handleDisconnect();
+    };
+  }
+  
+  open(url);
+  
+  return {
+    close() {
+      closed = true;
+      clearTimeout(reconnectTimer);
+      clearTimeout(keepaliveTimer);
+      retire(socket);
+      retire(pendingSocket);
+      socket = null;
+      pendingSocket = null;
+    }
+  };
+}
+
+/* ============================================================
+   EXPORTS (for ES6 modules)
+   ============================================================ */
+
+// If using ES6 modules, uncomment below:
+/*
+export {
+  normalizeEventSubNotification,
+  createEventSubSubscriptions,
+  connectEventSub
+};
+*/
+
+console.log('%c[NASCAR 25 Stream Overlay] eventsub.js loaded', 
+  'color: #9146FF; font-weight: bold; font-size: 12px;');
@@ -0,0 +1,291 @@
+/*
+ * flags.js
+ * Race control flag state (green, caution, white, checkered, red) shared by every browser source
+ * The main overlay shows a flag banner; alerts, ticker and chat react through onFlagChange()
+ */
+
+/* ============================================================
+   CONFIGURATION
+   ============================================================ */
+
+const FLAG_CONFIG = {
+  // Channel the flag state is shared on (see createRelayTransport in relay.js)
+  CHANNEL_NAME: 'nascar25-overlay-flag',
+  
+  // How long the full banner shows before it shrinks to a badge (milliseconds)
+  BANNER_DURATION: 6000,
+  
+  // Flags that hold alerts below ALERT_HOLD_PRIORITY until the flag changes
+  HOLD_ALERTS: ['caution', 'red'],
+  ALERT_HOLD_PRIORITY: 'high',
+  
+  // Announce flag changes in the ticker and chat
+  TICKER_ANNOUNCE: true,
+  CHAT_ANNOUNCE: true,
+  
+  // Flag definitions (persist: keep a badge on screen after the banner, until the flag changes)
+  flags: {
+    green: { label: 'Green Flag', icon: '🟢', color: '#00C853', message: 'Racing resumes', persist: false },
+    caution: { label: 'Caution', icon: '🟡', color: '#FDB813', message: 'The field is under yellow', persist: true },
+    white: { label: 'White Flag', icon: '⚪', color: '#FFFFFF', message: 'One lap to go', persist: true },
+    checkered: { label: 'Checkered Flag', icon: '🏁', color: '#FFFFFF', message: 'The race is over', persist: true },
+    red: { label: 'Red Flag', icon: '🔴', color: '#E10600', message: 'The race is stopped', persist: true }
+  },
+  
+  // Other names accepted by setFlag()
+  aliases: {
+    yellow: 'caution',
+    finish: 'checkered'
+  }
+};
+
+/* ============================================================
+   STATE MANAGEMENT
+   ============================================================ */
+
+let currentFlag = null;
+let flagSince = 0;
+let flagTransport = null;
+let flagBannerTimer = null;
+const flagListeners = [];
+
+/* ============================================================
+   FLAG STATE
+   ============================================================ */
+
+/**
+ * Resolve a flag name or alias
+ * @param {string|null} name - Flag name ('caution', 'yellow'...), or null for no flag
+ * @returns {string|null|undefined} Flag name, null for no flag, undefined if unknown
+ */
+function resolveFlagName(name) {
+  if (name === null || name === undefined || name === '' || name === 'none') {
+    return null;
+  }
+  
+  const key = String(name).toLowerCase();
+  const resolved = FLAG_CONFIG.aliases[key] || key;
+  return FLAG_CONFIG.flags[resolved] ? resolved : undefined;
+}
+
+/**
+ * Apply a flag on this page and notify listeners
+ * @param {string|null} flag - Flag name, or null for no flag
+ * @param {number} since - When the flag was set (milliseconds)
+ * @param {boolean} synced - Whether the flag was already out before this page loaded (no announcements)
+ */
+function applyFlag(flag, since, synced) {
+  const previous = currentFlag;
+  
+  currentFlag = flag;
+  flagSince = since;
+  
+  if (document.body) {
+    const config = FLAG_CONFIG.flags[flag];
+    if (config) {
+      document.body.dataset.flag = flag;
+      document.body.style.setProperty('--flag-color', config.color);
+    } else {
+      delete document.body.dataset.flag;
+      document.body.style.removeProperty('--flag-color');
+    }
+  }
+  
+  renderFlagBanner(synced);
+  
+  flagListeners.forEach(listener => {
+    try {
+      listener(flag, previous, { synced });
+    } catch (err) {
+      console.error('Flags: listener failed', err);
+    }
+  });
+}
+
+/**
+ * Set the race flag on every browser source
+ * @param {string|null} name - 'green', 'caution' (or 'yellow'), 'white', 'checkered', 'red', or null to clear
+ * @returns {boolean} Whether the flag was valid
+ */
+function setFlag(name) {
+  const flag = resolveFlagName(name);
+  
+  if (flag === undefined) {
+    console.error(`Flags: unknown flag "${name}"`);
+    return false;
+  }
+  
+  const since = Date.now();
+  applyFlag(flag, since, false);
+  
+  if (flagTransport) {
+    flagTransport.post({ kind: 'flag', flag, since });
+  }
+  
+  return true;
+}
+
+/**
+ * Clear the race flag (hides the banner)
+ */
+function clearFlag() {
+  setFlag(null);
+}
+
+/**
+ * Get the current race flag
+ * @returns {Object} { flag, since } (flag is null when none is set)
+ */
+function getFlag() {
+  return { flag: currentFlag, since: flagSince };
+}
+
+/**
+ * Call a function whenever the flag changes (on this page or any other source)
+ * @param {Function} listener - listener(flag, previousFlag, { synced }); synced is true when the flag
+ *   was already out before this page loaded, so it should be applied but not announced
+ * @returns {Function} Unsubscribe function
+ */
+function onFlagChange(listener) {
+  flagListeners.push(listener);
+  
+  return () => {
+    const index = flagListeners.indexOf(listener);
+    if (index !== -1) {
+      flagListeners.splice(index, 1);
+    }
+  };
+}
+
+/**
+ * Describe a flag for announcements
+ * @param {string} flag - Flag name
+ * @returns {string} e.g. '🟡 Caution: The field is under yellow'
+ */
+function describeFlag(flag) {
+  const config = FLAG_CONFIG.flags[flag];
+  return config ? `${config.icon} ${config.label}: ${config.message}` : '';
+}
+
+/* ============================================================
+   FLAG BANNER
+   ============================================================ */
+
+/**
+ * Show the current flag in #flag-banner (if the page has one)
+ * The full banner animates in, then shrinks to a badge for persistent flags or hides for the rest.
+ * @param {boolean} synced - Skip the full banner (the flag was already out)
+ */
+function renderFlagBanner(synced) {
+  const banner = document.getElementById('flag-banner');
+  if (!banner) return;
+  
+  const config = FLAG_CONFIG.flags[currentFlag];
+  clearTimeout(flagBannerTimer);
+  banner.classList.remove('visible', 'compact');
+  
+  if (!config) return;
+  
+  banner.dataset.flag = currentFlag;
+  banner.querySelector('.flag-banner-icon').textContent = config.icon;
+  banner.querySelector('.flag-banner-label').textContent = config.label;
+  banner.querySelector('.flag-banner-message').textContent = config.message;
+  
+  if (synced) {
+    banner.classList.toggle('visible', config.persist);
+    banner.classList.toggle('compact', config.persist);
+    return;
+  }
+  
+  void banner.offsetWidth; // Reflow so the entrance animation plays again
+  banner.classList.add('visible');
+  
+  flagBannerTimer = setTimeout(() => {
+    if (config.persist) {
+      banner.classList.add('compact');
+    } else {
+      banner.classList.remove('visible');
+    }
+  }, FLAG_CONFIG.BANNER_DURATION);
+}
+
+/* ============================================================
+   SHARING
+   ============================================================ */
+
+/**
+ * Join the flag channel. Pages ask for the current flag when they load, so sources
+ * opened (or refreshed) during a caution pick it up without announcing it again.
+ */
+function startFlagSharing() {
+  if (typeof createRelayTransport !== 'function') {
+    console.error('Flags: sharing between sources requires relay.js to be loaded');
+    return;
+  }
+  
+  flagTransport = createRelayTransport(FLAG_CONFIG.CHANNEL_NAME);
+  flagTransport.listen((message) => {
+    if (!message) return;
+    
+    if (message.kind === 'request' && flagSince) {
+      flagTransport.post({ kind: 'flag', flag: currentFlag, since: flagSince, sync: true });
+    } else if (message.kind === 'flag' && message.since > flagSince && resolveFlagName(message.flag) !== undefined) {
+      applyFlag(resolveFlagName(message.flag), message.since, Boolean(message.sync));
+    }
+  });
+  
+  flagTransport.post({ kind: 'request' });
+}
+
+/* ============================================================
+   INITIALIZATION
+   ============================================================ */
+
+/**
+ * Initialize flag state
+ * Buttons with data-set-flag="caution" (e.g. in the control panel) set that flag when clicked.
+ */
+function initFlags() {
+  startFlagSharing();
+  
+  document.addEventListener('click', (event) => {
+    const button = event.target.closest('[data-set-flag]');
+    if (button) {
+      setFlag(button.dataset.setFlag);
+    }
+  });
+  
+  // Show the current flag next to the flag buttons
+  onFlagChange((flag) => {
+    document.querySelectorAll('.flag-current').forEach(element => {
+      element.textContent = flag ? describeFlag(flag) : 'No flag';
+    });
+  });
+  
+  // Make functions available globally
+  window.setFlag = setFlag;
+  window.clearFlag = clearFlag;
+  window.getFlag = getFlag;
+  window.onFlagChange = onFlagChange;
+}
+
+// Auto-initialize when DOM is ready
+onReady(initFlags);
+
+/* ============================================================
+   EXPORTS (for ES6 modules)
+   ============================================================ */
+
+// If using ES6 modules, uncomment below:
+/*
+export {
+  setFlag,
+  clearFlag,
+  getFlag,
+  onFlagChange,
+  describeFlag
+};
+*/
+
+console.log('%c[NASCAR 25 Stream Overlay] flags.js loaded', 
+  'color: #FDB813; font-weight: bold; font-size: 12px;');
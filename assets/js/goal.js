@@ -0,0 +1,442 @@
+/*
+ * goal.js
+ * Goal progress bar for followers, subs (sub points), bits or tips
+ * Fills from live events, keeps its progress across browser source reloads and celebrates when the goal is reached
+ */
+
+/* ============================================================
+   CONFIGURATION
+   ============================================================ */
+
+const GOAL_CONFIG = {
+  // Goal type (or ?type= in the page URL): 'follower', 'subscriber', 'bits' or 'tip'
+  TYPE: 'subscriber',
+  
+  // Goal target (or ?target=)
+  TARGET: 50,
+  
+  // Label shown above the bar (or ?label=); empty uses the type's label
+  LABEL: '',
+  
+  // Goal period (or ?start= / ?end=): ISO dates, empty for no limit. Events outside the period are not counted,
+  // and a new start date starts the goal over.
+  START_DATE: '',
+  END_DATE: '',
+  
+  // Currency of tip goals (donations in other currencies are counted as-is)
+  CURRENCY: 'USD',
+  
+  // Sub points per tier (gifted subs count per sub)
+  TIER_POINTS: { '1000': 1, '2000': 2, '3000': 6, prime: 1 },
+  
+  // How long the goal-reached celebration plays (milliseconds) and how many flags it throws
+  CELEBRATION_DURATION: 5000,
+  CELEBRATION_PIECES: 40,
+  
+  // Goal types
+  types: {
+    follower: { label: 'Follower Goal' },
+    subscriber: { label: 'Sub Goal' },
+    bits: { label: 'Bits Goal' },
+    tip: { label: 'Tip Goal' }
+  }
+};
+
+/* ============================================================
+   STATE MANAGEMENT
+   ============================================================ */
+
+const goalState = {
+  type: GOAL_CONFIG.TYPE,
+  label: '',
+  target: GOAL_CONFIG.TARGET,
+  current: 0,
+  start: null,
+  end: null,
+  reachedAt: null
+};
+
+let goalContainer = null;
+let goalCelebrationTimer = null;
+
+/* ============================================================
+   PROGRESS
+   ============================================================ */
+
+/**
+ * Work out how much an event adds to a goal
+ * @param {string} type - Goal type
+ * @param {Object} event - Normalized bus event
+ * @returns {number} Amount to add (0 if the event does not count towards this goal)
+ */
+function getGoalAmount(type, event) {
+  switch (type) {
+    case 'follower':
+      return event.type === 'follow' ? 1 : 0;
+    
+    case 'subscriber': {
+      if (event.type !== 'subscribe') return 0;
+      const points = GOAL_CONFIG.TIER_POINTS[event.tier] || 1;
+      return points * (event.gifted ? Math.max(1, event.count || 1) : 1);
+    }
+    
+    case 'bits':
+      return event.type === 'cheer' ? event.bits || 0 : 0;
+    
+    case 'tip':
+      return event.type === 'donation' ? event.amount || 0 : 0;
+    
+    default:
+      return 0;
+  }
+}
+
+/**
+ * Whether events at a given time count towards the goal (inside its start/end dates)
+ * @param {number} time - Event time in milliseconds
+ * @returns {boolean}
+ */
+function isGoalOpen(time = Date.now()) {
+  return (!goalState.start || time >= goalState.start) && (!goalState.end || time < goalState.end);
+}
+
+/**
+ * Count a bus event towards the goal
+ * @param {Object} event - Normalized bus event
+ */
+function handleGoalEvent(event) {
+  const amount = getGoalAmount(goalState.type, event);
+  
+  if (amount > 0 && isGoalOpen()) {
+    setGoalProgress(goalState.current + amount);
+  }
+}
+
+/**
+ * Set the goal progress
+ * Reaching the target for the first time plays the celebration.
+ * @param {number} value - New progress
+ */
+function setGoalProgress(value) {
+  const current = Math.max(0, Number(value) || 0);
+  const wasReached = Boolean(goalState.reachedAt);
+  
+  goalState.current = goalState.type === 'tip' ? Math.round(current * 100) / 100 : current;
+  goalState.reachedAt = goalState.current >= goalState.target ? (goalState.reachedAt || Date.now()) : null;
+  
+  saveGoal();
+  renderGoal();
+  
+  if (goalState.reachedAt && !wasReached) {
+    celebrateGoal();
+  }
+  
+  postGoalStatus();
+}
+
+/**
+ * Add to the goal progress
+ * @param {number} amount - Amount to add (negative to take away)
+ */
+function addGoalProgress(amount) {
+  setGoalProgress(goalState.current + (Number(amount) || 0));
+}
+
+/**
+ * Change the goal target (progress is kept)
+ * @param {number} target - New target
+ */
+function setGoalTarget(target) {
+  const value = Number(target);
+  
+  if (!(value > 0)) {
+    console.error(`Goal: invalid target "${target}"`);
+    return;
+  }
+  
+  goalState.target = value;
+  goalState.reachedAt = null;
+  setGoalProgress(goalState.current);
+}
+
+/**
+ * Start the goal over from zero
+ */
+function resetGoal() {
+  goalState.reachedAt = null;
+  setGoalProgress(0);
+}
+
+/**
+ * Get the goal state
+ * @returns {Object} { type, label, target, current, percent, start, end, reachedAt }
+ */
+function getGoal() {
+  return { ...goalState, percent: getGoalPercent() };
+}
+
+/**
+ * Get the goal progress as a percentage
+ * @returns {number} 0-100
+ */
+function getGoalPercent() {
+  return Math.min(100, Math.floor((goalState.current / goalState.target) * 100));
+}
+
+/* ============================================================
+   PERSISTENCE
+   ============================================================ */
+
+/**
+ * Get the saved state key for the current goal type (see storage.js)
+ * @returns {string}
+ */
+function getGoalStorageKey() {
+  return `goal-${goalState.type}`;
+}
+
+/**
+ * Save the goal progress so a browser source reload (e.g. an OBS scene switch) picks it up again
+ */
+function saveGoal() {
+  if (typeof saveState !== 'function') return;
+  
+  saveState(getGoalStorageKey(), {
+    current: goalState.current,
+    start: goalState.start,
+    reachedAt: goalState.reachedAt
+  });
+}
+
+/**
+ * Restore the saved goal progress
+ * Progress saved for a different start date belongs to an earlier goal and is ignored.
+ */
+function loadGoal() {
+  if (typeof loadState !== 'function') {
+    console.error('Goal: storage.js is not loaded, progress will not be saved');
+    return;
+  }
+  
+  const saved = loadState(getGoalStorageKey());
+  
+  if (saved && saved.start === goalState.start) {
+    goalState.current = Number(saved.current) || 0;
+    goalState.reachedAt = saved.reachedAt || null;
+  }
+}
+
+/* ============================================================
+   RENDERING
+   ============================================================ */
+
+/**
+ * Format a goal amount for display
+ * @param {number} value - Amount
+ * @returns {string}
+ */
+function formatGoalValue(value) {
+  if (goalState.type === 'tip') {
+    return formatCurrency(value, getCurrencySymbol(GOAL_CONFIG.CURRENCY));
+  }
+  
+  return formatNumber(value);
+}
+
+/**
+ * Describe the time left until the end date
+ * @param {number} now - Current time in milliseconds (default: now)
+ * @returns {string} e.g. '3 days left', '5 hours left', 'Ended', or '' without an end date
+ */
+function formatGoalTimeLeft(now = Date.now()) {
+  if (!goalState.end) {
+    return '';
+  }
+  
+  const minutes = Math.floor((goalState.end - now) / 60000);
+  
+  if (minutes < 0) {
+    return 'Ended';
+  }
+  if (minutes >= 2 * 24 * 60) {
+    return formatTemplate('{count|plural:# day:# days} left', { count: Math.floor(minutes / (24 * 60)) });
+  }
+  if (minutes >= 60) {
+    return formatTemplate('{count|plural:# hour:# hours} left', { count: Math.floor(minutes / 60) });
+  }
+  return formatTemplate('{count|plural:# minute:# minutes} left', { count: Math.max(1, minutes) });
+}
+
+/**
+ * Show the goal in the widget
+ */
+function renderGoal() {
+  if (!goalContainer) return;
+  
+  const percent = getGoalPercent();
+  
+  goalContainer.dataset.type = goalState.type;
+  goalContainer.querySelector('.goal-label').textContent = goalState.label;
+  goalContainer.querySelector('.goal-fill').style.width = `${percent}%`;
+  goalContainer.querySelector('.goal-progress').textContent =
+    `${formatGoalValue(goalState.current)} / ${formatGoalValue(goalState.target)}`;
+  goalContainer.querySelector('.goal-percent').textContent = `${percent}%`;
+  goalContainer.querySelector('.goal-ends').textContent = formatGoalTimeLeft();
+  goalContainer.classList.toggle('reached', Boolean(goalState.reachedAt));
+  goalContainer.classList.toggle('ended', Boolean(goalState.end) && Date.now() >= goalState.end);
+}
+
+/**
+ * Play the goal-reached celebration: the bar flashes and checkered flags burst out of it
+ */
+function celebrateGoal() {
+  if (!goalContainer) return;
+  
+  const burst = goalContainer.querySelector('.goal-celebration');
+  clearTimeout(goalCelebrationTimer);
+  burst.innerHTML = '';
+  
+  for (let i = 0; i < GOAL_CONFIG.CELEBRATION_PIECES; i++) {
+    const piece = createElement('span', { classes: 'goal-confetti' });
+    piece.style.setProperty('--x', `${randomInt(-50, 50)}vw`);
+    piece.style.setProperty('--y', `${randomInt(-40, -10)}vh`);
+    piece.style.setProperty('--spin', `${randomInt(-720, 720)}deg`);
+    piece.style.setProperty('--delay', `${randomInt(0, 400)}ms`);
+    burst.appendChild(piece);
+  }
+  
+  goalContainer.classList.remove('celebrate');
+  void goalContainer.offsetWidth; // Reflow so the animation starts over
+  goalContainer.classList.add('celebrate');
+  
+  goalCelebrationTimer = setTimeout(() => {
+    goalContainer.classList.remove('celebrate');
+    burst.innerHTML = '';
+  }, GOAL_CONFIG.CELEBRATION_DURATION);
+}
+
+/* ============================================================
+   REMOTE CONTROL
+   ============================================================ */
+
+/**
+ * Get the goal state for the dock
+ * @returns {Object} { goal, progress, percent, reached, ends }
+ */
+function getGoalStatus() {
+  return {
+    goal: goalState.label,
+    progress: `${formatGoalValue(goalState.current)} / ${formatGoalValue(goalState.target)}`,
+    percent: getGoalPercent(),
+    reached: Boolean(goalState.reachedAt),
+    ends: formatGoalTimeLeft() || '-'
+  };
+}
+
+/**
+ * Commands accepted from the dock (see control.js)
+ */
+const GOAL_COMMANDS = {
+  add: addGoalProgress,
+  set: setGoalProgress,
+  target: setGoalTarget,
+  reset: resetGoal,
+  celebrate: celebrateGoal
+};
+
+/**
+ * Report the current status to the dock
+ */
+function postGoalStatus() {
+  if (typeof postControlStatus === 'function') {
+    postControlStatus('goal');
+  }
+}
+
+/* ============================================================
+   INITIALIZATION
+   ============================================================ */
+
+/**
+ * Initialize the goal widget
+ * URL parameters override the config: ?type=bits&target=10000&label=Road%20to%2010K&start=2024-06-01&end=2024-06-30
+ */
+function initGoal() {
+  goalContainer = document.getElementById('goal-widget');
+  
+  if (!goalContainer) {
+    console.error('Goal widget container not found');
+    return;
+  }
+  
+  const params = new URLSearchParams(window.location.search);
+  const type = params.get('type') || GOAL_CONFIG.TYPE;
+  
+  if (!GOAL_CONFIG.types[type]) {
+    console.error(`Goal: unknown goal type "${type}"`);
+    return;
+  }
+  
+  const parseDate = (value) => (value && !Number.isNaN(Date.parse(value)) ? Date.parse(value) : null);
+  
+  goalState.type = type;
+  goalState.label = params.get('label') || GOAL_CONFIG.LABEL || GOAL_CONFIG.types[type].label;
+  goalState.target = Number(params.get('target')) || GOAL_CONFIG.TARGET;
+  goalState.start = parseDate(params.get('start') || GOAL_CONFIG.START_DATE);
+  goalState.end = parseDate(params.get('end') || GOAL_CONFIG.END_DATE);
+  
+  loadGoal();
+  
+  // A goal reached before the target was raised is open again
+  if (goalState.current < goalState.target) {
+    goalState.reachedAt = null;
+  }
+  
+  renderGoal();
+  
+  // Count live events published by connectors
+  bus.on('*', handleGoalEvent);
+  
+  // Keep the time left up to date
+  if (goalState.end) {
+    setInterval(renderGoal, 60000);
+  }
+  
+  // Accept commands from the dock (control panel)
+  if (typeof registerControlTarget === 'function') {
+    registerControlTarget('goal', { commands: GOAL_COMMANDS, getStatus: getGoalStatus });
+  }
+  
+  logInit('Goal Widget');
+  
+  // Make functions available globally
+  window.setGoalProgress = setGoalProgress;
+  window.addGoalProgress = addGoalProgress;
+  window.setGoalTarget = setGoalTarget;
+  window.resetGoal = resetGoal;
+  window.getGoal = getGoal;
+  window.celebrateGoal = celebrateGoal;
+}
+
+// Auto-initialize when DOM is ready
+onReady(initGoal);
+
+/* ============================================================
+   EXPORTS (for ES6 modules)
+   ============================================================ */
+
+// If using ES6 modules, uncomment below:
+/*
+export {
+  getGoalAmount,
+  setGoalProgress,
+  addGoalProgress,
+  setGoalTarget,
+  resetGoal,
+  getGoal,
+  celebrateGoal
+};
+*/
+
+console.log('%c[NASCAR 25 Stream Overlay] goal.js loaded', 
+  'color: #FDB813; font-weight: bold; font-size: 12px;');
@@ -0,0 +1,265 @@
+/*
+ * irc.js
+ * Twitch IRC (IRCv3) message parser
+ * Pure functions with no DOM or network access: raw IRC lines in, addChatLine data out
+ */
+
+/* ============================================================
+   CONFIGURATION
+   ============================================================ */
+
+const IRC_CONFIG = {
+  // USERNOTICE msg-id values shown in chat as system messages
+  usernoticeTypes: ['sub', 'resub', 'subgift', 'submysterygift', 'raid'],
+  
+  // IRCv3 tag value escape sequences
+  tagEscapes: {
+    ':': ';',
+    's': ' ',
+    '\\': '\\',
+    'r': '\r',
+    'n': '\n'
+  }
+};
+
+/* ============================================================
+   LINE PARSING
+   ============================================================ */
+
+/**
+ * Unescape an IRCv3 tag value (e.g. 'Hello\sworld' -> 'Hello world')
+ * @param {string} value - Escaped tag value
+ * @returns {string}
+ */
+function unescapeIrcTagValue(value) {
+  return value.replace(/\\(.?)/g, (match, char) => IRC_CONFIG.tagEscapes[char] !== undefined ? IRC_CONFIG.tagEscapes[char] : char);
+}
+
+/**
+ * Parse the IRCv3 tags section of a line (without the leading '@')
+ * @param {string} raw - e.g. 'badges=moderator/1;color=#FF0000;display-name=Foo'
+ * @returns {Object} Tag name -> unescaped value
+ */
+function parseIrcTags(raw) {
+  const tags = {};
+  
+  raw.split(';').forEach(pair => {
+    if (!pair) return;
+    
+    const index = pair.indexOf('=');
+    const key = index === -1 ? pair : pair.slice(0, index);
+    const value = index === -1 ? '' : pair.slice(index + 1);
+    tags[key] = unescapeIrcTagValue(value);
+  });
+  
+  return tags;
+}
+
+/**
+ * Parse a badges/badge-info tag value
+ * @param {string} raw - e.g. 'broadcaster/1,subscriber/12'
+ * @returns {Object} Badge set -> version, e.g. { broadcaster: '1', subscriber: '12' }
+ */
+function parseBadges(raw = '') {
+  const badges = {};
+  
+  raw.split(',').forEach(entry => {
+    if (!entry) return;
+    
+    const [set, version = ''] = entry.split('/');
+    badges[set] = version;
+  });
+  
+  return badges;
+}
+
+/**
+ * Parse an emotes tag value
+ * Positions are Unicode code point offsets into the message text (an emoji counts as one)
+ * @param {string} raw - e.g. '25:0-4,12-16/1902:6-10'
+ * @returns {Object[]} [{ id, start, end }] in message order, end inclusive
+ */
+function parseEmotes(raw = '') {
+  const emotes = [];
+  
+  raw.split('/').forEach(entry => {
+    const [id, ranges = ''] = entry.split(':');
+    if (!id) return;
+    
+    ranges.split(',').forEach(range => {
+      const [start, end] = range.split('-').map(Number);
+      if (!Number.isNaN(start) && !Number.isNaN(end)) {
+        emotes.push({ id, start, end });
+      }
+    });
+  });
+  
+  return emotes.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Parse a single raw IRC line
+ * @param {string} line - e.g. '@color=#FF0000 :foo!foo@foo.tmi.twitch.tv PRIVMSG #chan :hello'
+ * @returns {Object|null} { tags, prefix, nick, command, params, trailing }, or null for empty lines
+ */
+function parseIrcMessage(line) {
+  let rest = line.replace(/[\r\n]+$/, '');
+  if (!rest) {
+    return null;
+  }
+  
+  const message = { tags: {}, prefix: '', nick: '', command: '', params: [], trailing: '' };
+  
+  if (rest.startsWith('@')) {
+    const end = rest.indexOf(' ');
+    message.tags = parseIrcTags(rest.slice(1, end));
+    rest = rest.slice(end + 1).trimStart();
+  }
+  
+  if (rest.startsWith(':')) {
+    const end = rest.indexOf(' ');
+    message.prefix = rest.slice(1, end);
+    message.nick = message.prefix.split('!')[0];
+    rest = rest.slice(end + 1).trimStart();
+  }
+  
+  const trailingIndex = rest.indexOf(' :');
+  if (trailingIndex !== -1) {
+    message.trailing = rest.slice(trailingIndex + 2);
+    rest = rest.slice(0, trailingIndex);
+  } else if (rest.startsWith(':')) {
+    message.trailing = rest.slice(1);
+    rest = '';
+  }
+  
+  const parts = rest.split(' ').filter(Boolean);
+  message.command = parts.shift() || '';
+  message.params = parts;
+  
+  return message;
+}
+
+/* ============================================================
+   CHAT MAPPING
+   ============================================================ */
+
+/**
+ * Build the fallback text for a USERNOTICE without a system-msg tag
+ * @param {Object} tags - Parsed IRC tags
+ * @returns {string}
+ */
+function describeUsernotice(tags) {
+  const name = tags['display-name'] || tags.login || 'Someone';
+  
+  switch (tags['msg-id']) {
+    case 'resub':
+      return `${name} subscribed for ${tags['msg-param-cumulative-months'] || 1} months!`;
+    case 'subgift':
+      return `${name} gifted a sub to ${tags['msg-param-recipient-display-name'] || 'someone'}!`;
+    case 'submysterygift':
+      return `${name} is gifting ${tags['msg-param-mass-gift-count'] || 1} subs!`;
+    case 'raid':
+      return `${tags['msg-param-displayName'] || name} raided with ${tags['msg-param-viewerCount'] || 0} viewers!`;
+    default:
+      return `${name} subscribed!`;
+  }
+}
+
+/**
+ * Map a parsed PRIVMSG or USERNOTICE onto addChatLine() message data
+ * @param {Object} message - Result of parseIrcMessage()
+ * @returns {Object|null} messageData for addChatLine, or null if the line should not be shown
+ */
+function ircMessageToChatLine(message) {
+  if (!message) {
+    return null;
+  }
+  
+  const { tags } = message;
+  
+  if (message.command === 'PRIVMSG') {
+    let text = message.trailing;
+    
+    // /me messages arrive wrapped in CTCP ACTION markers
+    const action = text.match(/^\u0001ACTION (.*)\u0001$/);
+    if (action) {
+      text = action[1];
+    }
+    
+    const bits = parseInt(tags.bits, 10) || 0;
+    
+    return {
+      id: tags.id || null,
+      userId: tags['user-id'] || null,
+      login: message.nick,
+      username: tags['display-name'] || message.nick,
+      message: text,
+      badges: Object.entries(parseBadges(tags.badges)).map(([set, version]) => (version ? `${set}/${version}` : set)),
+      emotes: parseEmotes(tags.emotes),
+      color: tags.color || null,
+      cheer: bits > 0,
+      bits: bits,
+      highlighted: tags['msg-id'] === 'highlighted-message'
+    };
+  }
+  
+  if (message.command === 'USERNOTICE' && IRC_CONFIG.usernoticeTypes.includes(tags['msg-id'])) {
+    const systemText = tags['system-msg'] || describeUsernotice(tags);
+    
+    return {
+      id: tags.id || null,
+      userId: tags['user-id'] || null,
+      login: tags.login || '',
+      username: 'System',
+      message: message.trailing ? `${systemText} "${message.trailing}"` : systemText,
+      badges: [],
+      system: true
+    };
+  }
+  
+  return null;
+}
+
+/**
+ * Map a parsed CLEARMSG or CLEARCHAT onto the chat lines it removes
+ * @param {Object} message - Result of parseIrcMessage()
+ * @returns {Object|null} { id } for one deleted message, { userId, login } for a timed out or banned user,
+ *   {} for a cleared chat, or null for other commands
+ */
+function ircMessageToModeration(message) {
+  if (!message) {
+    return null;
+  }
+  
+  const { tags } = message;
+  
+  if (message.command === 'CLEARMSG') {
+    return { id: tags['target-msg-id'] || null };
+  }
+  
+  if (message.command === 'CLEARCHAT') {
+    return message.trailing ? { userId: tags['target-user-id'] || null, login: message.trailing.toLowerCase() } : {};
+  }
+  
+  return null;
+}
+
+/* ============================================================
+   EXPORTS (for ES6 modules)
+   ============================================================ */
+
+// If using ES6 modules, uncomment below:
+/*
+export {
+  unescapeIrcTagValue,
+  parseIrcTags,
+  parseBadges,
+  parseEmotes,
+  parseIrcMessage,
+  ircMessageToChatLine,
+  ircMessageToModeration
+};
+*/
+
+console.log('%c[NASCAR 25 Stream Overlay] irc.js loaded', 
+  'color: #9146FF; font-weight: bold; font-size: 12px;');
@@ -0,0 +1,221 @@
+/*
+ * laptimer.js
+ * Lap timing from lap-crossing timestamps: last, best and average lap, delta to best, stint length
+ * Pure functions with no DOM access, so they can be tested on their own (race.js wires them to the HUD)
+ */
+
+/* ============================================================
+   CONFIGURATION
+   ============================================================ */
+
+const LAP_TIMER_CONFIG = {
+  // Number of recent laps in the rolling average
+  AVERAGE_WINDOW: 5,
+  
+  // Crossings closer together than this are ignored as double presses (seconds)
+  MIN_LAP_TIME: 10
+};
+
+/* ============================================================
+   TIME PARSING & FORMATTING
+   ============================================================ */
+
+/**
+ * Parse a lap time into seconds
+ * @param {number|string} value - Seconds (105.3) or 'm:ss.t' ('1:45.3')
+ * @returns {number|null} Seconds, or null if the value is not a time
+ */
+function parseLapTime(value) {
+  if (typeof value === 'number') {
+    return Number.isFinite(value) ? value : null;
+  }
+  
+  const match = String(value || '').trim().match(/^(?:(\d+):)?(\d+(?:\.\d+)?)$/);
+  if (!match) {
+    return null;
+  }
+  
+  return (parseInt(match[1] || '0', 10) * 60) + parseFloat(match[2]);
+}
+
+/**
+ * Format seconds as a lap time
+ * @param {number} seconds - Lap time in seconds
+ * @returns {string} 'm:ss.t' (e.g. '1:45.3')
+ */
+function formatLapTime(seconds) {
+  const tenths = Math.round(seconds * 10);
+  const minutes = Math.floor(tenths / 600);
+  const rest = ((tenths % 600) / 10).toFixed(1).padStart(4, '0');
+  
+  return `${minutes}:${rest}`;
+}
+
+/**
+ * Format a lap delta
+ * @param {number} seconds - Difference to the reference lap (negative = faster)
+ * @returns {string} e.g. '-0.4', '+1.2', '0.0'
+ */
+function formatLapDelta(seconds) {
+  const tenths = Math.round(seconds * 10);
+  
+  if (tenths === 0) {
+    return '0.0';
+  }
+  
+  return `${tenths > 0 ? '+' : '-'}${(Math.abs(tenths) / 10).toFixed(1)}`;
+}
+
+/* ============================================================
+   LAP TIMER
+   ============================================================ */
+
+/**
+ * Create a lap timer fed with lap-crossing timestamps
+ * The first crossing starts the clock; every crossing after it completes a lap.
+ * A lap during which pit() was called counts as a pit lap: it is excluded from the best lap
+ * and the average, and the next stint starts when it is completed.
+ * @param {Object} options - Timer options
+ * @param {number} options.averageWindow - Laps in the rolling average (default: LAP_TIMER_CONFIG.AVERAGE_WINDOW)
+ * @param {number} options.minLapTime - Shortest valid lap in seconds (default: LAP_TIMER_CONFIG.MIN_LAP_TIME)
+ * @returns {Object} Timer with crossLine(time), pit(time), reset(), getStats(now), save() and restore(state)
+ */
+function createLapTimer(options = {}) {
+  const averageWindow = options.averageWindow || LAP_TIMER_CONFIG.AVERAGE_WINDOW;
+  const minLapTime = options.minLapTime === undefined ? LAP_TIMER_CONFIG.MIN_LAP_TIME : options.minLapTime;
+  
+  let laps = [];
+  let lastCrossing = null;
+  let stintStart = null;
+  let stintLaps = 0;
+  let pitStops = 0;
+  let pitting = false;
+  
+  const timer = {
+    /**
+     * Record a lap crossing
+     * @param {number} time - Crossing timestamp in milliseconds (default: now)
+     * @returns {Object|null} The completed lap { time, pit }, or null if no lap was completed
+     */
+    crossLine(time = Date.now()) {
+      if (lastCrossing === null) {
+        lastCrossing = time;
+        stintStart = time;
+        return null;
+      }
+      
+      const seconds = (time - lastCrossing) / 1000;
+      if (seconds < minLapTime) {
+        return null;
+      }
+      
+      const lap = { time: seconds, pit: pitting };
+      laps.push(lap);
+      lastCrossing = time;
+      
+      if (pitting) {
+        pitting = false;
+        stintStart = time;
+        stintLaps = 0;
+      } else {
+        stintLaps++;
+      }
+      
+      return lap;
+    },
+    
+    /**
+     * Mark the lap in progress as a pit lap
+     * @param {number} time - Pit timestamp in milliseconds (default: now)
+     */
+    pit(time = Date.now()) {
+      if (!pitting) {
+        pitting = true;
+        pitStops++;
+      }
+      if (lastCrossing === null) {
+        lastCrossing = time;
+      }
+    },
+    
+    /**
+     * Get the timer's state as plain data, e.g. to save it (see restore())
+     * @returns {Object}
+     */
+    save() {
+      return { laps: laps.map(lap => ({ ...lap })), lastCrossing, stintStart, stintLaps, pitStops, pitting };
+    },
+    
+    /**
+     * Continue from a state returned by save()
+     * @param {Object} state - Saved timer state
+     */
+    restore(state) {
+      laps = (state.laps || []).map(lap => ({ ...lap }));
+      lastCrossing = state.lastCrossing === undefined ? null : state.lastCrossing;
+      stintStart = state.stintStart === undefined ? null : state.stintStart;
+      stintLaps = state.stintLaps || 0;
+      pitStops = state.pitStops || 0;
+      pitting = Boolean(state.pitting);
+    },
+    
+    /**
+     * Forget every lap and start over
+     */
+    reset() {
+      laps = [];
+      lastCrossing = null;
+      stintStart = null;
+      stintLaps = 0;
+      pitStops = 0;
+      pitting = false;
+    },
+    
+    /**
+     * Get the timing figures
+     * @param {number} now - Current timestamp in milliseconds, for the stint time (default: now)
+     * @returns {Object} { laps, lastLap, lastLapPit, bestLap, averageLap, delta, stintLaps, stintTime, pitStops, pitting }
+     *   lap times are in seconds (null until known); delta compares the last lap with the best lap before it
+     */
+    getStats(now = Date.now()) {
+      const last = laps[laps.length - 1] || null;
+      const timed = laps.filter(lap => !lap.pit).map(lap => lap.time);
+      const recent = timed.slice(-averageWindow);
+      const bestBefore = last && !last.pit
+        ? Math.min(...timed.slice(0, -1))
+        : Infinity;
+      
+      return {
+        laps: laps.length,
+        lastLap: last ? last.time : null,
+        lastLapPit: Boolean(last && last.pit),
+        bestLap: timed.length ? Math.min(...timed) : null,
+        averageLap: recent.length ? recent.reduce((sum, time) => sum + time, 0) / recent.length : null,
+        delta: last && !last.pit && Number.isFinite(bestBefore) ? last.time - bestBefore : null,
+        stintLaps,
+        stintTime: stintStart === null ? 0 : (now - stintStart) / 1000,
+        pitStops,
+        pitting
+      };
+    }
+  };
+  
+  return timer;
+}
+
+/* ============================================================
+   EXPORTS (for ES6 modules)
+   ============================================================ */
+
+// If using ES6 modules, uncomment below:
+/*
+export {
+  parseLapTime,
+  formatLapTime,
+  formatLapDelta,
+  createLapTimer
+};
+*/
+
+console.log('%c[NASCAR 25 Stream Overlay] laptimer.js loaded', 
+  'color: #E10600; font-weight: bold; font-size: 12px;');
@@ -0,0 +1,469 @@
+/*
+ * leaderboard.js
+ * Running order timing tower: position, car number, driver, interval/gap and pit indicator
+ * Full tower in widgets/leaderboard.html, compact top-N tower on the main overlay
+ */
+
+/* ============================================================
+   CONFIGURATION
+   ============================================================ */
+
+const LEADERBOARD_CONFIG = {
+  // Your car number, highlighted in the tower (or ?car=NUMBER in the page URL)
+  MY_CAR: '',
+  
+  // Rows shown in the full tower
+  MAX_ROWS: 40,
+  
+  // Rows shown in compact mode; your car is added below them when it is further back
+  COMPACT_ROWS: 5,
+  
+  // Time column: 'interval' (to the car ahead) or 'gap' (to the leader)
+  TIME_COLUMN: 'interval',
+  
+  // Text in the time column for the leader
+  LEADER_TEXT: 'Leader',
+  
+  // Row swap animation and position change highlight (milliseconds)
+  SWAP_DURATION: 500,
+  CHANGE_DURATION: 2000,
+  
+  // Demo mode interval for the standalone widget (set to 0 to disable)
+  DEMO_INTERVAL: 4000
+};
+
+/* ============================================================
+   STATE MANAGEMENT
+   ============================================================ */
+
+let runningOrder = [];
+let leaderboardLap = null;
+let leaderboardMode = 'full';
+let leaderboardContainer = null;
+let leaderboardDemoInterval = null;
+const leaderboardRows = new Map();
+
+/* ============================================================
+   RUNNING ORDER
+   ============================================================ */
+
+/**
+ * Clean up one running order entry
+ * @param {Object} entry - Raw entry
+ * @param {number} index - Index in the list (used when no position is given)
+ * @returns {Object|null} Entry, or null without a car number
+ */
+function normalizeLeaderboardEntry(entry, index) {
+  if (!entry || entry.number === undefined || entry.number === null || entry.number === '') {
+    return null;
+  }
+  
+  return {
+    position: Number(entry.position) || index + 1,
+    number: String(entry.number),
+    driver: entry.driver || '',
+    interval: entry.interval === undefined ? null : entry.interval,
+    gap: entry.gap === undefined ? null : entry.gap,
+    pit: Boolean(entry.pit)
+  };
+}
+
+/**
+ * Replace the running order
+ * @param {Object[]|Object} order - Array of cars, or { order, lap, totalLaps }
+ *   Each car: { position, number, driver, interval, gap, pit }. Without positions, array order is used.
+ *   interval and gap are seconds (shown as +0.512) or text ('+1 Lap').
+ * @returns {number} Number of cars in the running order
+ */
+function setRunningOrder(order) {
+  const cars = Array.isArray(order) ? order : (order && order.order) || [];
+  
+  if (!Array.isArray(order) && order) {
+    leaderboardLap = order.lap ? { lap: order.lap, totalLaps: order.totalLaps || null } : leaderboardLap;
+  }
+  
+  runningOrder = cars
+    .map(normalizeLeaderboardEntry)
+    .filter(Boolean)
+    .sort((a, b) => a.position - b.position)
+    .slice(0, LEADERBOARD_CONFIG.MAX_ROWS);
+  
+  renderLeaderboard();
+  postLeaderboardStatus();
+  return runningOrder.length;
+}
+
+/**
+ * Apply a running order from a live source (bus or feed), ending the demo
+ * @param {Object[]|Object} order - See setRunningOrder()
+ */
+function applyLiveRunningOrder(order) {
+  stopLeaderboardDemo();
+  setRunningOrder(order);
+}
+
+/**
+ * Get a copy of the current running order
+ * @returns {Object[]}
+ */
+function getRunningOrder() {
+  return runningOrder.map(entry => ({ ...entry }));
+}
+
+/**
+ * Set the car highlighted as yours
+ * @param {string|number} number - Car number ('' for none)
+ */
+function setMyCar(number) {
+  LEADERBOARD_CONFIG.MY_CAR = number === undefined || number === null ? '' : String(number);
+  renderLeaderboard();
+  postLeaderboardStatus();
+}
+
+/**
+ * Switch between the full tower and the compact top-N tower
+ * @param {string} mode - 'full' or 'compact'
+ */
+function setLeaderboardMode(mode) {
+  leaderboardMode = mode === 'compact' ? 'compact' : 'full';
+  
+  if (leaderboardContainer) {
+    leaderboardContainer.classList.toggle('compact', leaderboardMode === 'compact');
+  }
+  
+  renderLeaderboard();
+  postLeaderboardStatus();
+}
+
+/* ============================================================
+   RENDERING
+   ============================================================ */
+
+/**
+ * Format the time column for a car
+ * @param {Object} entry - Running order entry
+ * @returns {string}
+ */
+function formatLeaderboardTime(entry) {
+  if (entry.position === 1) {
+    return LEADERBOARD_CONFIG.LEADER_TEXT;
+  }
+  
+  const value = entry[LEADERBOARD_CONFIG.TIME_COLUMN];
+  
+  if (value === null || value === '') {
+    return '';
+  }
+  
+  return typeof value === 'number' ? `+${value.toFixed(3)}` : String(value);
+}
+
+/**
+ * Get the cars to show in the current mode
+ * @returns {Object[]} Entries; in compact mode your car may follow the top rows with `detached: true`
+ */
+function getVisibleCars() {
+  if (leaderboardMode !== 'compact') {
+    return runningOrder;
+  }
+  
+  const visible = runningOrder.slice(0, LEADERBOARD_CONFIG.COMPACT_ROWS);
+  const myCar = runningOrder.find(entry => entry.number === LEADERBOARD_CONFIG.MY_CAR);
+  
+  if (myCar && !visible.includes(myCar)) {
+    visible.push({ ...myCar, detached: true });
+  }
+  
+  return visible;
+}
+
+/**
+ * Create the row element for a car
+ * @param {string} number - Car number
+ * @returns {HTMLElement}
+ */
+function createLeaderboardRow(number) {
+  const row = createElement('li', {
+    classes: 'leaderboard-row',
+    attrs: { 'data-car': number }
+  });
+  
+  ['position', 'number', 'driver', 'time', 'pit'].forEach(field => {
+    row.appendChild(createElement('span', { classes: `leaderboard-${field}` }));
+  });
+  
+  return row;
+}
+
+/**
+ * Briefly mark a row that gained or lost places
+ * @param {HTMLElement} row - Row element
+ * @param {string} className - 'gained' or 'lost'
+ */
+function flashLeaderboardRow(row, className) {
+  clearTimeout(row.changeTimer);
+  row.classList.remove('gained', 'lost');
+  row.classList.add(className);
+  row.changeTimer = setTimeout(() => row.classList.remove(className), LEADERBOARD_CONFIG.CHANGE_DURATION);
+}
+
+/**
+ * Render the tower, reusing rows so cars that change places slide to their new row
+ */
+function renderLeaderboard() {
+  if (!leaderboardContainer) return;
+  
+  const list = leaderboardContainer.querySelector('.leaderboard-rows');
+  const cars = getVisibleCars();
+  const seen = new Set();
+  
+  // Remember where every row is before reordering (FLIP animation)
+  const before = new Map();
+  leaderboardRows.forEach((row, number) => before.set(number, row.getBoundingClientRect().top));
+  
+  cars.forEach(entry => {
+    let row = leaderboardRows.get(entry.number);
+    if (!row) {
+      row = createLeaderboardRow(entry.number);
+      leaderboardRows.set(entry.number, row);
+    }
+    
+    const previous = Number(row.dataset.position);
+    if (previous && previous !== entry.position) {
+      flashLeaderboardRow(row, entry.position < previous ? 'gained' : 'lost');
+    }
+    
+    row.dataset.position = entry.position;
+    row.querySelector('.leaderboard-position').textContent = entry.position;
+    row.querySelector('.leaderboard-number').textContent = entry.number;
+    row.querySelector('.leaderboard-driver').textContent = entry.driver;
+    row.querySelector('.leaderboard-time').textContent = formatLeaderboardTime(entry);
+    row.querySelector('.leaderboard-pit').textContent = entry.pit ? 'PIT' : '';
+    row.classList.toggle('in-pit', entry.pit);
+    row.classList.toggle('my-car', entry.number === LEADERBOARD_CONFIG.MY_CAR);
+    row.classList.toggle('detached', Boolean(entry.detached));
+    
+    list.appendChild(row);
+    seen.add(entry.number);
+  });
+  
+  // Drop rows for cars no longer shown
+  leaderboardRows.forEach((row, number) => {
+    if (!seen.has(number)) {
+      row.remove();
+      leaderboardRows.delete(number);
+    }
+  });
+  
+  // Slide rows from their old place to the new one
+  leaderboardRows.forEach((row, number) => {
+    if (!before.has(number)) return;
+    
+    const offset = before.get(number) - row.getBoundingClientRect().top;
+    if (!offset) return;
+    
+    row.style.transition = 'none';
+    row.style.transform = `translateY(${offset}px)`;
+    void row.offsetWidth; // Apply the offset before animating it away
+    row.style.transition = `transform ${LEADERBOARD_CONFIG.SWAP_DURATION}ms ease`;
+    row.style.transform = '';
+  });
+  
+  const lap = leaderboardContainer.querySelector('.leaderboard-lap');
+  if (lap) {
+    lap.textContent = leaderboardLap
+      ? `Lap ${leaderboardLap.lap}${leaderboardLap.totalLaps ? `/${leaderboardLap.totalLaps}` : ''}`
+      : '';
+  }
+  
+  leaderboardContainer.classList.toggle('empty', cars.length === 0);
+}
+
+/* ============================================================
+   DEMO MODE (For Testing)
+   ============================================================ */
+
+const LEADERBOARD_DEMO_DATA = {
+  drivers: [
+    { number: '24', driver: 'SpeedRacer88' },
+    { number: '5', driver: 'TurboDriver' },
+    { number: '9', driver: 'NitroBoost' },
+    { number: '11', driver: 'CheckeredFlag' },
+    { number: '22', driver: 'PitCrewPro' },
+    { number: '12', driver: 'FastLane99' },
+    { number: '20', driver: 'RacingLegend' },
+    { number: '48', driver: 'TrackStar' },
+    { number: '19', driver: 'ThrottleMax' },
+    { number: '1', driver: 'VictoryLap' }
+  ]
+};
+
+/**
+ * Build a demo running order with random intervals
+ * @param {Object[]} cars - Cars in running order
+ * @returns {Object[]}
+ */
+function buildDemoOrder(cars) {
+  return cars.map((car, index) => ({
+    ...car,
+    position: index + 1,
+    interval: index === 0 ? null : randomInt(50, 1500) / 1000,
+    pit: Math.random() < 0.05
+  }));
+}
+
+/**
+ * Start demo mode: random position swaps between neighbouring cars
+ */
+function startLeaderboardDemo() {
+  if (LEADERBOARD_CONFIG.DEMO_INTERVAL > 0 && !leaderboardDemoInterval) {
+    console.log('Starting leaderboard demo mode...');
+    
+    let cars = LEADERBOARD_DEMO_DATA.drivers.slice();
+    let lap = 15;
+    setRunningOrder({ order: buildDemoOrder(cars), lap, totalLaps: 200 });
+    
+    leaderboardDemoInterval = setInterval(() => {
+      const index = randomInt(0, cars.length - 2);
+      cars = cars.slice();
+      [cars[index], cars[index + 1]] = [cars[index + 1], cars[index]];
+      lap++;
+      setRunningOrder({ order: buildDemoOrder(cars), lap, totalLaps: 200 });
+    }, LEADERBOARD_CONFIG.DEMO_INTERVAL);
+  }
+}
+
+/**
+ * Stop demo mode
+ */
+function stopLeaderboardDemo() {
+  if (leaderboardDemoInterval) {
+    clearInterval(leaderboardDemoInterval);
+    leaderboardDemoInterval = null;
+    console.log('Leaderboard demo mode stopped');
+  }
+}
+
+/* ============================================================
+   REMOTE CONTROL
+   ============================================================ */
+
+/**
+ * Get the leaderboard state for the dock
+ * @returns {Object} { cars, leader, myCar, mode, demo }
+ */
+function getLeaderboardStatus() {
+  const leader = runningOrder[0];
+  const myCar = runningOrder.find(entry => entry.number === LEADERBOARD_CONFIG.MY_CAR);
+  
+  return {
+    cars: runningOrder.length,
+    leader: leader ? `#${leader.number} ${leader.driver}` : '-',
+    myCar: LEADERBOARD_CONFIG.MY_CAR ? `#${LEADERBOARD_CONFIG.MY_CAR}${myCar ? ` P${myCar.position}` : ''}` : '-',
+    mode: leaderboardMode,
+    demo: Boolean(leaderboardDemoInterval)
+  };
+}
+
+/**
+ * Commands accepted from the dock (see control.js)
+ */
+const LEADERBOARD_COMMANDS = {
+  car: setMyCar,
+  mode: setLeaderboardMode,
+  clear: () => setRunningOrder([]),
+  demo: (enabled) => (enabled ? startLeaderboardDemo() : stopLeaderboardDemo())
+};
+
+/**
+ * Report the current status to the dock (standalone widget only)
+ */
+function postLeaderboardStatus() {
+  if (typeof postControlStatus === 'function') {
+    postControlStatus('leaderboard');
+  }
+}
+
+/* ============================================================
+   INITIALIZATION
+   ============================================================ */
+
+/**
+ * Initialize the leaderboard
+ * The container is #leaderboard; add class "compact" for the top-N tower and
+ * data-embedded when it sits inside another overlay (no demo, no dock target).
+ */
+function initLeaderboard() {
+  leaderboardContainer = document.getElementById('leaderboard');
+  
+  if (!leaderboardContainer) {
+    console.error('Leaderboard container not found');
+    return;
+  }
+  
+  const params = new URLSearchParams(window.location.search);
+  const embedded = leaderboardContainer.hasAttribute('data-embedded');
+  
+  if (params.get('car')) {
+    LEADERBOARD_CONFIG.MY_CAR = params.get('car');
+  }
+  
+  leaderboardMode = params.get('mode') === 'compact' || leaderboardContainer.classList.contains('compact')
+    ? 'compact'
+    : 'full';
+  leaderboardContainer.classList.toggle('compact', leaderboardMode === 'compact');
+  
+  // Running order updates published on the bus: bus.emit({ type: 'leaderboard', data: order })
+  bus.on('leaderboard', event => applyLiveRunningOrder(event.data));
+  
+  // ?feed=ws://localhost:8765 or ?feed=order.json
+  if (params.get('feed')) {
+    connectJsonFeed(params.get('feed'), message => applyLiveRunningOrder(message.leaderboard || message), {
+      name: 'Leaderboard feed'
+    });
+  }
+  
+  // Accept commands from the dock (control panel)
+  if (!embedded && typeof registerControlTarget === 'function') {
+    registerControlTarget('leaderboard', { commands: LEADERBOARD_COMMANDS, getStatus: getLeaderboardStatus });
+  }
+  
+  renderLeaderboard();
+  logInit('Leaderboard');
+  
+  // Start demo mode if configured
+  if (!embedded && !params.get('feed') && LEADERBOARD_CONFIG.DEMO_INTERVAL > 0) {
+    // Delay demo start slightly to allow page to fully load
+    setTimeout(startLeaderboardDemo, 1000);
+  }
+  
+  // Make functions available globally
+  window.setRunningOrder = setRunningOrder;
+  window.getRunningOrder = getRunningOrder;
+  window.setMyCar = setMyCar;
+  window.setLeaderboardMode = setLeaderboardMode;
+  window.startLeaderboardDemo = startLeaderboardDemo;
+  window.stopLeaderboardDemo = stopLeaderboardDemo;
+}
+
+// Auto-initialize when DOM is ready
+onReady(initLeaderboard);
+
+/* ============================================================
+   EXPORTS (for ES6 modules)
+   ============================================================ */
+
+// If using ES6 modules, uncomment below:
+/*
+export {
+  setRunningOrder,
+  getRunningOrder,
+  setMyCar,
+  setLeaderboardMode,
+  startLeaderboardDemo,
+  stopLeaderboardDemo
+};
+*/
+
+console.log('%c[NASCAR 25 Stream Overlay] leaderboard.js loaded', 
+  'color: #00FFFF; font-weight: bold; font-size: 12px;');
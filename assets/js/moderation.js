@@ -0,0 +1,189 @@
+/*
+ * moderation.js
+ * Chat filters: hidden bot accounts and !commands, masked blocked terms and links
+ * Pure functions with no DOM or network access: addChatLine data in, filtered data (or null) out (requires shared.js)
+ */
+
+/* ============================================================
+   CONFIGURATION
+   ============================================================ */
+
+const MODERATION_CONFIG = {
+  // Hide messages from these accounts (login names, or ?bots=name,name in the page URL)
+  HIDE_BOTS: true,
+  BOTS: ['nightbot', 'streamelements', 'streamlabs', 'moobot', 'fossabot', 'wizebot'],
+  
+  // Hide chat commands (messages starting with the prefix)
+  HIDE_COMMANDS: true,
+  COMMAND_PREFIX: '!',
+  
+  // Mask these terms as whole words, ignoring case; '*' matches any letters, e.g. 'spam*' (or ?blocked=term,term)
+  BLOCKED_TERMS: [],
+  MASK_TEXT: '***',
+  
+  // Mask links, except from users with one of these badges
+  // A link starts with http(s):// or www., or is a bare domain ending in one of the listed TLDs ('gg.wp' is not a link)
+  MASK_LINKS: true,
+  LINK_TEXT: '<link>',
+  LINK_BADGES: ['broadcaster', 'moderator', 'vip'],
+  LINK_PATTERN: /(?:https?:\/\/|www\.)\S+|\b[a-z0-9-]+(?:\.[a-z0-9-]+)*\.(?:com|net|org|tv|gg|io|me|co|ly|xyz|app|live|link|shop|store|ru)\b(?:\/\S*)?/gi
+};
+
+/* ============================================================
+   FILTERS
+   ============================================================ */
+
+/**
+ * Build the pattern matching any of the blocked terms
+ * @param {string[]} terms - Blocked terms ('*' matches any letters or digits)
+ * @returns {RegExp}
+ */
+function createBlockedTermPattern(terms) {
+  const alternatives = terms.map(term => escapeRegExp(term).replace(/\\\*/g, '[\\p{L}\\p{N}]*'));
+  return new RegExp(`(?<![\\p{L}\\p{N}])(?:${alternatives.join('|')})(?![\\p{L}\\p{N}])`, 'giu');
+}
+
+/**
+ * Work out whether a chat line should be hidden
+ * @param {Object} messageData - addChatLine data
+ * @param {Object} config - Moderation settings (default: MODERATION_CONFIG)
+ * @returns {string|null} 'bot' or 'command', or null if the line is shown
+ */
+function getChatLineFilter(messageData, config = MODERATION_CONFIG) {
+  const login = (messageData.login || messageData.username || '').toLowerCase();
+  const message = (messageData.message || '').trim();
+  
+  if (config.HIDE_BOTS && config.BOTS.some(bot => bot.toLowerCase() === login)) {
+    return 'bot';
+  }
+  
+  if (config.HIDE_COMMANDS && config.COMMAND_PREFIX && message.startsWith(config.COMMAND_PREFIX)) {
+    return 'command';
+  }
+  
+  return null;
+}
+
+/**
+ * Mask blocked terms and links in a message
+ * Twitch emote positions are moved to match the new text; emotes inside masked text are dropped.
+ * @param {string} message - Message text
+ * @param {Object[]} emotes - Twitch emote positions ({ id, start, end } in code points, see parseEmotes in irc.js)
+ * @param {Object} options - { maskLinks } overrides config.MASK_LINKS
+ * @param {Object} config - Moderation settings (default: MODERATION_CONFIG)
+ * @returns {Object} { message, emotes, masked }
+ */
+function maskChatMessage(message, emotes = [], options = {}, config = MODERATION_CONFIG) {
+  const maskLinks = options.maskLinks === undefined ? config.MASK_LINKS : options.maskLinks;
+  const patterns = [];
+  
+  if (config.BLOCKED_TERMS.length > 0) {
+    patterns.push({ regex: createBlockedTermPattern(config.BLOCKED_TERMS), text: config.MASK_TEXT });
+  }
+  if (maskLinks) {
+    patterns.push({ regex: new RegExp(config.LINK_PATTERN.source, 'gi'), text: config.LINK_TEXT });
+  }
+  
+  // Matches in code points, first match wins where two overlap
+  const matches = [];
+  patterns.forEach(({ regex, text }) => {
+    for (const match of message.matchAll(regex)) {
+      if (!match[0]) continue;
+      
+      const start = Array.from(message.slice(0, match.index)).length;
+      matches.push({ start, end: start + Array.from(match[0]).length - 1, text });
+    }
+  });
+  
+  const masks = [];
+  matches.sort((a, b) => a.start - b.start).forEach(match => {
+    const last = masks[masks.length - 1];
+    if (!last || match.start > last.end) {
+      masks.push(match);
+    }
+  });
+  
+  if (masks.length === 0) {
+    return { message, emotes, masked: false };
+  }
+  
+  const chars = Array.from(message);
+  let text = '';
+  let index = 0;
+  masks.forEach(mask => {
+    text += chars.slice(index, mask.start).join('') + mask.text;
+    index = mask.end + 1;
+  });
+  text += chars.slice(index).join('');
+  
+  // Shift each emote by the length change of the masks before it
+  const shifted = emotes
+    .filter(emote => !masks.some(mask => emote.start <= mask.end && emote.end >= mask.start))
+    .map(emote => {
+      const shift = masks
+        .filter(mask => mask.end < emote.start)
+        .reduce((total, mask) => total + Array.from(mask.text).length - (mask.end - mask.start + 1), 0);
+      return { ...emote, start: emote.start + shift, end: emote.end + shift };
+    });
+  
+  return { message: text, emotes: shifted, masked: true };
+}
+
+/**
+ * Apply the chat filters to a line
+ * System messages are passed through unchanged.
+ * @param {Object} messageData - addChatLine data
+ * @param {Object} config - Moderation settings (default: MODERATION_CONFIG)
+ * @returns {Object|null} Line with blocked terms and links masked, or null if it is hidden
+ */
+function filterChatLine(messageData, config = MODERATION_CONFIG) {
+  if (messageData.system) {
+    return messageData;
+  }
+  
+  if (getChatLineFilter(messageData, config)) {
+    return null;
+  }
+  
+  const badges = messageData.badges || [];
+  const { message, emotes, masked } = maskChatMessage(messageData.message || '', messageData.emotes, {
+    maskLinks: config.MASK_LINKS && !badges.some(badge => config.LINK_BADGES.includes(badge.split('/')[0]))
+  }, config);
+  
+  return masked ? { ...messageData, message, emotes } : messageData;
+}
+
+/**
+ * Read moderation settings from page URL parameters
+ * ?bots=name,name replaces the hidden bot list (empty shows every bot), ?blocked=term,term adds blocked terms
+ * @param {URLSearchParams} params - Page URL parameters
+ * @param {Object} config - Settings to update (default: MODERATION_CONFIG)
+ */
+function applyModerationParams(params, config = MODERATION_CONFIG) {
+  const list = (name) => params.get(name).split(',').map(entry => entry.trim()).filter(Boolean);
+  
+  if (params.has('bots')) {
+    config.BOTS = list('bots');
+  }
+  
+  if (params.get('blocked')) {
+    config.BLOCKED_TERMS = [...config.BLOCKED_TERMS, ...list('blocked')];
+  }
+}
+
+/* ============================================================
+   EXPORTS (for ES6 modules)
+   ============================================================ */
+
+// If using ES6 modules, uncomment below:
+/*
+export {
+  getChatLineFilter,
+  maskChatMessage,
+  filterChatLine,
+  applyModerationParams
+};
+*/
+
+console.log('%c[NASCAR 25 Stream Overlay] moderation.js loaded', 
+  'color: #9146FF; font-weight: bold; font-size: 12px;');
@@ -0,0 +1,488 @@
+/*
+ * race.js
+ * Live race data for the main overlay HUD (position, lap, gap, lap times, stint)
+ * Updated from the console, the control panel, or a local JSON/WebSocket feed (telemetry bridge)
+ * Lap times can be computed from lap crossings (requires laptimer.js)
+ */
+
+/* ============================================================
+   CONFIGURATION
+   ============================================================ */
+
+const RACE_CONFIG = {
+  // How long the green/red position change highlight stays on (milliseconds)
+  POSITION_CHANGE_DURATION: 2000,
+  
+  // How long the purple fastest-lap flash stays on (milliseconds)
+  FASTEST_LAP_DURATION: 3000,
+  
+  // Text shown in the Gap box when the gap is 0 (you are leading)
+  LEADER_TEXT: 'Leader',
+  
+  // How often an http(s) JSON feed is polled (milliseconds)
+  FEED_POLL_INTERVAL: 1000,
+  
+  // WebSocket feed reconnect delays (milliseconds)
+  RECONNECT_DELAY: 2000,
+  MAX_RECONNECT_DELAY: 30000
+};
+
+/* ============================================================
+   STATE MANAGEMENT
+   ============================================================ */
+
+const raceState = {
+  position: null,
+  lap: null,
+  totalLaps: null,
+  gap: null,
+  bestLap: null,
+  lastLap: null,
+  averageLap: null,
+  delta: null,
+  stintLaps: null,
+  pitting: false
+};
+
+const raceHighlightTimers = new Map();
+let lapTimer = null;
+let saveRaceState = () => {};
+
+/* ============================================================
+   PARSING & FORMATTING
+   ============================================================ */
+
+/**
+ * Parse a whole number, ignoring a leading label such as 'P' in 'P7'
+ * @param {number|string} value
+ * @returns {number|null}
+ */
+function parseRaceNumber(value) {
+  const number = parseInt(String(value).replace(/^\D+/, ''), 10);
+  return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Turn loosely typed race data (numbers, or strings typed into the control panel) into state values
+ * @param {Object} update - Any of { position, lap, totalLaps, gap, bestLap, lastLap, averageLap, delta, stintLaps, pitting }
+ * @returns {Object} Parsed values for the fields present in the update
+ */
+function normalizeRaceState(update) {
+  const parsed = {};
+  
+  if (update.position !== undefined) {
+    parsed.position = parseRaceNumber(update.position);
+  }
+  
+  if (update.lap !== undefined) {
+    // '15/200' sets both the lap and the total
+    const [lap, totalLaps] = String(update.lap).split('/');
+    parsed.lap = parseRaceNumber(lap);
+    if (totalLaps !== undefined) {
+      parsed.totalLaps = parseRaceNumber(totalLaps);
+    }
+  }
+  
+  if (update.totalLaps !== undefined) {
+    parsed.totalLaps = parseRaceNumber(update.totalLaps);
+  }
+  
+  if (update.gap !== undefined) {
+    // Numbers and '+0.5s' become seconds; anything else ('+1 Lap') is shown as-is
+    const gap = typeof update.gap === 'number' ? update.gap : parseFloat(update.gap);
+    const isSeconds = typeof update.gap === 'number' || /^[+-]?\d+(\.\d+)?s?$/.test(String(update.gap).trim());
+    parsed.gap = isSeconds ? gap : update.gap;
+  }
+  
+  ['bestLap', 'lastLap', 'averageLap'].forEach(field => {
+    if (update[field] !== undefined) {
+      parsed[field] = parseLapTime(update[field]);
+    }
+  });
+  
+  if (update.delta !== undefined) {
+    const delta = parseFloat(update.delta);
+    parsed.delta = Number.isFinite(delta) ? delta : null;
+  }
+  
+  if (update.stintLaps !== undefined) {
+    parsed.stintLaps = parseRaceNumber(update.stintLaps);
+  }
+  
+  if (update.pitting !== undefined) {
+    parsed.pitting = Boolean(update.pitting);
+  }
+  
+  return parsed;
+}
+
+/**
+ * Format a state value for its HUD box
+ * @param {string} stat - Race state field ('position', 'lap', 'gap', 'bestLap', 'stintLaps'...)
+ * @param {Object} state - Race state
+ * @returns {string}
+ */
+function formatRaceStat(stat, state) {
+  const value = state[stat];
+  
+  if (stat === 'stintLaps' && state.pitting) {
+    return 'Pit';
+  }
+  
+  if (value === null || value === undefined) {
+    return '-';
+  }
+  
+  switch (stat) {
+    case 'position':
+      return `P${value}`;
+    
+    case 'lap':
+      return state.totalLaps ? `${value}/${state.totalLaps}` : String(value);
+    
+    case 'gap':
+      if (typeof value !== 'number') return String(value);
+      if (value === 0) return RACE_CONFIG.LEADER_TEXT;
+      return `${value > 0 ? '+' : ''}${value.toFixed(1)}s`;
+    
+    case 'bestLap':
+    case 'lastLap':
+    case 'averageLap':
+      return formatLapTime(value);
+    
+    case 'delta':
+      return formatLapDelta(value);
+    
+    case 'stintLaps':
+      return formatTemplate('{laps|plural:# lap:# laps}', { laps: value });
+    
+    default:
+      return String(value);
+  }
+}
+
+/* ============================================================
+   HUD RENDERING
+   ============================================================ */
+
+/**
+ * Briefly highlight a race stat box (restarts the highlight if it is already on)
+ * @param {HTMLElement} element - .race-stat element
+ * @param {string} className - Highlight class
+ * @param {number} duration - How long the class stays on (milliseconds)
+ */
+function highlightRaceStat(element, className, duration) {
+  const key = `${element.dataset.stat}:${className}`;
+  
+  clearTimeout(raceHighlightTimers.get(key));
+  element.classList.remove('position-gain', 'position-loss', className);
+  void element.offsetWidth; // Reflow so the animation starts over
+  element.classList.add(className);
+  
+  raceHighlightTimers.set(key, setTimeout(() => {
+    element.classList.remove(className);
+    raceHighlightTimers.delete(key);
+  }, duration));
+}
+
+/**
+ * Show the current race state in every [data-stat] box
+ */
+function renderRaceState() {
+  document.querySelectorAll('.race-stat[data-stat]').forEach(element => {
+    const value = element.querySelector('.value');
+    if (value) {
+      value.textContent = formatRaceStat(element.dataset.stat, raceState);
+    }
+    
+    if (element.dataset.stat === 'delta') {
+      element.classList.toggle('delta-faster', raceState.delta < 0);
+      element.classList.toggle('delta-slower', raceState.delta > 0);
+    }
+  });
+}
+
+/* ============================================================
+   RACE STATE API
+   ============================================================ */
+
+/**
+ * Update the race HUD. Only the fields passed are changed.
+ * Position gains flash green and losses red; an improved best lap flashes purple.
+ * A lastLap faster than the current best also becomes the new best lap, unless it was a pit lap.
+ * @param {Object} update - Race data
+ * @param {number|string} update.position - Running position (7 or 'P7')
+ * @param {number|string} update.lap - Current lap (15, or '15/200')
+ * @param {number} update.totalLaps - Race length in laps
+ * @param {number|string} update.gap - Gap in seconds (0.5, '+0.5s'), 0 when leading, or any text ('+1 Lap')
+ * @param {number|string} update.bestLap - Best lap (105.3 seconds or '1:45.3')
+ * @param {number|string} update.lastLap - Last completed lap (105.3 seconds or '1:45.3')
+ * @param {number|string} update.averageLap - Rolling average lap (seconds or 'm:ss.t')
+ * @param {number} update.delta - Last lap minus best lap, in seconds
+ * @param {number} update.stintLaps - Laps since the last pit stop
+ * @param {boolean} update.pitting - Whether the car is on a pit lap
+ * @param {boolean} update.lastLapPit - Whether lastLap was a pit lap (it never becomes the best lap)
+ * @returns {Object} The new race state
+ */
+function setRaceState(update = {}) {
+  const parsed = normalizeRaceState(update);
+  const previous = { ...raceState };
+  
+  if (parsed.lastLap && !update.lastLapPit && (!raceState.bestLap || parsed.lastLap < raceState.bestLap) && parsed.bestLap === undefined) {
+    parsed.bestLap = parsed.lastLap;
+  }
+  
+  Object.assign(raceState, parsed);
+  renderRaceState();
+  saveRaceState();
+  
+  const positionStat = document.querySelector('.race-stat[data-stat="position"]');
+  if (positionStat && previous.position && raceState.position && raceState.position !== previous.position) {
+    const gained = raceState.position < previous.position;
+    highlightRaceStat(positionStat, gained ? 'position-gain' : 'position-loss', RACE_CONFIG.POSITION_CHANGE_DURATION);
+  }
+  
+  const bestLapStat = document.querySelector('.race-stat[data-stat="bestLap"]');
+  if (bestLapStat && previous.bestLap && raceState.bestLap && raceState.bestLap < previous.bestLap) {
+    highlightRaceStat(bestLapStat, 'fastest-lap', RACE_CONFIG.FASTEST_LAP_DURATION);
+  }
+  
+  if (typeof postControlStatus === 'function') {
+    postControlStatus('overlay');
+  }
+  
+  return getRaceState();
+}
+
+/**
+ * Get a copy of the current race state
+ * @returns {Object} { position, lap, totalLaps, gap, bestLap, lastLap, averageLap, delta, stintLaps, pitting }
+ */
+function getRaceState() {
+  return { ...raceState };
+}
+
+/**
+ * Load values written into the HUD markup by hand as the starting state (no highlights)
+ * Boxes showing '-' (as shipped) are left empty until race data arrives.
+ */
+function readRaceStateFromHud() {
+  const initial = {};
+  
+  document.querySelectorAll('.race-stat[data-stat]').forEach(element => {
+    const value = element.querySelector('.value');
+    if (value && value.textContent.trim() !== '-') {
+      initial[element.dataset.stat] = value.textContent.trim();
+    }
+  });
+  
+  Object.assign(raceState, normalizeRaceState(initial));
+}
+
+/* ============================================================
+   LAP TIMING
+   ============================================================ */
+
+/**
+ * Show the lap timer's figures on the HUD
+ * @param {Object} extra - Other race fields to set in the same update (e.g. the new lap number)
+ */
+function applyLapStats(extra = {}) {
+  const stats = lapTimer.getStats();
+  const update = {
+    lastLap: stats.lastLap,
+    lastLapPit: stats.lastLapPit,
+    averageLap: stats.averageLap,
+    delta: stats.delta,
+    stintLaps: stats.stintLaps,
+    pitting: stats.pitting,
+    ...extra
+  };
+  
+  // Keep the HUD's best lap until the timer has a clean lap of its own
+  if (stats.bestLap !== null) {
+    update.bestLap = stats.bestLap;
+  }
+  
+  setRaceState(update);
+}
+
+/**
+ * Record the car crossing the start/finish line
+ * The first crossing starts the clock; each later one completes a lap and advances the Lap counter.
+ * @param {number} time - Crossing timestamp in milliseconds (default: now)
+ */
+function recordLapCrossing(time = Date.now()) {
+  const lap = lapTimer.crossLine(time);
+  
+  if (lap) {
+    applyLapStats({ lap: (raceState.lap || 0) + 1 });
+  } else {
+    applyLapStats();
+  }
+}
+
+/**
+ * Record a pit stop on the lap in progress (it is left out of the best and average lap, and starts a new stint)
+ * @param {number} time - Pit timestamp in milliseconds (default: now)
+ */
+function recordPitStop(time = Date.now()) {
+  lapTimer.pit(time);
+  applyLapStats();
+}
+
+/**
+ * Clear the lap timer (new session or race)
+ */
+function resetLapTimer() {
+  lapTimer.reset();
+  setRaceState({ lastLap: null, averageLap: null, delta: null, stintLaps: null, pitting: false });
+}
+
+/* ============================================================
+   LIVE FEED
+   ============================================================ */
+
+/**
+ * Apply one message from a race feed
+ * Messages are JSON objects with race fields, optionally wrapped as { race: { ... } }.
+ * { crossing: timestamp } records a lap crossing and { pit: timestamp } a pit stop (true = now).
+ * { leaderboard: [...] } updates the running order tower (when leaderboard.js is loaded).
+ * @param {Object} message - Parsed feed message
+ */
+function handleRaceFeedMessage(message) {
+  if (!message || typeof message !== 'object') return;
+  
+  const timeOf = (value) => (typeof value === 'number' ? value : Date.now());
+  
+  if (message.pit) {
+    recordPitStop(timeOf(message.pit));
+  }
+  
+  if (message.crossing) {
+    recordLapCrossing(timeOf(message.crossing));
+  }
+  
+  if (message.leaderboard && typeof setRunningOrder === 'function') {
+    setRunningOrder(message.leaderboard);
+  }
+  
+  if (message.race) {
+    setRaceState(message.race);
+  } else if (!message.pit && !message.crossing && !message.leaderboard) {
+    setRaceState(message);
+  }
+}
+
+/**
+ * Connect to a local race data feed (see connectJsonFeed in shared.js)
+ * @param {string} url - ws:// or wss:// WebSocket, or the URL of a JSON file that is re-read every FEED_POLL_INTERVAL
+ * @returns {Object} Connection handle with a close() method
+ */
+function connectRaceFeed(url) {
+  return connectJsonFeed(url, handleRaceFeedMessage, {
+    name: 'Race feed',
+    pollInterval: RACE_CONFIG.FEED_POLL_INTERVAL,
+    reconnectDelay: RACE_CONFIG.RECONNECT_DELAY,
+    maxReconnectDelay: RACE_CONFIG.MAX_RECONNECT_DELAY
+  });
+}
+
+/* ============================================================
+   REMOTE CONTROL
+   ============================================================ */
+
+/**
+ * Get the race HUD status for the control panel
+ * @returns {Object} { race, timing } with each stat as shown on the HUD
+ */
+function getRaceStatus() {
+  const race = {};
+  const stats = lapTimer.getStats();
+  
+  document.querySelectorAll('.race-stat[data-stat]').forEach(element => {
+    race[element.dataset.stat] = formatRaceStat(element.dataset.stat, raceState);
+  });
+  
+  return {
+    race,
+    timing: {
+      laps: stats.laps,
+      average: formatRaceStat('averageLap', raceState),
+      pitStops: stats.pitStops
+    }
+  };
+}
+
+// Commands accepted from the control panel (see control.js)
+const RACE_COMMANDS = {
+  race: setRaceState,
+  lap: recordLapCrossing,
+  pit: recordPitStop,
+  resetLaps: resetLapTimer
+};
+
+/* ============================================================
+   INITIALIZATION
+   ============================================================ */
+
+/**
+ * Initialize the race HUD
+ * A feed can be given in the page URL: ?race=ws://localhost:8765 or ?race=race.json
+ */
+function initRace() {
+  lapTimer = createLapTimer();
+  readRaceStateFromHud();
+  
+  // Continue from the race state and laps saved before the source was refreshed (storage.js)
+  if (typeof persistState === 'function') {
+    const saved = loadState('race');
+    if (saved) {
+      Object.assign(raceState, saved.race);
+      lapTimer.restore(saved.timing);
+      renderRaceState();
+    }
+    saveRaceState = persistState('race', () => ({ race: raceState, timing: lapTimer.save() }));
+  }
+  
+  if (typeof registerControlTarget === 'function') {
+    registerControlTarget('overlay', { commands: RACE_COMMANDS, getStatus: getRaceStatus });
+  }
+  
+  const feedUrl = new URLSearchParams(window.location.search).get('race');
+  if (feedUrl) {
+    connectRaceFeed(feedUrl);
+  }
+  
+  logInit('Race HUD');
+  
+  // Make functions available globally
+  window.setRaceState = setRaceState;
+  window.getRaceState = getRaceState;
+  window.recordLapCrossing = recordLapCrossing;
+  window.recordPitStop = recordPitStop;
+  window.resetLapTimer = resetLapTimer;
+  window.connectRaceFeed = connectRaceFeed;
+}
+
+// Auto-initialize when DOM is ready
+onReady(initRace);
+
+/* ============================================================
+   EXPORTS (for ES6 modules)
+   ============================================================ */
+
+// If using ES6 modules, uncomment below:
+/*
+export {
+  setRaceState,
+  getRaceState,
+  recordLapCrossing,
+  recordPitStop,
+  resetLapTimer,
+  connectRaceFeed
+};
+*/
+
+console.log('%c[NASCAR 25 Stream Overlay] race.js loaded', 
+  'color: #E10600; font-weight: bold; font-size: 12px;');
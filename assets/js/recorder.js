@@ -0,0 +1,321 @@
+/*
+ * recorder.js
+ * Session recorder and playback for rehearsals and bug reports
+ * Captures bus events and chat lines with timestamps, and replays them deterministically
+ */
+
+/* ============================================================
+   CONFIGURATION
+   ============================================================ */
+
+const RECORDER_CONFIG = {
+  // Recording file format version
+  VERSION: 1,
+  
+  // localStorage key prefix the in-progress recording is mirrored to (followed by the page name, e.g. 'alerts')
+  STORAGE_PREFIX: 'nascar25-recording-',
+  
+  // Delay before mirroring new entries to localStorage (milliseconds)
+  SAVE_DELAY: 1000,
+  
+  // Most entries kept per recording; older entries are dropped so the mirrored copy stays small
+  MAX_ENTRIES: 2000,
+  
+  // Keys that advance playback in step mode
+  STEP_KEYS: [' ', 'ArrowRight', 'Enter']
+};
+
+/* ============================================================
+   STATE MANAGEMENT
+   ============================================================ */
+
+let activeRecording = null;
+let recordingStartTime = 0;
+let stopRecordingBus = null;
+let activePlayback = null;
+
+/* ============================================================
+   RECORDING
+   ============================================================ */
+
+/**
+ * Get the name of the current page (e.g. 'alerts' for widgets/alerts.html)
+ * @returns {string}
+ */
+function getRecordingPageName() {
+  return window.location.pathname.split('/').pop().replace(/\.html?$/, '') || 'index';
+}
+
+/**
+ * Get the localStorage key a page's recording is mirrored to
+ * @param {string} page - Page name (default: the current page)
+ * @returns {string}
+ */
+function getRecordingStorageKey(page = getRecordingPageName()) {
+  return RECORDER_CONFIG.STORAGE_PREFIX + page;
+}
+
+/**
+ * Mirror a recording to localStorage so it survives the page being closed
+ * @param {Object} recording - Recording session
+ */
+function persistRecording(recording) {
+  try {
+    localStorage.setItem(getRecordingStorageKey(), JSON.stringify(recording));
+  } catch (err) {
+    console.error('Recorder: failed to save recording', err);
+  }
+}
+
+const saveRecording = debounce(() => {
+  if (activeRecording) {
+    persistRecording(activeRecording);
+  }
+}, RECORDER_CONFIG.SAVE_DELAY);
+
+/**
+ * Start recording every bus event (and chat lines passed to recordEntry)
+ * @returns {Object} The recording session object
+ */
+function startRecording() {
+  if (activeRecording) {
+    return activeRecording;
+  }
+  
+  recordingStartTime = Date.now();
+  activeRecording = {
+    version: RECORDER_CONFIG.VERSION,
+    startedAt: new Date(recordingStartTime).toISOString(),
+    page: window.location.pathname.split('/').pop(),
+    dropped: 0,
+    entries: []
+  };
+  
+  stopRecordingBus = bus.on('*', event => recordEntry('event', event));
+  
+  console.log('Recorder: recording started');
+  return activeRecording;
+}
+
+/**
+ * Add an entry to the active recording (no-op when not recording)
+ * Past RECORDER_CONFIG.MAX_ENTRIES the oldest entry is dropped and counted in `dropped`.
+ * @param {string} kind - 'event' (normalized bus event), 'chat' (addChatLine data) or 'moderation' (applyChatModeration action)
+ * @param {Object} data - Entry payload
+ */
+function recordEntry(kind, data) {
+  if (!activeRecording) return;
+  
+  activeRecording.entries.push({
+    t: Date.now() - recordingStartTime,
+    kind,
+    data
+  });
+  
+  if (activeRecording.entries.length > RECORDER_CONFIG.MAX_ENTRIES) {
+    activeRecording.entries.shift();
+    activeRecording.dropped++;
+  }
+  saveRecording();
+}
+
+/**
+ * Stop recording
+ * @returns {Object|null} The finished recording session
+ */
+function stopRecording() {
+  if (!activeRecording) return null;
+  
+  const recording = activeRecording;
+  stopRecordingBus();
+  stopRecordingBus = null;
+  activeRecording = null;
+  
+  persistRecording(recording);
+  const dropped = recording.dropped ? `, ${recording.dropped} older entries dropped` : '';
+  console.log(`Recorder: recording stopped (${recording.entries.length} entries${dropped})`);
+  return recording;
+}
+
+/**
+ * Download a recording as a JSON file
+ * @param {Object} recording - Recording session (default: active recording, or the last one saved on this page)
+ */
+function downloadRecording(recording = activeRecording) {
+  if (!recording) {
+    const saved = localStorage.getItem(getRecordingStorageKey());
+    recording = saved ? JSON.parse(saved) : null;
+  }
+  
+  if (!recording) {
+    console.error('Recorder: nothing to download');
+    return;
+  }
+  
+  const blob = new Blob([JSON.stringify(recording, null, 2)], { type: 'application/json' });
+  const link = createElement('a', {
+    attrs: {
+      href: URL.createObjectURL(blob),
+      download: `nascar25-session-${recording.startedAt.replace(/[:.]/g, '-')}.json`
+    }
+  });
+  
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(link.href);
+}
+
+/* ============================================================
+   PLAYBACK
+   ============================================================ */
+
+/**
+ * Deliver a recorded entry to the widgets on this page
+ * @param {Object} entry - Recording entry
+ */
+function playEntry(entry) {
+  if (entry.kind === 'event') {
+    bus.emit(entry.data);
+  } else if (entry.kind === 'chat' && typeof addChatLine === 'function') {
+    addChatLine(entry.data);
+  } else if (entry.kind === 'moderation' && typeof applyChatModeration === 'function') {
+    applyChatModeration(entry.data);
+  }
+}
+
+/**
+ * Replay a recorded session
+ * @param {Object|string} source - Recording session object, or URL of a recording JSON file
+ * @param {Object} options - Playback options
+ * @param {number} options.speed - Playback speed multiplier (default: 1)
+ * @param {boolean} options.step - Wait for stepPlayback() (or Space/Enter/→) between entries
+ * @returns {Promise} Resolves once the recording has loaded and playback has started
+ */
+function startPlayback(source, options = {}) {
+  const { speed = 1, step = false } = options;
+  
+  stopPlayback();
+  
+  const load = typeof source === 'string'
+    ? fetch(source).then(response => response.json())
+    : Promise.resolve(source);
+  
+  return load.then(recording => {
+    const entries = recording.entries || [];
+    const playback = { entries, index: 0, timer: null, step, speed: speed > 0 ? speed : 1 };
+    activePlayback = playback;
+    
+    console.log(`Recorder: playing ${entries.length} entries (${step ? 'step' : `${playback.speed}x`})`);
+    
+    const scheduleNext = () => {
+      if (activePlayback !== playback || playback.step) return;
+      if (playback.index >= entries.length) {
+        console.log('Recorder: playback finished');
+        return;
+      }
+      
+      // The first entry plays straight away: a capped recording's first kept entry can be hours in
+      const previous = playback.index > 0 ? entries[playback.index - 1].t : entries[0].t;
+      const delay = (entries[playback.index].t - previous) / playback.speed;
+      
+      playback.timer = setTimeout(() => {
+        playEntry(entries[playback.index]);
+        playback.index++;
+        scheduleNext();
+      }, Math.max(0, delay));
+    };
+    
+    playback.scheduleNext = scheduleNext;
+    scheduleNext();
+  }).catch(err => {
+    console.error('Recorder: failed to load recording', err);
+  });
+}
+
+/**
+ * Play the next entry of a step-mode playback
+ * @returns {boolean} Whether an entry was played
+ */
+function stepPlayback() {
+  if (!activePlayback || activePlayback.index >= activePlayback.entries.length) {
+    return false;
+  }
+  
+  playEntry(activePlayback.entries[activePlayback.index]);
+  activePlayback.index++;
+  return true;
+}
+
+/**
+ * Change the speed of the current playback
+ * @param {number} speed - Playback speed multiplier
+ */
+function setPlaybackSpeed(speed) {
+  if (!activePlayback || !(speed > 0)) return;
+  
+  activePlayback.speed = speed;
+  if (!activePlayback.step) {
+    clearTimeout(activePlayback.timer);
+    activePlayback.scheduleNext();
+  }
+}
+
+/**
+ * Stop the current playback
+ */
+function stopPlayback() {
+  if (activePlayback) {
+    clearTimeout(activePlayback.timer);
+    activePlayback = null;
+  }
+}
+
+/* ============================================================
+   INITIALIZATION
+   ============================================================ */
+
+/**
+ * Initialize recorder controls
+ */
+function initRecorder() {
+  document.addEventListener('keydown', (event) => {
+    if (activePlayback && activePlayback.step && RECORDER_CONFIG.STEP_KEYS.includes(event.key)) {
+      stepPlayback();
+    }
+  });
+  
+  // Make functions available globally
+  window.startRecording = startRecording;
+  window.stopRecording = stopRecording;
+  window.downloadRecording = downloadRecording;
+  window.startPlayback = startPlayback;
+  window.stepPlayback = stepPlayback;
+  window.setPlaybackSpeed = setPlaybackSpeed;
+  window.stopPlayback = stopPlayback;
+}
+
+// Auto-initialize when DOM is ready
+onReady(initRecorder);
+
+/* ============================================================
+   EXPORTS (for ES6 modules)
+   ============================================================ */
+
+// If using ES6 modules, uncomment below:
+/*
+export {
+  getRecordingStorageKey,
+  startRecording,
+  recordEntry,
+  stopRecording,
+  downloadRecording,
+  startPlayback,
+  stepPlayback,
+  setPlaybackSpeed,
+  stopPlayback
+};
+*/
+
+console.log('%c[NASCAR 25 Stream Overlay] recorder.js loaded', 
+  'color: #00FFFF; font-weight: bold; font-size: 12px;');
@@ -0,0 +1,206 @@
+/*
+ * relay.js
+ * Cross-source event relay for OBS browser sources
+ * One page (the leader) holds the upstream connection and re-broadcasts normalized events to the rest
+ */
+
+/* ============================================================
+   CONFIGURATION
+   ============================================================ */
+
+const RELAY_CONFIG = {
+  // BroadcastChannel name (also the localStorage key for the fallback transport)
+  CHANNEL_NAME: 'nascar25-overlay-relay',
+  
+  // How often the leader announces itself (milliseconds)
+  HEARTBEAT_INTERVAL: 1000,
+  
+  // How long without a heartbeat before a candidate takes over (milliseconds)
+  LEADER_TIMEOUT: 3500,
+  
+  // Number of recent event ids remembered to drop duplicates during a hand-over
+  DEDUPE_SIZE: 200
+};
+
+/* ============================================================
+   TRANSPORT
+   ============================================================ */
+
+/**
+ * Create a same-origin message transport between browser sources
+ * Uses BroadcastChannel where available, falling back to localStorage 'storage' events
+ * @param {string} name - Channel name
+ * @returns {Object} { post(message), listen(handler), close() }
+ */
+function createRelayTransport(name = RELAY_CONFIG.CHANNEL_NAME) {
+  if (typeof BroadcastChannel === 'function') {
+    const channel = new BroadcastChannel(name);
+    
+    return {
+      post: (message) => channel.postMessage(message),
+      listen: (handler) => channel.addEventListener('message', (event) => handler(event.data)),
+      close: () => channel.close()
+    };
+  }
+  
+  // 'storage' only fires in other pages, which matches BroadcastChannel semantics
+  const handlers = [];
+  const onStorage = (event) => {
+    if (event.key !== name || !event.newValue) return;
+    
+    try {
+      const { message } = JSON.parse(event.newValue);
+      handlers.forEach(handler => handler(message));
+    } catch (err) {
+      console.error('Relay: invalid storage message', err);
+    }
+  };
+  
+  window.addEventListener('storage', onStorage);
+  
+  return {
+    // The nonce makes repeated identical messages still register as a change
+    post: (message) => localStorage.setItem(name, JSON.stringify({ message, nonce: Math.random() })),
+    listen: (handler) => handlers.push(handler),
+    close: () => window.removeEventListener('storage', onStorage)
+  };
+}
+
+/* ============================================================
+   LEADER ELECTION & RELAY
+   ============================================================ */
+
+/**
+ * Join the relay. Pages with an event config are leader candidates; pages without one only listen.
+ * The leader opens the upstream connection with connectEvents() and re-broadcasts every event.
+ * If the leader closes (or stops sending heartbeats) the candidate with the lowest id takes over.
+ * @param {Object|null} config - connectEvents() config, or null to only receive events
+ * @returns {Object} Relay handle with isLeader() and stop()
+ */
+function startRelay(config = null) {
+  const id = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+  const transport = createRelayTransport();
+  const seenEventIds = [];
+  
+  let isLeader = false;
+  let connection = null;
+  let lastHeartbeat = Date.now();
+  let tickTimer = null;
+  
+  const remember = (eventId) => {
+    if (seenEventIds.includes(eventId)) return false;
+    
+    seenEventIds.push(eventId);
+    if (seenEventIds.length > RELAY_CONFIG.DEDUPE_SIZE) {
+      seenEventIds.shift();
+    }
+    return true;
+  };
+  
+  const heartbeat = () => {
+    transport.post({
+      kind: 'heartbeat',
+      from: id,
+      stale: document.body.classList.contains('events-stale')
+    });
+  };
+  
+  const lead = () => {
+    if (isLeader) return;
+    
+    console.log(`Relay: ${id} is now the leader`);
+    isLeader = true;
+    heartbeat();
+    
+    connection = connectEvents({
+      ...config,
+      onEvent: (event) => {
+        const normalized = normalizeEvent(event);
+        if (!normalized || !remember(normalized.id)) return;
+        
+        bus.emit(normalized);
+        transport.post({ kind: 'event', from: id, event: normalized });
+      }
+    });
+  };
+  
+  const follow = () => {
+    if (!isLeader) return;
+    
+    console.log(`Relay: ${id} stepped down`);
+    isLeader = false;
+    if (connection) {
+      connection.close();
+      connection = null;
+    }
+  };
+  
+  transport.listen((message) => {
+    if (!message || message.from === id) return;
+    
+    switch (message.kind) {
+      case 'heartbeat':
+        // Two leaders after a simultaneous takeover: the lowest id keeps the connection
+        if (isLeader && message.from > id) return;
+        
+        follow();
+        lastHeartbeat = Date.now();
+        setEventsStale(message.stale);
+        break;
+      
+      case 'resign':
+        lastHeartbeat = 0;
+        break;
+      
+      case 'event':
+        if (!isLeader && remember(message.event.id)) {
+          bus.emit(message.event);
+        }
+        break;
+    }
+  });
+  
+  tickTimer = setInterval(() => {
+    if (isLeader) {
+      heartbeat();
+    } else if (Date.now() - lastHeartbeat > RELAY_CONFIG.LEADER_TIMEOUT) {
+      if (config) {
+        lead();
+      } else {
+        setEventsStale(true);
+      }
+    }
+  }, RELAY_CONFIG.HEARTBEAT_INTERVAL);
+  
+  const stop = () => {
+    clearInterval(tickTimer);
+    if (isLeader) {
+      transport.post({ kind: 'resign', from: id });
+    }
+    follow();
+    transport.close();
+  };
+  
+  // Let the next candidate take over immediately instead of waiting for the timeout
+  window.addEventListener('pagehide', stop);
+  
+  return {
+    isLeader: () => isLeader,
+    stop
+  };
+}
+
+/* ============================================================
+   EXPORTS (for ES6 modules)
+   ============================================================ */
+
+// If using ES6 modules, uncomment below:
+/*
+export {
+  createRelayTransport,
+  startRelay
+};
+*/
+
+console.log('%c[NASCAR 25 Stream Overlay] relay.js loaded', 
+  'color: #FDB813; font-weight: bold; font-size: 12px;');
@@ -1,7 +1,7 @@
 /*
  * shared.js
  * Shared utility functions and helpers for NASCAR 25 Stream Overlay
- * Includes element creation, animation utilities, and placeholder event connection
+ * Includes element creation, animation utilities, text templates, the event bus, live event connection and JSON feeds
  */
 
 /* ============================================================
@@ -58,6 +58,15 @@ function escapeHtml(text) {
   return div.innerHTML;
 }
 
+/**
+ * Escape a string for use inside a regular expression
+ * @param {string} text - Text to match literally
+ * @returns {string}
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
 /**
  * Format timestamp to HH:MM:SS or HH:MM
  * @param {Date} date - Date object
@@ -81,6 +90,25 @@ function formatNumber(num) {
   return num.toString().replace(/\B(?=(\d{3})+(?!\d))/g, ',');
 }
 
+/**
+ * Format a count compactly (e.g., 950 -> 950, 1234 -> 1.2K, 3400000 -> 3.4M)
+ * @param {number} num - Number to format
+ * @returns {string}
+ */
+function formatCompactNumber(num) {
+  const units = ['', 'K', 'M', 'B'];
+  let value = Math.abs(num);
+  let unit = 0;
+  
+  while (value >= 999.5 && unit < units.length - 1) {
+    value /= 1000;
+    unit++;
+  }
+  
+  const digits = unit > 0 && value < 100 ? value.toFixed(1).replace(/\.0$/, '') : String(Math.round(value));
+  return `${num < 0 ? '-' : ''}${digits}${units[unit]}`;
+}
+
 /**
  * Format currency amount
  * @param {number} amount - Amount to format
@@ -247,62 +275,420 @@ function throttle(func, limit = 300) {
 }
 
 /* ============================================================
-   EVENT CONNECTION PLACEHOLDER
+   TEXT TEMPLATES
    ============================================================ */
 
 /**
- * Placeholder function for connecting to real stream events
- * Replace this with actual StreamElements, Twitch EventSub, or other service connection
- * @param {Object} config - Configuration object with API keys, channels, etc.
+ * Formatters usable in templates as {token|formatter} or {token|formatter:arg:arg}
+ * Each receives the token value, the full token object, then any arguments
  */
-function connectEvents(config = {}) {
-  console.log('connectEvents called with config:', config);
-  console.log('PLACEHOLDER: Replace this function with actual event connection logic');
-  console.log('Options:');
-  console.log('- StreamElements WebSocket API');
-  console.log('- Twitch EventSub WebSocket');
-  console.log('- OBS WebSocket (for local testing)');
-  console.log('- Custom webhook endpoint');
+const TEMPLATE_FORMATTERS = {
+  number: (value) => formatNumber(Number(value) || 0),
+  compact: (value) => formatCompactNumber(Number(value) || 0),
+  currency: (value, tokens) => formatCurrency(Number(value) || 0, tokens.currency),
+  // {count|plural:one:other} - '#' in the chosen form is replaced with the formatted number
+  plural: (value, tokens, one = '', other = '') =>
+    (Number(value) === 1 ? one : other).replace(/#/g, formatNumber(Number(value) || 0)),
+  tier: (value) => ({ '1000': 'Tier 1', '2000': 'Tier 2', '3000': 'Tier 3', prime: 'Prime' })[value] || value,
+  upper: (value) => String(value).toUpperCase()
+};
+
+/**
+ * Fill a text template such as '{name} gifted {count} {count|plural:sub:subs}!'
+ * Returns plain text: insert it with textContent (createElement's `text` option), never innerHTML,
+ * so user-supplied values need no escaping. Unknown tokens are left in place.
+ * @param {string} template - Template string
+ * @param {Object} tokens - Token name -> value
+ * @returns {string}
+ */
+function formatTemplate(template, tokens = {}) {
+  if (!template) {
+    return '';
+  }
   
-  // Example structure for real implementation:
-  /*
-  const ws = new WebSocket(config.websocketUrl);
+  return template.replace(/\{(\w+)(?:\|(\w+)((?::[^:{}]*)*))?\}/g, (match, name, formatter, args = '') => {
+    if (!(name in tokens)) {
+      return match;
+    }
+    
+    const value = tokens[name] === undefined || tokens[name] === null ? '' : tokens[name];
+    if (!formatter) {
+      return String(value);
+    }
+    
+    if (!TEMPLATE_FORMATTERS[formatter]) {
+      console.warn(`Unknown template formatter: ${formatter}`);
+      return String(value);
+    }
+    
+    return TEMPLATE_FORMATTERS[formatter](value, tokens, ...args.split(':').slice(1));
+  });
+}
+
+/* ============================================================
+   EVENT BUS
+   ============================================================ */
+
+/**
+ * Event types that get the stream fields (user, amount, months, ...) in normalizeEvent
+ * Other types (e.g. 'leaderboard', 'stats') carry their payload in `data`
+ */
+const STREAM_EVENT_TYPES = ['follow', 'subscribe', 'donation', 'cheer', 'raid', 'host'];
+
+/**
+ * Currency code -> symbol used when formatting normalized event amounts
+ */
+const CURRENCY_SYMBOLS = {
+  USD: '$',
+  CAD: '$',
+  AUD: '$',
+  EUR: '€',
+  GBP: '£',
+  JPY: '¥',
+  BRL: 'R$'
+};
+
+/**
+ * Get the display symbol for a currency code (e.g. 'EUR' -> '€')
+ * @param {string} currency - ISO currency code
+ * @returns {string}
+ */
+function getCurrencySymbol(currency = 'USD') {
+  return CURRENCY_SYMBOLS[currency] || `${currency} `;
+}
+
+/**
+ * Normalize a stream event so every widget receives the same shape
+ * @param {Object} event - Raw event
+ * @param {string} event.type - Required: 'follow', 'subscribe', 'donation', 'cheer', 'raid', 'host', or a non-stream type
+ * @param {string} event.user - Display name of the user (recipient for gifted subs)
+ * @param {string} event.message - Optional user message
+ * @param {number} event.amount - Donation amount
+ * @param {string} event.currency - Donation currency code (default: USD)
+ * @param {number} event.bits - Bits cheered
+ * @param {number} event.months - Subscription months
+ * @param {string} event.tier - Subscription tier ('1000', '2000', '3000', 'prime')
+ * @param {boolean} event.gifted - Whether the subscription was gifted
+ * @param {string} event.sender - Gifter display name (gifted subs)
+ * @param {number} event.count - Number of subs gifted at once
+ * @param {number} event.viewers - Raid/host viewer count
+ * @param {*} event.data - Payload of non-stream events, passed through as-is (e.g. the running order of a 'leaderboard' event)
+ * @returns {Object|null} Normalized event with id and timestamp (non-stream types keep only type and data),
+ *   or null for an event without a type
+ */
+function normalizeEvent(event = {}) {
+  if (!event || !event.type) {
+    return null;
+  }
   
-  ws.onopen = () => {
-    console.log('Connected to event stream');
+  const normalized = {
+    id: event.id || `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    timestamp: event.timestamp || Date.now(),
+    type: event.type,
+    data: event.data
   };
   
-  ws.onmessage = (event) => {
-    const data = JSON.parse(event.data);
+  if (!STREAM_EVENT_TYPES.includes(event.type)) {
+    return normalized;
+  }
+  
+  return {
+    ...normalized,
+    user: event.user || event.username || 'Anonymous',
+    message: event.message || '',
+    amount: Number(event.amount) || 0,
+    currency: event.currency || 'USD',
+    bits: Number(event.bits) || 0,
+    months: Math.max(1, Number(event.months) || 1),
+    tier: event.tier || '',
+    gifted: Boolean(event.gifted),
+    sender: event.sender || '',
+    count: Math.max(1, Number(event.count) || 1),
+    viewers: Number(event.viewers) || 0
+  };
+}
+
+/**
+ * Create a publish/subscribe bus for normalized stream events
+ * @returns {Object} Bus with on(type, handler), off(type, handler) and emit(event)
+ */
+function createEventBus() {
+  const handlers = {};
+  
+  const eventBus = {
+    /**
+     * Subscribe to an event type, or '*' for every event
+     * @returns {Function} Unsubscribe function
+     */
+    on(type, handler) {
+      handlers[type] = handlers[type] || [];
+      handlers[type].push(handler);
+      return () => eventBus.off(type, handler);
+    },
+    
+    off(type, handler) {
+      if (handlers[type]) {
+        handlers[type] = handlers[type].filter(h => h !== handler);
+      }
+    },
     
-    switch (data.type) {
-      case 'follow':
-        // Trigger alert: createAlert({ type: 'follow', username: data.username });
-        break;
-      case 'subscribe':
-        // Trigger alert: createAlert({ type: 'subscribe', username: data.username, months: data.months });
-        break;
-      case 'donation':
-        // Trigger alert: createAlert({ type: 'donation', username: data.username, amount: data.amount });
-        break;
-      case 'cheer':
-        // Trigger alert: createAlert({ type: 'cheer', username: data.username, bits: data.bits });
-        break;
-      case 'chat':
-        // Add to chat: addChatLine({ username: data.username, message: data.message });
-        break;
+    /**
+     * Normalize an event and deliver it to its type's subscribers and '*' subscribers
+     * @returns {Object|null} The normalized event, or null if it was dropped for having no type
+     */
+    emit(event) {
+      const normalized = normalizeEvent(event);
+      if (!normalized) {
+        console.warn('Event bus: dropped an event without a type', event);
+        return null;
+      }
+      
+      const targets = [...(handlers[normalized.type] || []), ...(handlers['*'] || [])];
+      
+      targets.forEach(handler => {
+        try {
+          handler(normalized);
+        } catch (err) {
+          console.error(`Event bus: "${normalized.type}" handler failed`, err);
+        }
+      });
+      
+      return normalized;
     }
   };
   
-  ws.onerror = (error) => {
-    console.error('WebSocket error:', error);
+  return eventBus;
+}
+
+/**
+ * Page-wide event bus. Connectors emit, widgets subscribe.
+ * e.g. bus.emit({ type: 'donation', user: 'BigDonor', amount: 25, currency: 'USD' })
+ */
+const bus = createEventBus();
+
+/* ============================================================
+   EVENT CONNECTION
+   ============================================================ */
+
+/**
+ * Connect to a live event source and publish its events on the event bus
+ * Provider clients live in their own files and must be loaded after shared.js
+ * @param {Object} config - Configuration object
+ * @param {string} config.provider - Event source: 'streamelements' (default) or 'eventsub'
+ * @param {string} config.token - StreamElements JWT token
+ * @param {string} config.clientId - Twitch client id (EventSub)
+ * @param {string} config.accessToken - Twitch user access token (EventSub)
+ * @param {string} config.broadcasterId - Twitch broadcaster user id (EventSub)
+ * @param {string} config.url - Optional socket URL override (e.g. a local mock server)
+ * @returns {Object|null} Connection handle with a close() method
+ */
+function connectEvents(config = {}) {
+  const provider = config.provider || 'streamelements';
+  
+  switch (provider) {
+    case 'streamelements':
+      if (typeof connectStreamElements !== 'function') {
+        console.error('connectEvents: streamelements.js is not loaded');
+        return null;
+      }
+      return connectStreamElements(config);
+    
+    case 'eventsub':
+      if (typeof connectEventSub !== 'function') {
+        console.error('connectEvents: eventsub.js is not loaded');
+        return null;
+      }
+      return connectEventSub(config);
+    
+    default:
+      console.error(`connectEvents: unknown provider "${provider}"`);
+      return null;
+  }
+}
+
+/**
+ * Build a connectEvents() config from page URL parameters
+ * StreamElements: ?token=JWT
+ * Twitch EventSub: ?provider=eventsub&client_id=ID&access_token=TOKEN&broadcaster_id=ID
+ * Either provider accepts ?socket=URL to point at a local mock server
+ * @param {URLSearchParams} params - Page URL parameters
+ * @returns {Object|null} Config object, or null if no event source is configured
+ */
+function getEventConfigFromUrl(params = new URLSearchParams(window.location.search)) {
+  const provider = params.get('provider') || (params.get('token') ? 'streamelements' : null);
+  if (!provider) {
+    return null;
+  }
+  
+  return {
+    provider,
+    token: params.get('token') || undefined,
+    clientId: params.get('client_id') || undefined,
+    accessToken: params.get('access_token') || undefined,
+    broadcasterId: params.get('broadcaster_id') || undefined,
+    url: params.get('socket') || undefined
   };
+}
+
+/**
+ * Start the live event source configured in the page URL
+ * With ?relay the page joins the cross-source relay (relay.js) instead of opening its own
+ * connection; relay pages without credentials only receive events from the leader.
+ * With ?playback=FILE.json a recorded session is replayed instead (recorder.js), at
+ * &playbackSpeed=N or one entry at a time with &step. ?record records whatever the page receives.
+ * @param {URLSearchParams} params - Page URL parameters
+ * @returns {boolean} Whether live or recorded events are configured (callers disable demo mode)
+ */
+function startEventsFromUrl(params = new URLSearchParams(window.location.search)) {
+  const eventConfig = getEventConfigFromUrl(params);
+  const usesRecorder = params.has('playback') || params.has('record');
+  
+  if (usesRecorder && typeof startPlayback !== 'function') {
+    console.error('startEventsFromUrl: recorder.js is not loaded');
+    return false;
+  }
+  
+  if (params.has('playback')) {
+    startPlayback(params.get('playback'), {
+      speed: parseFloat(params.get('playbackSpeed')) || 1,
+      step: params.has('step')
+    });
+    return true;
+  }
+  
+  if (params.has('record')) {
+    startRecording();
+  }
   
-  ws.onclose = () => {
-    console.log('Disconnected from event stream');
-    // Implement reconnection logic
+  if (params.has('relay')) {
+    if (typeof startRelay !== 'function') {
+      console.error('startEventsFromUrl: relay.js is not loaded');
+      return false;
+    }
+    startRelay(eventConfig);
+    return true;
+  }
+  
+  if (eventConfig) {
+    connectEvents(eventConfig);
+    return true;
+  }
+  
+  return false;
+}
+
+/**
+ * Mark the page's live event source as stale (disconnected/reconnecting) or healthy
+ * Widgets style themselves off the `events-stale` class on <body>
+ * @param {boolean} stale - Whether events may currently be missed
+ */
+function setEventsStale(stale) {
+  if (document.body) {
+    document.body.classList.toggle('events-stale', stale);
+  }
+}
+
+/* ============================================================
+   JSON FEEDS
+   ============================================================ */
+
+/**
+ * Connect to a local JSON data feed (e.g. a telemetry bridge)
+ * ws:// and wss:// URLs are read as a WebSocket (one JSON message per frame, reconnecting on close);
+ * any other URL is fetched as a JSON file every pollInterval, and handled only when its content changed
+ * @param {string} url - Feed URL
+ * @param {Function} onMessage - Handler for each parsed message
+ * @param {Object} options - Feed options
+ * @param {string} options.name - Name used in log messages (default: 'Feed')
+ * @param {number} options.pollInterval - File polling interval in milliseconds (default: 1000)
+ * @param {number} options.reconnectDelay - First WebSocket reconnect delay in milliseconds (default: 2000)
+ * @param {number} options.maxReconnectDelay - Longest WebSocket reconnect delay in milliseconds (default: 30000)
+ * @returns {Object} Connection handle with a close() method
+ */
+function connectJsonFeed(url, onMessage, options = {}) {
+  const {
+    name = 'Feed',
+    pollInterval = 1000,
+    reconnectDelay: firstReconnectDelay = 2000,
+    maxReconnectDelay = 30000
+  } = options;
+  
+  let closed = false;
+  let socket = null;
+  let timer = null;
+  let reconnectDelay = firstReconnectDelay;
+  
+  if (!/^wss?:/i.test(url)) {
+    let lastBody = null;
+    
+    const poll = () => {
+      fetch(url, { cache: 'no-store' })
+        .then(response => response.text())
+        .then(body => {
+          // Only handle the file when it changed, so updates are applied once
+          if (body !== lastBody) {
+            lastBody = body;
+            onMessage(JSON.parse(body));
+          }
+        })
+        .catch(err => console.error(`${name}: failed to read`, url, err))
+        .then(() => {
+          if (!closed) {
+            timer = setTimeout(poll, pollInterval);
+          }
+        });
+    };
+    
+    poll();
+    
+    return {
+      close() {
+        closed = true;
+        clearTimeout(timer);
+      }
+    };
+  }
+  
+  function open() {
+    socket = new WebSocket(url);
+    
+    socket.onopen = () => {
+      console.log(`${name}: connected`);
+      reconnectDelay = firstReconnectDelay;
+    };
+    
+    socket.onmessage = (message) => {
+      try {
+        onMessage(JSON.parse(message.data));
+      } catch (err) {
+        console.error(`${name}: invalid message`, err);
+      }
+    };
+    
+    socket.onerror = (error) => {
+      console.error(`${name}: socket error`, error);
+    };
+    
+    socket.onclose = () => {
+      if (closed) return;
+      
+      console.log(`${name}: reconnecting in ${reconnectDelay / 1000}s`);
+      timer = setTimeout(open, reconnectDelay);
+      reconnectDelay = Math.min(reconnectDelay * 2, maxReconnectDelay);
+    };
+  }
+  
+  open();
+  
+  return {
+    close() {
+      closed = true;
+      clearTimeout(timer);
+      if (socket) {
+        socket.close();
+      }
+    }
   };
-  */
 }
 
 /* ============================================================
@@ -338,8 +724,10 @@ function logInit(componentName) {
 export {
   createElement,
   escapeHtml,
+  escapeRegExp,
   formatTimestamp,
   formatNumber,
+  formatCompactNumber,
   formatCurrency,
   animateElement,
   fadeIn,
@@ -350,7 +738,16 @@ export {
   randomInt,
   debounce,
   throttle,
+  formatTemplate,
+  getCurrencySymbol,
+  normalizeEvent,
+  createEventBus,
+  bus,
   connectEvents,
+  getEventConfigFromUrl,
+  startEventsFromUrl,
+  setEventsStale,
+  connectJsonFeed,
   onReady,
   logInit
 };
@@ -0,0 +1,397 @@
+/*
+ * stats.js
+ * Stream stats for the main overlay top bar: uptime, viewers and followers
+ * Fed from Twitch (Helix), a local JSON/WebSocket feed, the control panel or the console
+ */
+
+/* ============================================================
+   CONFIGURATION
+   ============================================================ */
+
+const STATS_CONFIG = {
+  // Stream start time (or ?start= in the page URL): '18:00' (local time today), an ISO date or epoch milliseconds
+  STREAM_START: '',
+  
+  // Uptime text before the start time is known, and while Twitch reports the stream offline
+  UNKNOWN_TEXT: '-',
+  OFFLINE_TEXT: 'Offline',
+  
+  // How often the uptime is refreshed (milliseconds)
+  UPTIME_INTERVAL: 1000,
+  
+  // Counter roll animation and the up/down highlight after it (milliseconds)
+  COUNTER_DURATION: 1000,
+  CHANGE_DURATION: 2000,
+  
+  // How often Twitch is asked for viewers, followers and the stream start (milliseconds)
+  HELIX_POLL_INTERVAL: 60000,
+  HELIX_URL: 'https://api.twitch.tv/helix',
+  
+  // How often an http(s) JSON stats feed is polled (milliseconds)
+  FEED_POLL_INTERVAL: 5000,
+  
+  // Count follow events between polls
+  COUNT_FOLLOWS: true
+};
+
+/* ============================================================
+   STATE MANAGEMENT
+   ============================================================ */
+
+const streamStats = {
+  startedAt: null,
+  live: null,
+  viewers: null,
+  followers: null
+};
+
+const statsDisplayed = {};
+const statsAnimations = new Map();
+let statsSource = 'manual';
+let saveStatsState = () => {};
+
+/* ============================================================
+   PARSING & FORMATTING
+   ============================================================ */
+
+/**
+ * Parse a stream start time
+ * @param {number|string} value - Epoch milliseconds, 'HH:MM' (local time, today or else yesterday) or a date string
+ * @returns {number|null|undefined} Epoch milliseconds, null to clear, undefined if the value is not a time
+ */
+function parseStreamStart(value) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+  
+  if (typeof value === 'number' || /^\d+$/.test(value)) {
+    return Number(value);
+  }
+  
+  const clock = String(value).match(/^(\d{1,2}):(\d{2})$/);
+  if (clock) {
+    const start = new Date();
+    start.setHours(Number(clock[1]), Number(clock[2]), 0, 0);
+    if (start.getTime() > Date.now()) {
+      start.setDate(start.getDate() - 1);
+    }
+    return start.getTime();
+  }
+  
+  const parsed = Date.parse(value);
+  return Number.isNaN(parsed) ? undefined : parsed;
+}
+
+/**
+ * Format the time since the stream started
+ * @param {number} now - Current time in milliseconds (default: now)
+ * @returns {string} 'h:mm', or the unknown/offline text
+ */
+function formatUptime(now = Date.now()) {
+  if (streamStats.live === false) {
+    return STATS_CONFIG.OFFLINE_TEXT;
+  }
+  
+  if (!streamStats.startedAt) {
+    return STATS_CONFIG.UNKNOWN_TEXT;
+  }
+  
+  const minutes = Math.max(0, Math.floor((now - streamStats.startedAt) / 60000));
+  return `${Math.floor(minutes / 60)}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+/* ============================================================
+   RENDERING
+   ============================================================ */
+
+/**
+ * Get the value element of a top bar stat box
+ * @param {string} stat - 'uptime', 'viewers' or 'followers'
+ * @returns {HTMLElement|null}
+ */
+function getStatValueElement(stat) {
+  return document.querySelector(`.stat-box[data-stat="${stat}"] .value`);
+}
+
+/**
+ * Show the current uptime
+ */
+function renderUptime() {
+  const element = getStatValueElement('uptime');
+  if (element) {
+    element.textContent = formatUptime();
+  }
+}
+
+/**
+ * Roll a counter from the value on screen to a new value, then highlight the change
+ * @param {string} stat - 'viewers' or 'followers'
+ * @param {number} value - New count
+ */
+function animateStatCounter(stat, value) {
+  const element = getStatValueElement(stat);
+  const from = statsDisplayed[stat];
+  
+  statsDisplayed[stat] = value;
+  if (!element) return;
+  
+  const box = element.closest('.stat-box');
+  const previous = statsAnimations.get(stat) || {};
+  cancelAnimationFrame(previous.frame);
+  clearTimeout(previous.timer);
+  
+  const reduceMotion = window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+  if (from === undefined || from === value || reduceMotion) {
+    element.textContent = formatCompactNumber(value);
+    return;
+  }
+  
+  box.classList.remove('stat-up', 'stat-down');
+  box.classList.add(value > from ? 'stat-up' : 'stat-down');
+  
+  const animation = { start: null, frame: null, timer: null };
+  const step = (time) => {
+    animation.start = animation.start || time;
+    const progress = Math.min(1, (time - animation.start) / STATS_CONFIG.COUNTER_DURATION);
+    const eased = 1 - Math.pow(1 - progress, 3);
+    
+    element.textContent = formatCompactNumber(Math.round(from + (value - from) * eased));
+    
+    if (progress < 1) {
+      animation.frame = requestAnimationFrame(step);
+    } else {
+      animation.timer = setTimeout(() => box.classList.remove('stat-up', 'stat-down'), STATS_CONFIG.CHANGE_DURATION);
+    }
+  };
+  
+  animation.frame = requestAnimationFrame(step);
+  statsAnimations.set(stat, animation);
+}
+
+/* ============================================================
+   STATS
+   ============================================================ */
+
+/**
+ * Update any of the stream stats
+ * @param {Object} update - { viewers, followers, startedAt, live }
+ *   startedAt accepts the same values as setStreamStart(); live: false shows the offline text
+ * @returns {boolean} Whether the update was valid
+ */
+function setStreamStats(update = {}) {
+  if (!update || typeof update !== 'object') return false;
+  
+  if ('startedAt' in update) {
+    const startedAt = parseStreamStart(update.startedAt);
+    if (startedAt === undefined) {
+      console.error(`Stats: invalid start time "${update.startedAt}"`);
+      return false;
+    }
+    streamStats.startedAt = startedAt;
+  }
+  
+  if ('live' in update) {
+    streamStats.live = update.live === null ? null : Boolean(update.live);
+  }
+  
+  ['viewers', 'followers'].forEach(stat => {
+    const value = parseInt(update[stat], 10);
+    if (stat in update && !Number.isNaN(value) && value !== streamStats[stat]) {
+      streamStats[stat] = value;
+      animateStatCounter(stat, value);
+    }
+  });
+  
+  renderUptime();
+  saveStatsState();
+  
+  if (typeof postControlStatus === 'function') {
+    postControlStatus('stats');
+  }
+  
+  return true;
+}
+
+/**
+ * Set when the stream started
+ * @param {number|string} time - Epoch milliseconds, 'HH:MM' or a date string ('' clears it)
+ * @returns {boolean} Whether the time was valid
+ */
+function setStreamStart(time) {
+  return setStreamStats({ startedAt: time, live: true });
+}
+
+/**
+ * Get the current stream stats
+ * @returns {Object} { startedAt, live, viewers, followers, uptime }
+ */
+function getStreamStats() {
+  return { ...streamStats, uptime: formatUptime() };
+}
+
+/* ============================================================
+   TWITCH (HELIX)
+   ============================================================ */
+
+/**
+ * Ask Twitch for the live stream (viewers, start time) and the follower total
+ * The two requests are applied separately, so one failing (e.g. a token without
+ * moderator:read:followers) does not hold back the other.
+ * @param {Object} config - { clientId, accessToken, broadcasterId }
+ * @returns {Promise} Resolves once both requests have finished
+ */
+function fetchTwitchStats(config) {
+  const headers = {
+    'Client-Id': config.clientId,
+    'Authorization': `Bearer ${config.accessToken}`
+  };
+  const get = (path) => fetch(`${STATS_CONFIG.HELIX_URL}${path}`, { headers }).then(response => {
+    if (!response.ok) {
+      throw new Error(`${path} returned ${response.status}`);
+    }
+    return response.json();
+  });
+  
+  const streamRequest = get(`/streams?user_id=${encodeURIComponent(config.broadcasterId)}`).then(streams => {
+    const stream = streams.data && streams.data[0];
+    
+    setStreamStats({
+      live: Boolean(stream),
+      startedAt: stream ? stream.started_at : null,
+      viewers: stream ? stream.viewer_count : 0
+    });
+  }).catch(err => {
+    console.error('Stats: failed to fetch the Twitch stream', err);
+  });
+  
+  const followersRequest = get(`/channels/followers?broadcaster_id=${encodeURIComponent(config.broadcasterId)}&first=1`).then(followers => {
+    setStreamStats({ followers: followers.total });
+  }).catch(err => {
+    console.error('Stats: failed to fetch the Twitch follower total', err);
+  });
+  
+  return Promise.all([streamRequest, followersRequest]);
+}
+
+/**
+ * Poll Twitch for stats every HELIX_POLL_INTERVAL
+ * Uses the same credentials as the EventSub connection (?provider=eventsub&client_id=...&access_token=...&broadcaster_id=...)
+ * @param {Object} config - { clientId, accessToken, broadcasterId }
+ * @returns {Object} Handle with a stop() method
+ */
+function startTwitchStats(config) {
+  statsSource = 'twitch';
+  fetchTwitchStats(config);
+  
+  const interval = setInterval(() => fetchTwitchStats(config), STATS_CONFIG.HELIX_POLL_INTERVAL);
+  return { stop: () => clearInterval(interval) };
+}
+
+/* ============================================================
+   REMOTE CONTROL
+   ============================================================ */
+
+/**
+ * Get the stats state for the dock
+ * @returns {Object} { uptime, started, viewers, followers, source }
+ */
+function getStatsStatus() {
+  return {
+    uptime: formatUptime(),
+    started: streamStats.startedAt ? formatTimestamp(new Date(streamStats.startedAt), false) : '-',
+    viewers: streamStats.viewers === null ? '-' : formatNumber(streamStats.viewers),
+    followers: streamStats.followers === null ? '-' : formatNumber(streamStats.followers),
+    source: statsSource
+  };
+}
+
+/**
+ * Commands accepted from the dock (see control.js)
+ */
+const STATS_COMMANDS = {
+  start: setStreamStart,
+  viewers: (count) => setStreamStats({ viewers: count }),
+  followers: (count) => setStreamStats({ followers: count })
+};
+
+/* ============================================================
+   INITIALIZATION
+   ============================================================ */
+
+/**
+ * Initialize the top bar stats
+ * URL parameters: ?start=18:00 sets the stream start, ?stats=URL reads a JSON/WebSocket feed of
+ * { viewers, followers, startedAt, live }, and Twitch EventSub credentials also poll Twitch.
+ */
+function initStats() {
+  const params = new URLSearchParams(window.location.search);
+  
+  // Continue from the stats saved before the source was refreshed (storage.js); live sources update them
+  if (typeof persistState === 'function') {
+    setStreamStats(loadState('stats') || {});
+    saveStatsState = persistState('stats', () => streamStats);
+  }
+  
+  const start = params.get('start') || STATS_CONFIG.STREAM_START;
+  if (start) {
+    setStreamStart(start);
+  }
+  
+  if (params.get('stats')) {
+    statsSource = 'feed';
+    connectJsonFeed(params.get('stats'), message => setStreamStats(message.stats || message), {
+      name: 'Stats feed',
+      pollInterval: STATS_CONFIG.FEED_POLL_INTERVAL
+    });
+  } else {
+    const eventConfig = getEventConfigFromUrl(params);
+    if (eventConfig && eventConfig.provider === 'eventsub' && eventConfig.accessToken) {
+      startTwitchStats(eventConfig);
+    }
+  }
+  
+  // Stats published on the bus: bus.emit({ type: 'stats', data: { viewers: 1234 } })
+  bus.on('stats', event => setStreamStats(event.data));
+  
+  // Count new followers between polls
+  bus.on('follow', () => {
+    if (STATS_CONFIG.COUNT_FOLLOWS && streamStats.followers !== null) {
+      setStreamStats({ followers: streamStats.followers + 1 });
+    }
+  });
+  
+  if (typeof registerControlTarget === 'function') {
+    registerControlTarget('stats', { commands: STATS_COMMANDS, getStatus: getStatsStatus });
+  }
+  
+  renderUptime();
+  setInterval(renderUptime, STATS_CONFIG.UPTIME_INTERVAL);
+  
+  logInit('Stream Stats');
+  
+  // Make functions available globally
+  window.setStreamStats = setStreamStats;
+  window.setStreamStart = setStreamStart;
+  window.getStreamStats = getStreamStats;
+}
+
+// Auto-initialize when DOM is ready
+onReady(initStats);
+
+/* ============================================================
+   EXPORTS (for ES6 modules)
+   ============================================================ */
+
+// If using ES6 modules, uncomment below:
+/*
+export {
+  setStreamStats,
+  setStreamStart,
+  getStreamStats,
+  parseStreamStart,
+  formatUptime
+};
+*/
+
+console.log('%c[NASCAR 25 Stream Overlay] stats.js loaded', 
+  'color: #00FFFF; font-weight: bold; font-size: 12px;');
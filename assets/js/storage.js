@@ -0,0 +1,147 @@
+/*
+ * storage.js
+ * Session state saved in localStorage so widgets pick up where they left off after an OBS browser source refresh
+ * Each saved value has a time to live, so data from the last stream is not shown at the start of the next one
+ */
+
+/* ============================================================
+   CONFIGURATION
+   ============================================================ */
+
+const STORAGE_CONFIG = {
+  // localStorage key prefix
+  PREFIX: 'nascar25-state-',
+  
+  // Delay before changes are written (milliseconds); pages also save when they close
+  SAVE_DELAY: 500,
+  
+  // How long saved state is restored after its page was last open (milliseconds, 0 = always)
+  // Keys not listed use DEFAULT_TTL; goal keys are 'goal-follower', 'goal-subscriber'... and match 'goal'
+  DEFAULT_TTL: 30 * 60 * 1000,
+  TTL: {
+    ticker: 2 * 60 * 60 * 1000,
+    chat: 30 * 60 * 1000,
+    alerts: 10 * 60 * 1000,
+    race: 30 * 60 * 1000,
+    stats: 30 * 60 * 1000,
+    goal: 0
+  }
+};
+
+/* ============================================================
+   SAVED STATE
+   ============================================================ */
+
+/**
+ * Get the time to live for a key
+ * @param {string} key - State key ('ticker', 'goal-bits'...)
+ * @returns {number} Milliseconds (0 = never expires)
+ */
+function getStateTtl(key) {
+  const name = key in STORAGE_CONFIG.TTL ? key : key.split('-')[0];
+  return name in STORAGE_CONFIG.TTL ? STORAGE_CONFIG.TTL[name] : STORAGE_CONFIG.DEFAULT_TTL;
+}
+
+/**
+ * Save a value
+ * @param {string} key - State key
+ * @param {*} value - JSON-serializable value
+ */
+function saveState(key, value) {
+  try {
+    localStorage.setItem(STORAGE_CONFIG.PREFIX + key, JSON.stringify({ savedAt: Date.now(), value }));
+  } catch (err) {
+    console.error(`Storage: failed to save ${key}`, err);
+  }
+}
+
+/**
+ * Load a saved value
+ * Values older than their time to live are deleted instead. With ?fresh in the page URL nothing is restored.
+ * @param {string} key - State key
+ * @param {number} ttl - Time to live in milliseconds (default: from STORAGE_CONFIG.TTL)
+ * @returns {*} The value, or null if there is none (or it expired)
+ */
+function loadState(key, ttl = getStateTtl(key)) {
+  if (new URLSearchParams(window.location.search).has('fresh')) {
+    clearState(key);
+    return null;
+  }
+  
+  let saved = null;
+  try {
+    saved = JSON.parse(localStorage.getItem(STORAGE_CONFIG.PREFIX + key));
+  } catch (err) {
+    console.error(`Storage: failed to read ${key}`, err);
+  }
+  
+  if (!saved || !('value' in saved)) {
+    return null;
+  }
+  
+  if (ttl > 0 && Date.now() - saved.savedAt > ttl) {
+    clearState(key);
+    return null;
+  }
+  
+  return saved.value;
+}
+
+/**
+ * Delete a saved value
+ * @param {string} key - State key
+ */
+function clearState(key) {
+  try {
+    localStorage.removeItem(STORAGE_CONFIG.PREFIX + key);
+  } catch (err) {
+    console.error(`Storage: failed to clear ${key}`, err);
+  }
+}
+
+/**
+ * Delete every saved value (all widgets start empty on their next load)
+ */
+function clearAllState() {
+  try {
+    Object.keys(localStorage)
+      .filter(name => name.startsWith(STORAGE_CONFIG.PREFIX))
+      .forEach(name => localStorage.removeItem(name));
+  } catch (err) {
+    console.error('Storage: failed to clear saved state', err);
+  }
+}
+
+/**
+ * Keep a value saved as it changes
+ * Call the returned function after every change; writes are batched by SAVE_DELAY, and the
+ * latest value is also written when the page closes (source refresh, scene switch).
+ * @param {string} key - State key
+ * @param {Function} getValue - Returns the current value
+ * @returns {Function} save()
+ */
+function persistState(key, getValue) {
+  const save = debounce(() => saveState(key, getValue()), STORAGE_CONFIG.SAVE_DELAY);
+  
+  window.addEventListener('pagehide', () => saveState(key, getValue()));
+  
+  return save;
+}
+
+/* ============================================================
+   EXPORTS (for ES6 modules)
+   ============================================================ */
+
+// If using ES6 modules, uncomment below:
+/*
+export {
+  saveState,
+  loadState,
+  clearState,
+  clearAllState,
+  persistState
+};
+*/
+
+console.log('%c[NASCAR 25 Stream Overlay] storage.js loaded', 
+  'color: #E10600; font-weight: bold; font-size: 12px;');
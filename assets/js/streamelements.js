@@ -0,0 +1,290 @@
+/*
+ * streamelements.js
+ * StreamElements realtime client (Socket.IO over WebSocket)
+ * Authenticates with a JWT and publishes live/test events on the event bus
+ */
+
+/* ============================================================
+   CONFIGURATION
+   ============================================================ */
+
+const SE_CONFIG = {
+  // Realtime socket endpoint (Socket.IO v2 / Engine.IO v3 protocol)
+  URL: 'wss://realtime.streamelements.com/socket.io/?EIO=3&transport=websocket',
+  
+  // Reconnect backoff (milliseconds)
+  RECONNECT_DELAY: 2000,
+  MAX_RECONNECT_DELAY: 60000,
+  
+  // Whether 'event:test' emulations from the dashboard should trigger widgets
+  ACCEPT_TEST_EVENTS: true,
+  
+  // StreamElements event type -> overlay event type
+  eventTypes: {
+    follow: 'follow',
+    follower: 'follow',
+    subscriber: 'subscribe',
+    tip: 'donation',
+    cheer: 'cheer',
+    raid: 'raid',
+    host: 'host'
+  },
+  
+  // 'event:test' listener names -> StreamElements event type
+  testListeners: {
+    'follower-latest': 'follower',
+    'subscriber-latest': 'subscriber',
+    'tip-latest': 'tip',
+    'cheer-latest': 'cheer',
+    'raid-latest': 'raid',
+    'host-latest': 'host'
+  }
+};
+
+/* ============================================================
+   EVENT NORMALIZATION
+   ============================================================ */
+
+/**
+ * Convert a StreamElements event payload to the event bus shape (see normalizeEvent)
+ * @param {string} seType - StreamElements event type ('follower', 'subscriber', 'tip', ...)
+ * @param {Object} data - Event data (realtime `data` or test `event` object)
+ * @returns {Object|null} Normalized event, or null if the type is not supported
+ */
+function normalizeStreamElementsEvent(seType, data = {}) {
+  const type = SE_CONFIG.eventTypes[seType];
+  if (!type) {
+    return null;
+  }
+  
+  // Community gifts are announced once by the gifter's bulkGifted event (amount = subs gifted),
+  // so each recipient's own gifted event is skipped
+  if (type === 'subscribe' && data.isCommunityGift) {
+    return null;
+  }
+  
+  const amount = Number(data.amount) || 0;
+  const user = data.displayName || data.username || data.name || 'Anonymous';
+  const bulkGift = type === 'subscribe' && Boolean(data.bulkGifted);
+  
+  return {
+    type,
+    user,
+    message: data.message || '',
+    amount: type === 'donation' ? amount : 0,
+    currency: data.currency || 'USD',
+    bits: type === 'cheer' ? amount : 0,
+    months: type === 'subscribe' && !bulkGift ? Math.max(1, amount) : 1,
+    tier: data.tier || '',
+    gifted: bulkGift || Boolean(data.gifted),
+    sender: bulkGift ? data.sender || user : data.sender || '',
+    count: bulkGift ? Math.max(1, amount) : 1,
+    viewers: type === 'raid' || type === 'host' ? amount : 0
+  };
+}
+
+/* ============================================================
+   SOCKET.IO FRAMING
+   ============================================================ */
+
+/**
+ * Parse an Engine.IO/Socket.IO text frame
+ * e.g. '0{...}' (open), '2' (ping), '40' (connect), '42["event",{...}]' (event)
+ * @param {string} frame - Raw WebSocket text frame
+ * @returns {Object} { engine, socket, name, args, data }
+ */
+function parseSocketIOFrame(frame) {
+  const packet = { engine: frame.charAt(0), socket: null, name: null, args: [], data: null };
+  const body = frame.slice(1);
+  
+  if (packet.engine === '0' && body) {
+    packet.data = JSON.parse(body);
+  } else if (packet.engine === '4') {
+    packet.socket = body.charAt(0);
+    
+    // Event packets may carry an ack id before the JSON array
+    const json = body.slice(1).replace(/^\d+/, '');
+    if (packet.socket === '2' && json) {
+      const [name, ...args] = JSON.parse(json);
+      packet.name = name;
+      packet.args = args;
+    } else if (json) {
+      packet.data = JSON.parse(json);
+    }
+  }
+  
+  return packet;
+}
+
+/**
+ * Encode a Socket.IO event frame
+ * @param {string} name - Event name
+ * @param {...*} args - Event arguments
+ * @returns {string}
+ */
+function encodeSocketIOEvent(name, ...args) {
+  return `42${JSON.stringify([name, ...args])}`;
+}
+
+/* ============================================================
+   CONNECTION
+   ============================================================ */
+
+/**
+ * Connect to StreamElements realtime and publish events on the event bus
+ * @param {Object} config - Configuration object
+ * @param {string} config.token - StreamElements JWT token
+ * @param {string} config.url - Optional socket URL override (e.g. a local mock server)
+ * @param {Function} config.onEvent - Optional handler for normalized events (default: bus.emit)
+ * @returns {Object} Connection handle with a close() method
+ */
+function connectStreamElements(config = {}) {
+  const url = config.url || SE_CONFIG.URL;
+  const onEvent = config.onEvent || (event => bus.emit(event));
+  
+  let socket = null;
+  let pingTimer = null;
+  let reconnectTimer = null;
+  let reconnectDelay = SE_CONFIG.RECONNECT_DELAY;
+  let closed = false;
+  
+  if (!config.token) {
+    console.error('StreamElements: a JWT token is required');
+  }
+  
+  const send = (frame) => {
+    if (socket && socket.readyState === WebSocket.OPEN) {
+      socket.send(frame);
+    }
+  };
+  
+  const handleEvent = (seType, data, id) => {
+    const event = normalizeStreamElementsEvent(seType, data);
+    if (event) {
+      // Keep StreamElements' id so relayed copies of the event can be recognized
+      if (id) event.id = id;
+      onEvent(event);
+    }
+  };
+  
+  const handleSocketEvent = (name, args) => {
+    const [payload = {}] = args;
+    
+    switch (name) {
+      case 'authenticated':
+        console.log('StreamElements: authenticated for channel', payload.channelId || '');
+        reconnectDelay = SE_CONFIG.RECONNECT_DELAY;
+        setEventsStale(false);
+        break;
+      
+      case 'unauthorized':
+        console.error('StreamElements: authentication failed, check your JWT token');
+        closed = true;
+        socket.close();
+        break;
+      
+      case 'event':
+        handleEvent(payload.type, payload.data, payload._id);
+        break;
+      
+      case 'event:test':
+        if (SE_CONFIG.ACCEPT_TEST_EVENTS) {
+          handleEvent(SE_CONFIG.testListeners[payload.listener], payload.event);
+        }
+        break;
+    }
+  };
+  
+  const handleFrame = (frame) => {
+    const packet = parseSocketIOFrame(frame);
+    
+    switch (packet.engine) {
+      case '0':
+        // Engine.IO v3 expects the client to ping on the server's interval
+        clearInterval(pingTimer);
+        pingTimer = setInterval(() => send('2'), packet.data.pingInterval || 25000);
+        break;
+      
+      case '2':
+        // Engine.IO v4 servers ping the client instead
+        send('3');
+        break;
+      
+      case '4':
+        if (packet.socket === '0') {
+          send(encodeSocketIOEvent('authenticate', { method: 'jwt', token: config.token }));
+        } else if (packet.socket === '2') {
+          handleSocketEvent(packet.name, packet.args);
+        } else if (packet.socket === '4') {
+          console.error('StreamElements: socket error', packet.data);
+        }
+        break;
+    }
+  };
+  
+  const scheduleReconnect = () => {
+    if (closed) return;
+    
+    console.log(`StreamElements: reconnecting in ${reconnectDelay / 1000}s`);
+    reconnectTimer = setTimeout(open, reconnectDelay);
+    reconnectDelay = Math.min(reconnectDelay * 2, SE_CONFIG.MAX_RECONNECT_DELAY);
+  };
+  
+  function open() {
+    socket = new WebSocket(url);
+    
+    socket.onopen = () => {
+      console.log('StreamElements: connected');
+    };
+    
+    socket.onmessage = (message) => {
+      try {
+        handleFrame(message.data);
+      } catch (err) {
+        console.error('StreamElements: failed to handle frame', err);
+      }
+    };
+    
+    socket.onerror = (error) => {
+      console.error('StreamElements: socket error', error);
+    };
+    
+    socket.onclose = () => {
+      clearInterval(pingTimer);
+      pingTimer = null;
+      console.log('StreamElements: disconnected');
+      setEventsStale(true);
+      scheduleReconnect();
+    };
+  }
+  
+  open();
+  
+  return {
+    close() {
+      closed = true;
+      clearTimeout(reconnectTimer);
+      clearInterval(pingTimer);
+      if (socket) {
+        socket.close();
+      }
+    }
+  };
+}
+
+/* ============================================================
+   EXPORTS (for ES6 modules)
+   ============================================================ */
+
+// If using ES6 modules, uncomment below:
+/*
+export {
+  normalizeStreamElementsEvent,
+  parseSocketIOFrame,
+  encodeSocketIOEvent,
+  connectStreamElements
+};
+*/
+
+console.log('%c[NASCAR 25 Stream Overlay] streamelements.js loaded', 
+  'color: #00FFFF; font-weight: bold; font-size: 12px;');
@@ -25,7 +25,21 @@ const TICKER_CONFIG = {
     donation: '💵',
     cheer: '💎',
     raid: '🚀',
-    host: '📺'
+    host: '📺',
+    flag: '🏁'
+  },
+  
+  // Ticker text per event, as text templates (see formatTemplate in shared.js)
+  // Tokens: {name} {sender} {amount} {currency} {bits} {months} {tier} {count} {viewers} {message}
+  templates: {
+    follow: { username: '{name}', action: 'followed', detail: '' },
+    subscribe: { username: '{name}', action: '{months|plural:subscribed:subscribed for}', detail: '{months|plural::# months}' },
+    subgift: { username: '{sender}', action: 'gifted a sub to', detail: '{name}' },
+    submysterygift: { username: '{sender}', action: 'gifted', detail: '{count|number} subs' },
+    donation: { username: '{name}', action: 'donated', detail: '{amount|currency}' },
+    cheer: { username: '{name}', action: 'cheered', detail: '{bits|number} bits' },
+    raid: { username: '{name}', action: 'raided with', detail: '{viewers|number} viewers' },
+    host: { username: '{name}', action: 'hosted with', detail: '{viewers|number} viewers' }
   }
 };
 
@@ -36,6 +50,7 @@ const TICKER_CONFIG = {
 let tickerItems = [];
 let tickerTrack = null;
 let demoInterval = null;
+let saveTickerState = () => {};
 
 // Make items globally accessible for external updates
 window.tickerItems = tickerItems;
@@ -44,22 +59,65 @@ window.tickerItems = tickerItems;
    TICKER RENDERING
    ============================================================ */
 
+/**
+ * Pick the TICKER_CONFIG.templates entry for a normalized event
+ * @param {Object} event - Normalized event
+ * @returns {string}
+ */
+function getTickerTemplateKey(event) {
+  if (event.type === 'subscribe' && event.gifted) {
+    return event.count > 1 ? 'submysterygift' : 'subgift';
+  }
+  return TICKER_CONFIG.templates[event.type] ? event.type : 'follow';
+}
+
+/**
+ * Describe a normalized bus event as ticker text
+ * @param {Object} event - Normalized event (see normalizeEvent in shared.js)
+ * @returns {Object} { username, action, detail }
+ */
+function describeTickerEvent(event) {
+  const template = TICKER_CONFIG.templates[getTickerTemplateKey(event)];
+  const tokens = {
+    name: event.user,
+    sender: event.sender || event.user,
+    amount: event.amount,
+    currency: getCurrencySymbol(event.currency),
+    bits: event.bits,
+    months: event.months,
+    tier: event.tier,
+    count: event.count,
+    viewers: event.viewers,
+    message: event.message
+  };
+  
+  return {
+    username: formatTemplate(template.username, tokens) || 'Anonymous',
+    action: formatTemplate(template.action, tokens),
+    detail: formatTemplate(template.detail, tokens)
+  };
+}
+
 /**
  * Create a ticker item element
- * @param {Object} itemData - Ticker item data
+ * @param {Object} itemData - Normalized bus event, or legacy ticker item data
  * @param {string} itemData.type - Event type
- * @param {string} itemData.username - Username
- * @param {string} itemData.action - Action text
- * @param {string} itemData.detail - Additional detail (amount, months, etc.)
+ * @param {string} itemData.username - Username (legacy items)
+ * @param {string} itemData.action - Action text (legacy items)
+ * @param {string} itemData.detail - Additional detail (legacy items)
+ * @param {string} itemData.icon - Icon overriding the type's icon (legacy items)
  * @returns {HTMLElement}
  */
 function createTickerItem(itemData) {
+  // Bus events carry raw fields; legacy items arrive with pre-formatted text
   const {
     type = 'follow',
     username = 'Anonymous',
     action = 'followed',
     detail = ''
-  } = itemData;
+  } = itemData.action === undefined
+    ? { type: itemData.type, ...describeTickerEvent(normalizeEvent({ ...itemData, type: itemData.type || 'follow' })) }
+    : itemData;
   
   const item = createElement('div', {
     classes: 'ticker-item',
@@ -69,7 +127,7 @@ function createTickerItem(itemData) {
   // Create icon
   const icon = createElement('div', {
     classes: 'ticker-icon',
-    text: TICKER_CONFIG.icons[type] || '●'
+    text: itemData.icon || TICKER_CONFIG.icons[type] || '●'
   });
   
   // Create text content
@@ -165,7 +223,7 @@ function renderTicker(items = tickerItems) {
 
 /**
  * Add a new item to the ticker
- * @param {Object} itemData - Ticker item data
+ * @param {Object} itemData - Normalized bus event, or legacy ticker item data
  */
 function addTickerItem(itemData) {
   // Add to beginning of array
@@ -178,17 +236,29 @@ function addTickerItem(itemData) {
   
   // Update global reference
   window.tickerItems = tickerItems;
+  saveTickerState();
   
   // Re-render ticker
   renderTicker(tickerItems);
 }
 
+/**
+ * Add a ticker item for a bus event; events without a ticker template (e.g. 'leaderboard') are ignored
+ * @param {Object} event - Normalized bus event
+ */
+function handleTickerEvent(event) {
+  if (TICKER_CONFIG.templates[event.type]) {
+    addTickerItem(event);
+  }
+}
+
 /**
  * Clear all ticker items
  */
 function clearTicker() {
   tickerItems = [];
   window.tickerItems = tickerItems;
+  saveTickerState();
   renderTicker(tickerItems);
 }
 
@@ -209,16 +279,16 @@ function updateScrollSpeed() {
 
 const DEMO_DATA = {
   events: [
-    { type: 'follow', username: 'SpeedRacer88', action: 'followed', detail: '' },
-    { type: 'subscribe', username: 'TurboDriver', action: 'subscribed', detail: '' },
-    { type: 'subscribe', username: 'NitroBoost', action: 'subscribed for', detail: '6 months' },
-    { type: 'donation', username: 'CheckeredFlag', action: 'donated', detail: '$25.00' },
-    { type: 'cheer', username: 'PitCrewPro', action: 'cheered', detail: '500 bits' },
-    { type: 'raid', username: 'FastLane99', action: 'raided with', detail: '100 viewers' },
-    { type: 'follow', username: 'RacingLegend', action: 'followed', detail: '' },
-    { type: 'subscribe', username: 'TrackStar', action: 'gifted', detail: '5 subs' },
-    { type: 'donation', username: 'ThrottleMax', action: 'donated', detail: '$10.00' },
-    { type: 'cheer', username: 'VictoryLap', action: 'cheered', detail: '1000 bits' }
+    { type: 'follow', user: 'SpeedRacer88' },
+    { type: 'subscribe', user: 'TurboDriver' },
+    { type: 'subscribe', user: 'NitroBoost', months: 6 },
+    { type: 'donation', user: 'CheckeredFlag', amount: 25 },
+    { type: 'cheer', user: 'PitCrewPro', bits: 500 },
+    { type: 'raid', user: 'FastLane99', viewers: 100 },
+    { type: 'follow', user: 'RacingLegend' },
+    { type: 'subscribe', sender: 'TrackStar', gifted: true, count: 5 },
+    { type: 'donation', user: 'ThrottleMax', amount: 10 },
+    { type: 'cheer', user: 'VictoryLap', bits: 1000 }
   ],
   usernames: [
     'SpeedDemon', 'RoadRunner', 'FastFurious', 'NOS_Master',
@@ -233,39 +303,25 @@ const DEMO_DATA = {
 function generateDemoEvent() {
   const types = ['follow', 'subscribe', 'donation', 'cheer', 'raid'];
   const type = randomItem(types);
-  const username = randomItem(DEMO_DATA.usernames);
-  
-  let action = '';
-  let detail = '';
+  const event = { type, user: randomItem(DEMO_DATA.usernames) };
   
   switch (type) {
-    case 'follow':
-      action = 'followed';
-      break;
     case 'subscribe':
-      const months = randomInt(1, 24);
-      if (months === 1) {
-        action = 'subscribed';
-      } else {
-        action = 'subscribed for';
-        detail = `${months} months`;
-      }
+      event.months = randomInt(1, 24);
       break;
     case 'donation':
-      action = 'donated';
-      detail = formatCurrency(randomInt(5, 100));
+      event.amount = randomInt(5, 100);
       break;
     case 'cheer':
-      action = 'cheered';
-      detail = `${formatNumber(randomInt(100, 5000))} bits`;
+      event.bits = randomInt(100, 5000);
       break;
     case 'raid':
-      action = 'raided with';
-      detail = `${formatNumber(randomInt(10, 500))} viewers`;
+      event.viewers = randomInt(10, 500);
       break;
   }
   
-  addTickerItem({ type, username, action, detail });
+  // Render locally only; demo events are not published on the bus
+  addTickerItem(normalizeEvent(event));
 }
 
 /**
@@ -277,7 +333,7 @@ function startDemoMode() {
     
     // Add initial events
     DEMO_DATA.events.forEach(event => {
-      addTickerItem(event);
+      addTickerItem(normalizeEvent(event));
     });
     
     // Set interval for new events
@@ -337,6 +393,38 @@ function resumeTicker() {
   }
 }
 
+/* ============================================================
+   REMOTE CONTROL
+   ============================================================ */
+
+/**
+ * Get the current ticker state for the dock
+ * @returns {Object} { speed, paused, items, demo }
+ */
+function getTickerStatus() {
+  let speed = 'normal';
+  if (tickerTrack && tickerTrack.classList.contains('slow')) speed = 'slow';
+  if (tickerTrack && tickerTrack.classList.contains('fast')) speed = 'fast';
+  
+  return {
+    speed,
+    paused: Boolean(tickerTrack) && tickerTrack.style.animationPlayState === 'paused',
+    items: tickerItems.length,
+    demo: Boolean(demoInterval)
+  };
+}
+
+/**
+ * Commands accepted from the dock (see control.js)
+ */
+const TICKER_COMMANDS = {
+  speed: setTickerSpeed,
+  pause: pauseTicker,
+  resume: resumeTicker,
+  clear: clearTicker,
+  demo: (enabled) => (enabled ? startDemoMode() : stopDemoMode())
+};
+
 /* ============================================================
    INITIALIZATION
    ============================================================ */
@@ -353,6 +441,34 @@ function initTicker() {
     return;
   }
   
+  // Bring back the items from before the source was refreshed (storage.js)
+  if (typeof persistState === 'function') {
+    tickerItems = loadState('ticker') || [];
+    window.tickerItems = tickerItems;
+    saveTickerState = persistState('ticker', () => tickerItems);
+    if (tickerItems.length > 0) {
+      renderTicker(tickerItems);
+    }
+  }
+  
+  // Add ticker items for events published by connectors or other widgets
+  bus.on('*', handleTickerEvent);
+  
+  // Accept commands from the dock (control panel)
+  if (typeof registerControlTarget === 'function') {
+    registerControlTarget('ticker', { commands: TICKER_COMMANDS, getStatus: getTickerStatus });
+  }
+  
+  // Announce race flag changes (flags.js)
+  if (typeof onFlagChange === 'function') {
+    onFlagChange((flag, previous, { synced }) => {
+      if (!flag || synced || !FLAG_CONFIG.TICKER_ANNOUNCE) return;
+      
+      const config = FLAG_CONFIG.flags[flag];
+      addTickerItem({ type: 'flag', icon: config.icon, username: config.label, action: config.message, detail: '' });
+    });
+  }
+  
   logInit('Ticker System');
   
   // Start demo mode if configured
@@ -382,6 +498,7 @@ onReady(initTicker);
 // If using ES6 modules, uncomment below:
 /*
 export {
+  describeTickerEvent,
   addTickerItem,
   renderTicker,
   clearTicker,
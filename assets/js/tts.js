@@ -0,0 +1,295 @@
+/*
+ * tts.js
+ * Text-to-speech for alert messages
+ * Reads donation and cheer messages aloud through a pluggable voice provider (Web Speech API by default)
+ */
+
+/* ============================================================
+   CONFIGURATION
+   ============================================================ */
+
+const TTS_CONFIG = {
+  // Set to false to never read messages aloud
+  ENABLED: true,
+  
+  // Voice provider name (see registerTtsProvider)
+  PROVIDER: 'webspeech',
+  
+  // Voice settings passed to the provider (VOICE matches a voice name, null = browser default)
+  VOICE: null,
+  LANG: 'en-US',
+  RATE: 1,
+  PITCH: 1,
+  VOLUME: 1,
+  
+  // What is read aloud (text template, see formatTemplate in shared.js)
+  TEMPLATE: '{name} says: {message}',
+  
+  // Longer messages are cut off at this many characters
+  MAX_LENGTH: 200,
+  
+  // Longest time a single message may be spoken before it is cut off (milliseconds)
+  TIMEOUT: 20000,
+  
+  // Minimum amount per alert type before its message is read (types not listed are never read)
+  thresholds: {
+    donation: { field: 'amount', min: 5 },
+    cheer: { field: 'bits', min: 500 }
+  },
+  
+  // Moderation: messages containing these words are skipped, or censored when BLOCKED_ACTION is 'censor'
+  BLOCKED_WORDS: [],
+  BLOCKED_ACTION: 'skip',
+  
+  // Links are never read out; they are replaced with this text
+  LINK_REPLACEMENT: 'link'
+};
+
+/* ============================================================
+   STATE MANAGEMENT
+   ============================================================ */
+
+const ttsProviders = {};
+let ttsQueue = Promise.resolve();
+let activeSpeech = null;
+
+/* ============================================================
+   VOICE PROVIDERS
+   ============================================================ */
+
+/**
+ * Register a voice provider
+ * @param {string} name - Provider name used in TTS_CONFIG.PROVIDER
+ * @param {Object} provider - { speak(text, options) -> Promise resolved when speech ends, cancel() }
+ */
+function registerTtsProvider(name, provider) {
+  ttsProviders[name] = provider;
+}
+
+registerTtsProvider('webspeech', {
+  speak(text, options) {
+    return new Promise(resolve => {
+      if (!window.speechSynthesis || typeof SpeechSynthesisUtterance !== 'function') {
+        console.warn('TTS: Web Speech API not available');
+        resolve();
+        return;
+      }
+      
+      const utterance = new SpeechSynthesisUtterance(text);
+      utterance.lang = options.lang;
+      utterance.rate = options.rate;
+      utterance.pitch = options.pitch;
+      utterance.volume = options.volume;
+      
+      if (options.voice) {
+        const voice = speechSynthesis.getVoices().find(v => v.name === options.voice);
+        if (voice) {
+          utterance.voice = voice;
+        }
+      }
+      
+      utterance.onend = () => resolve();
+      utterance.onerror = () => resolve();
+      speechSynthesis.speak(utterance);
+    });
+  },
+  
+  cancel() {
+    if (window.speechSynthesis) {
+      speechSynthesis.cancel();
+    }
+  }
+});
+
+/* ============================================================
+   MODERATION
+   ============================================================ */
+
+/**
+ * Clean a user message for reading aloud
+ * @param {string} message - Raw user message
+ * @returns {string|null} Text to read, or null if the message must not be read
+ */
+function moderateTtsMessage(message) {
+  let text = String(message || '')
+    .replace(/https?:\/\/\S+|www\.\S+/gi, TTS_CONFIG.LINK_REPLACEMENT)
+    .replace(/(.)\1{4,}/g, '$1$1$1')
+    .replace(/\s+/g, ' ')
+    .trim();
+  
+  if (!text) {
+    return null;
+  }
+  
+  for (const word of TTS_CONFIG.BLOCKED_WORDS) {
+    const pattern = new RegExp(`\\b${escapeRegExp(word)}\\b`, 'gi');
+    if (!pattern.test(text)) continue;
+    
+    if (TTS_CONFIG.BLOCKED_ACTION !== 'censor') {
+      console.log('TTS: message skipped by word filter');
+      return null;
+    }
+    text = text.replace(pattern, '');
+  }
+  
+  text = text.replace(/\s+/g, ' ').trim();
+  
+  if (text.length > TTS_CONFIG.MAX_LENGTH) {
+    text = text.slice(0, TTS_CONFIG.MAX_LENGTH);
+  }
+  
+  return text || null;
+}
+
+/**
+ * Get the text to read aloud for an alert, applying thresholds and moderation
+ * @param {Object} data - Alert data (type, username, message, amount, bits...)
+ * @returns {string|null} Text to speak, or null if nothing should be read
+ */
+function getAlertSpeech(data) {
+  const threshold = TTS_CONFIG.thresholds[data.type];
+  
+  if (!TTS_CONFIG.ENABLED || !threshold || !data.message) {
+    return null;
+  }
+  
+  if (!((data[threshold.field] || 0) >= threshold.min)) {
+    return null;
+  }
+  
+  const message = moderateTtsMessage(data.message);
+  if (!message) {
+    return null;
+  }
+  
+  return formatTemplate(TTS_CONFIG.TEMPLATE, { name: data.username, message });
+}
+
+/* ============================================================
+   SPEECH
+   ============================================================ */
+
+/**
+ * Duck alert sounds while a message is read (when audio.js is loaded)
+ * @param {boolean} speaking - Whether speech is playing
+ */
+function duckForSpeech(speaking) {
+  if (typeof setAudioDuck === 'function') {
+    setAudioDuck('tts', speaking);
+  }
+}
+
+/**
+ * Queue text to be spoken. Messages are read one at a time, in order.
+ * @param {string} text - Text to speak
+ * @returns {Object} { done: Promise resolved when spoken, skipped or timed out, cancel() }
+ */
+function speakText(text) {
+  const provider = ttsProviders[TTS_CONFIG.PROVIDER];
+  let cancelled = false;
+  let finish = null;
+  
+  const speech = {
+    done: null,
+    cancel() {
+      cancelled = true;
+      if (activeSpeech === speech) {
+        provider.cancel();
+      }
+      if (finish) finish();
+    }
+  };
+  
+  if (!provider) {
+    console.error(`TTS: unknown provider "${TTS_CONFIG.PROVIDER}"`);
+    speech.done = Promise.resolve();
+    return speech;
+  }
+  
+  speech.done = ttsQueue = ttsQueue.then(() => new Promise(resolve => {
+    if (cancelled) {
+      resolve();
+      return;
+    }
+    
+    const timer = setTimeout(() => {
+      console.warn('TTS: speech timed out');
+      provider.cancel();
+      finish();
+    }, TTS_CONFIG.TIMEOUT);
+    
+    finish = () => {
+      clearTimeout(timer);
+      if (activeSpeech === speech) {
+        activeSpeech = null;
+        duckForSpeech(false);
+      }
+      resolve();
+    };
+    
+    activeSpeech = speech;
+    duckForSpeech(true);
+    provider.speak(text, {
+      voice: TTS_CONFIG.VOICE,
+      lang: TTS_CONFIG.LANG,
+      rate: TTS_CONFIG.RATE,
+      pitch: TTS_CONFIG.PITCH,
+      volume: TTS_CONFIG.VOLUME
+    }).then(finish, finish);
+  }));
+  
+  return speech;
+}
+
+/**
+ * Stop the message currently being read (the next queued message starts)
+ * @returns {boolean} Whether anything was being spoken
+ */
+function skipSpeech() {
+  if (!activeSpeech) {
+    return false;
+  }
+  
+  activeSpeech.cancel();
+  return true;
+}
+
+/* ============================================================
+   INITIALIZATION
+   ============================================================ */
+
+/**
+ * Initialize text-to-speech controls
+ */
+function initTts() {
+  // Voices load asynchronously in some browsers; ask early so VOICE can be matched
+  if (window.speechSynthesis) {
+    speechSynthesis.getVoices();
+  }
+  
+  // Make functions available globally
+  window.speakText = speakText;
+  window.skipSpeech = skipSpeech;
+  window.registerTtsProvider = registerTtsProvider;
+}
+
+// Auto-initialize when DOM is ready
+onReady(initTts);
+
+/* ============================================================
+   EXPORTS (for ES6 modules)
+   ============================================================ */
+
+// If using ES6 modules, uncomment below:
+/*
+export {
+  registerTtsProvider,
+  moderateTtsMessage,
+  getAlertSpeech,
+  speakText,
+  skipSpeech
+};
+*/
+
+console.log('%c[NASCAR 25 Stream Overlay] tts.js loaded', 
+  'color: #E10600; font-weight: bold; font-size: 12px;');
@@ -0,0 +1,228 @@
+/*
+ * tests/alerts.test.js
+ * Alert variations, and the alert queue: priority order, coalescing, mega preemption, holds and queue age, and alerts restored after a refresh
+ * Run: node --test tests/*.test.js
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts, toPlain, waitFor } = require('./helpers');
+
+/**
+ * Load the alert system with a container to show alerts in
+ * @returns {Object} Page context
+ */
+function loadAlertsPage() {
+  const page = loadScripts(['shared.js', 'alerts.js']);
+  page.run('alertContainer = document.createElement("div"); ALERT_CONFIG.DEMO_INTERVAL = 0;');
+  return page;
+}
+
+/**
+ * Usernames of the pending alerts, on screen first and then in queue order
+ * @param {Object} page - Page context
+ * @returns {string[]}
+ */
+function pendingNames(page) {
+  return toPlain(page.getPendingAlerts()).map(({ data }) => data.username);
+}
+
+/**
+ * The style fields a variation changes, for an alert
+ * @param {Object} page - Page context
+ * @param {Object} data - Alert data
+ * @returns {Object} { header, amount, detail, theme, priority, mega, lifetime }
+ */
+function styleOf(page, data) {
+  const { header, amount, detail, theme, priority, mega, lifetime } = page.resolveAlertStyle({ months: 1, count: 1, ...data });
+  return { header, amount, detail, theme, priority, mega, lifetime };
+}
+
+test('the first matching variation restyles an alert, the type defaults apply otherwise', () => {
+  const page = loadAlertsPage();
+  
+  assert.deepStrictEqual(styleOf(page, { type: 'donation', amount: 20 }), {
+    header: 'Donation', amount: '{amount|currency}', detail: '', theme: null, priority: 'high', mega: false, lifetime: 8000
+  });
+  assert.deepStrictEqual(styleOf(page, { type: 'donation', amount: 100 }), {
+    header: 'Huge Donation', amount: '{amount|currency}', detail: '', theme: 'gold', priority: 'high', mega: true, lifetime: 12000
+  });
+  assert.deepStrictEqual(styleOf(page, { type: 'donation', amount: 50 }), {
+    header: 'Donation', amount: '{amount|currency}', detail: '', theme: null, priority: 'high', mega: true, lifetime: 8000
+  });
+  assert.deepStrictEqual([4999, 5000, 10000].map(bits => styleOf(page, { type: 'cheer', bits })).map(({ header, mega }) => [header, mega]), [
+    ['Bits Cheered', false], ['Bits Cheered', true], ['Bits Storm', true]
+  ]);
+  
+  // Gift bombs before gifts before tier 3 before veterans
+  assert.deepStrictEqual(styleOf(page, { type: 'subscribe', gifted: true, count: 5, tier: '3000', months: 24 }), {
+    header: 'Gift Bomb', amount: 'Gifted {count|number} subs!', detail: '{months|plural::# months!}', theme: 'checkered', priority: 'high', mega: false, lifetime: 8000
+  });
+  assert.strictEqual(styleOf(page, { type: 'subscribe', gifted: true, count: 2 }).amount, 'Gifted {count|number} subs!');
+  assert.strictEqual(styleOf(page, { type: 'subscribe', gifted: true, tier: '3000' }).detail, 'Gift from {sender}');
+  assert.strictEqual(styleOf(page, { type: 'subscribe', tier: '3000', months: 24 }).header, 'Tier 3 Subscriber');
+  assert.strictEqual(styleOf(page, { type: 'subscribe', tier: '1000', months: 12 }).header, 'Veteran Subscriber');
+  assert.strictEqual(styleOf(page, { type: 'subscribe', tier: '1000', months: 11 }).header, 'New Subscriber');
+  
+  // Callers can still force a mega alert
+  assert.strictEqual(styleOf(page, { type: 'follow', mega: true }).mega, true);
+});
+
+test('variation rules match on type, minimums and exact values together', () => {
+  const page = loadAlertsPage();
+  const rule = { type: 'subscribe', match: { gifted: true }, min: { count: 5 } };
+  
+  assert.deepStrictEqual([
+    { type: 'subscribe', gifted: true, count: 5 },
+    { type: 'subscribe', gifted: true, count: 4 },
+    { type: 'subscribe', gifted: false, count: 5 },
+    { type: 'cheer', gifted: true, count: 5 }
+  ].map(data => page.matchesAlertVariation(rule, data)), [true, false, false, false]);
+  assert.strictEqual(page.matchesAlertVariation({ min: { bits: 100 } }, { type: 'cheer', bits: 100 }), true);
+});
+
+test('variations show up on screen with their text, theme and animation', (t) => {
+  const page = loadAlertsPage();
+  t.after(() => page.clearAlerts());
+  
+  page.createAlert({ type: 'subscribe', username: 'LongTimer', tier: '3000', months: 18 });
+  page.createAlert({ type: 'cheer', username: 'SmallCheer', bits: 100 });
+  
+  const [tier3, cheer] = page.run('alertContainer').children;
+  assert.deepStrictEqual(
+    ['.alert-header', '.alert-message', '.alert-sub-message'].map(selector => tier3.querySelector(selector).textContent),
+    ['Tier 3 Subscriber', 'LongTimer', 'Tier 3 · 18 months']
+  );
+  assert.deepStrictEqual([tier3.getAttribute('data-theme'), tier3.getAttribute('data-animation')], ['gold', 'drop']);
+  assert.deepStrictEqual([cheer.getAttribute('data-theme'), cheer.classList.contains('mega')], [null, false]);
+  assert.strictEqual(cheer.querySelector('.alert-amount').textContent, '100 bits');
+});
+
+test('queued alerts play by priority, first come first served within a priority', (t) => {
+  const page = loadAlertsPage();
+  t.after(() => page.clearAlerts());
+  
+  page.pauseAlerts();
+  page.createAlert({ type: 'follow', username: 'Follower1' });
+  page.createAlert({ type: 'subscribe', username: 'Sub1' });
+  page.createAlert({ type: 'donation', username: 'Donor1', amount: 5 });
+  page.createAlert({ type: 'follow', username: 'Follower2' });
+  page.createAlert({ type: 'cheer', username: 'Cheerer1', bits: 100 });
+  page.createAlert({ type: 'cheer', username: 'BigCheerer', bits: 5000 });
+  
+  assert.deepStrictEqual(pendingNames(page), ['BigCheerer', 'Donor1', 'Sub1', 'Cheerer1', 'Follower1', 'Follower2']);
+  
+  // MAX_ALERTS (3) go on screen, the rest wait in order
+  page.resumeAlerts();
+  assert.deepStrictEqual(toPlain(page.getAlertStatus()).history.map(entry => entry.username), ['BigCheerer', 'Donor1', 'Sub1']);
+  assert.strictEqual(page.getAlertStatus().queued, 3);
+});
+
+test('gifted subs from one gifter add up, repeated follows are dropped', (t) => {
+  const page = loadAlertsPage();
+  t.after(() => page.clearAlerts());
+  
+  page.pauseAlerts();
+  page.createAlert({ type: 'subscribe', username: 'Recipient1', gifted: true, sender: 'Gifter', count: 1 });
+  page.createAlert({ type: 'follow', username: 'Follower' });
+  page.createAlert({ type: 'subscribe', username: 'Recipient2', gifted: true, sender: 'Gifter', count: 1 });
+  page.createAlert({ type: 'subscribe', username: 'OtherRecipient', gifted: true, sender: 'OtherGifter', count: 1 });
+  page.createAlert({ type: 'follow', username: 'Follower' });
+  page.createAlert({ type: 'subscribe', username: 'Gifter', gifted: true, sender: 'Gifter', count: 3 });
+  
+  const pending = toPlain(page.getPendingAlerts()).map(({ data }) => [data.username, data.count]);
+  assert.deepStrictEqual(pending, [['Gifter', 5], ['OtherRecipient', 1], ['Follower', 1]]);
+  
+  // Outside COALESCE_WINDOW the same gifter gets a new alert
+  page.clearAlerts();
+  page.createAlert({ type: 'subscribe', username: 'Recipient3', gifted: true, sender: 'Gifter' }, { createdAt: Date.now() - 11000 });
+  page.createAlert({ type: 'subscribe', username: 'Recipient4', gifted: true, sender: 'Gifter' });
+  assert.deepStrictEqual(pendingNames(page), ['Recipient3', 'Recipient4']);
+});
+
+test('gifts added to an alert on screen update it in place', (t) => {
+  const page = loadAlertsPage();
+  t.after(() => page.clearAlerts());
+  
+  page.createAlert({ type: 'subscribe', username: 'Gifter', gifted: true, sender: 'Gifter', count: 2 });
+  page.createAlert({ type: 'subscribe', username: 'Recipient', gifted: true, sender: 'Gifter', count: 3 });
+  
+  const alert = page.run('alertContainer').children[0];
+  assert.strictEqual(page.run('alertContainer').children.length, 1);
+  assert.strictEqual(alert.querySelector('.alert-header').textContent, 'Gift Bomb');
+  assert.strictEqual(alert.querySelector('.alert-amount').textContent, 'Gifted 5 subs!');
+  assert.strictEqual(alert.getAttribute('data-theme'), 'checkered');
+});
+
+test('a mega alert ends the lowest priority alert on screen early', async (t) => {
+  const page = loadAlertsPage();
+  t.after(() => page.clearAlerts());
+  
+  page.createAlert({ type: 'subscribe', username: 'Sub1' });
+  page.createAlert({ type: 'follow', username: 'Follower1' });
+  page.createAlert({ type: 'follow', username: 'Follower2' });
+  page.createAlert({ type: 'donation', username: 'BigDonor', amount: 100 });
+  
+  // The oldest of the lowest priority alerts makes room
+  const exiting = page.run('activeAlerts').filter(entry => entry.removing).map(entry => entry.data.username);
+  assert.deepStrictEqual(toPlain(exiting), ['Follower1']);
+  
+  await waitFor(() => page.getAlertStatus().queued === 0);
+  assert.deepStrictEqual(pendingNames(page), ['Sub1', 'Follower2', 'BigDonor']);
+  assert.strictEqual(page.run('alertContainer').children.length, 3);
+});
+
+test('held alerts wait in the queue, and alerts that waited too long are dropped', (t) => {
+  const page = loadAlertsPage();
+  t.after(() => page.clearAlerts());
+  
+  page.holdAlerts('high');
+  page.createAlert({ type: 'follow', username: 'Follower' });
+  page.createAlert({ type: 'subscribe', username: 'Sub', months: 3 }, { createdAt: Date.now() - 301000 });
+  page.createAlert({ type: 'donation', username: 'Donor', amount: 10 });
+  
+  const { held, active, queued } = page.getAlertStatus();
+  assert.deepStrictEqual([held, active, queued], ['low, normal', 1, 2]);
+  
+  // Older than MAX_QUEUE_AGE.normal (5 minutes)
+  page.releaseAlerts();
+  assert.deepStrictEqual(pendingNames(page), ['Donor', 'Follower']);
+  assert.ok(page.logs.some(entry => entry.text.includes('Dropping stale subscribe alert for Sub')));
+});
+
+test('restored alerts keep their arrival time and stay out of the history', (t) => {
+  const page = loadAlertsPage();
+  t.after(() => page.clearAlerts());
+  const now = Date.now();
+  
+  page.pauseAlerts();
+  page.restorePendingAlerts([
+    { data: { type: 'follow', username: 'StillWaiting' }, createdAt: now - 50000 },
+    // Older than MAX_QUEUE_AGE.low (60s)
+    { data: { type: 'follow', username: 'TooOld' }, createdAt: now - 70000 },
+    // No age limit for mega alerts
+    { data: { type: 'donation', username: 'BigDonor', amount: 100 }, createdAt: now - 3600000 }
+  ]);
+  
+  assert.deepStrictEqual(toPlain(page.getPendingAlerts()).map(({ data, createdAt }) => [data.username, createdAt]), [
+    ['BigDonor', now - 3600000],
+    ['StillWaiting', now - 50000]
+  ]);
+  
+  // Saved and restored again, the age still counts from the first arrival
+  const saved = toPlain(page.getPendingAlerts());
+  const reloaded = loadAlertsPage();
+  t.after(() => reloaded.clearAlerts());
+  reloaded.pauseAlerts();
+  reloaded.restorePendingAlerts(saved);
+  assert.deepStrictEqual(toPlain(reloaded.getPendingAlerts()).map(entry => entry.createdAt), [now - 3600000, now - 50000]);
+  
+  page.createAlert({ type: 'follow', username: 'NewFollower' });
+  page.resumeAlerts();
+  
+  const status = toPlain(page.getAlertStatus());
+  assert.strictEqual(status.active, 3);
+  assert.deepStrictEqual(status.history, [{ type: 'follow', username: 'NewFollower' }]);
+});
@@ -0,0 +1,219 @@
+/*
+ * tests/audio.test.js
+ * Alert sound engine: one regular sound at a time, priority sounds over them with ducking, late sounds skipped,
+ * blocked autoplay, and the <audio> fallback, against a scripted Web Audio stand-in
+ * Run: node --test tests/*.test.js
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts, createElementStub } = require('./helpers');
+
+/**
+ * Gain node that keeps its value and the last ramp target
+ * @returns {Object}
+ */
+function createGainNode() {
+  return {
+    gain: {
+      value: 1,
+      target: 1,
+      setValueAtTime(value) { this.value = value; this.target = value; },
+      cancelScheduledValues() {},
+      linearRampToValueAtTime(value) { this.target = value; }
+    },
+    connect() {}
+  };
+}
+
+/**
+ * Web Audio stand-in: sources play until page.endSound(url) is called
+ * @param {Object} audio - Shared test state ({ playing, state })
+ * @returns {Function} AudioContext class
+ */
+function createAudioContextClass(audio) {
+  return class FakeAudioContext {
+    constructor() {
+      this.currentTime = 0;
+      this.destination = {};
+    }
+    
+    get state() {
+      return audio.state;
+    }
+    
+    // While autoplay is blocked resume() never settles
+    resume() {
+      return audio.state === 'running' ? Promise.resolve() : new Promise(() => {});
+    }
+    
+    createGain() {
+      return createGainNode();
+    }
+    
+    createBufferSource() {
+      const source = {
+        connect() {},
+        start: () => audio.playing.push(source)
+      };
+      return source;
+    }
+    
+    decodeAudioData(data, resolve) {
+      resolve({ url: data.url });
+    }
+  };
+}
+
+/**
+ * Load audio.js with Web Audio (or with only <audio> elements when webAudio is false)
+ * @param {Object} options
+ * @param {boolean} options.webAudio - Provide an AudioContext (default: true)
+ * @param {string} options.state - AudioContext state (default: 'running')
+ * @returns {Object} Page context; page.audio holds what is playing
+ */
+function loadAudioPage({ webAudio = true, state = 'running' } = {}) {
+  const audio = { playing: [], elements: [], state, listeners: {} };
+  const body = createElementStub('body');
+  
+  const page = loadScripts(['shared.js', 'audio.js'], {
+    AudioContext: webAudio ? createAudioContextClass(audio) : undefined,
+    fetch: (url) => Promise.resolve({ arrayBuffer: () => Promise.resolve({ url }) }),
+    Audio: class {
+      constructor(url) {
+        this.url = url;
+        audio.elements.push(this);
+      }
+      
+      play() {
+        return audio.state === 'running'
+          ? Promise.resolve()
+          : Promise.reject(Object.assign(new Error('blocked'), { name: 'NotAllowedError' }));
+      }
+    },
+    document: {
+      readyState: 'loading',
+      body,
+      addEventListener: (type, listener) => { audio.listeners[type] = listener; },
+      removeEventListener: (type) => { delete audio.listeners[type]; },
+      createElement: createElementStub
+    }
+  });
+  
+  page.audio = audio;
+  page.body = body;
+  // Finish the sound playing from url
+  page.endSound = (url) => {
+    const source = audio.playing.find(entry => entry.buffer.url === url && !entry.ended);
+    source.ended = true;
+    source.onended();
+  };
+  return page;
+}
+
+/**
+ * Let queued promise callbacks run
+ * @returns {Promise}
+ */
+function settle() {
+  return new Promise(resolve => setImmediate(resolve));
+}
+
+/**
+ * Sounds started so far
+ * @param {Object} page - Page context
+ * @returns {string[]}
+ */
+function started(page) {
+  return page.audio.playing.map(source => source.buffer.url);
+}
+
+test('regular sounds wait for each other, priority sounds play at once and duck them', async () => {
+  const page = loadAudioPage();
+  const first = page.playSound('follow.mp3');
+  const second = page.playSound('sub.mp3');
+  
+  await settle();
+  assert.deepStrictEqual(started(page), ['follow.mp3']);
+  
+  const mega = page.playSound('mega.mp3', { priority: true, volume: 0.5 });
+  await settle();
+  assert.deepStrictEqual(started(page), ['follow.mp3', 'mega.mp3']);
+  
+  const { queue, priority } = page.run('audioNodes');
+  assert.deepStrictEqual([queue.gain.target, priority.gain.target], [0.25, 1]);
+  
+  page.endSound('follow.mp3');
+  assert.strictEqual(await first, 'played');
+  await settle();
+  assert.deepStrictEqual(started(page), ['follow.mp3', 'mega.mp3', 'sub.mp3']);
+  
+  page.endSound('mega.mp3');
+  assert.strictEqual(await mega, 'played');
+  assert.strictEqual(queue.gain.target, 1);
+  
+  page.endSound('sub.mp3');
+  assert.strictEqual(await second, 'played');
+});
+
+test('speech ducks every sound until it ends, and the master volume stays between 0 and 1', async () => {
+  const page = loadAudioPage();
+  page.playSound('follow.mp3');
+  await settle();
+  const { master, queue, priority } = page.run('audioNodes');
+  
+  page.setAudioDuck('tts', true);
+  assert.deepStrictEqual([queue.gain.target, priority.gain.target], [0.25, 0.25]);
+  page.setAudioDuck('tts', false);
+  assert.deepStrictEqual([queue.gain.target, priority.gain.target], [1, 1]);
+  
+  page.setMasterVolume(1.5);
+  assert.strictEqual(master.gain.value, 1);
+  page.setMasterVolume(-1);
+  assert.strictEqual(master.gain.value, 0);
+  
+  page.endSound('follow.mp3');
+});
+
+test('a regular sound that waited longer than MAX_QUEUE_DELAY is skipped', async () => {
+  const page = loadAudioPage();
+  page.run('AUDIO_CONFIG.MAX_QUEUE_DELAY = 20;');
+  
+  const first = page.playSound('follow.mp3');
+  const late = page.playSound('sub.mp3');
+  await new Promise(resolve => setTimeout(resolve, 40));
+  page.endSound('follow.mp3');
+  await first;
+  
+  assert.strictEqual(await late, 'skipped');
+  assert.deepStrictEqual(started(page), ['follow.mp3']);
+});
+
+test('blocked autoplay is reported, and the next click turns sound back on', async () => {
+  const page = loadAudioPage({ state: 'suspended' });
+  page.run('AUDIO_CONFIG.RESUME_TIMEOUT = 10;');
+  
+  assert.strictEqual(await page.playSound('follow.mp3'), 'blocked');
+  assert.strictEqual(page.body.classList.contains('audio-blocked'), true);
+  assert.ok(page.logs.some(entry => entry.level === 'warn' && entry.text.includes('autoplay blocked')));
+  
+  page.audio.state = 'running';
+  page.audio.listeners.pointerdown();
+  await settle();
+  assert.strictEqual(page.body.classList.contains('audio-blocked'), false);
+  assert.deepStrictEqual(Object.keys(page.audio.listeners), []);
+});
+
+test('without Web Audio, sounds play through <audio> elements at the master volume', async () => {
+  const page = loadAudioPage({ webAudio: false });
+  
+  const played = page.playSound('follow.mp3', { volume: 0.5 });
+  await settle();
+  const [element] = page.audio.elements;
+  assert.deepStrictEqual([element.url, element.volume], ['follow.mp3', 0.4]);
+  
+  element.onended();
+  assert.strictEqual(await played, 'played');
+});
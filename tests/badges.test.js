@@ -0,0 +1,100 @@
+/*
+ * tests/badges.test.js
+ * Badge manifests, and the fallback to the closest lower badge version of the same sub tier
+ * Run: node --test tests/*.test.js
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts, toPlain } = require('./helpers');
+
+/**
+ * Twitch API badge set
+ * @param {string} setId - Badge set
+ * @param {string[]} ids - Versions
+ * @returns {Object}
+ */
+function badgeSet(setId, ids) {
+  return {
+    set_id: setId,
+    versions: ids.map(id => ({
+      id,
+      title: `${setId} ${id}`,
+      image_url_1x: `https://cdn.example/${setId}/${id}/1`,
+      image_url_2x: `https://cdn.example/${setId}/${id}/2`,
+      image_url_4x: `https://cdn.example/${setId}/${id}/4`
+    }))
+  };
+}
+
+/**
+ * Load badges.js with some Twitch API manifests added
+ * @param {...Object} manifests - Manifests, in load order
+ * @returns {Object} Page context
+ */
+function loadBadgesPage(...manifests) {
+  const page = loadScripts(['shared.js', 'badges.js']);
+  manifests.forEach(json => page.addBadgeEntries(page.parseBadgeManifest(json)));
+  return page;
+}
+
+/**
+ * Title of the badge resolveBadge picks, or null for a text pill
+ * @param {Object} page - Page context
+ * @param {string} badge - 'set/version'
+ * @returns {string|null}
+ */
+function resolvedTitle(page, badge) {
+  const image = page.resolveBadge(badge);
+  return image ? image.title : null;
+}
+
+test('sub badges fall back to a lower version of the same tier, then to tier 1', () => {
+  const page = loadBadgesPage({
+    data: [
+      badgeSet('subscriber', ['0', '3', '6', '12', '2000', '2003', '2012', '3000'])
+    ]
+  });
+  
+  assert.deepStrictEqual(['subscriber/2014', 'subscriber/2012', 'subscriber/2001', 'subscriber/3009', 'subscriber/14', 'subscriber/4'].map(badge => resolvedTitle(page, badge)), [
+    'subscriber 2012',
+    'subscriber 2012',
+    'subscriber 2000',
+    'subscriber 3000',
+    'subscriber 12',
+    'subscriber 3'
+  ]);
+});
+
+test('a channel with no tier 2 badges shows the tier 1 badge for the same months', () => {
+  const page = loadBadgesPage({ data: [badgeSet('subscriber', ['0', '6', '12'])] });
+  
+  assert.strictEqual(resolvedTitle(page, 'subscriber/2014'), 'subscriber 12');
+  assert.strictEqual(resolvedTitle(page, 'subscriber/3007'), 'subscriber 6');
+});
+
+test('the image URL follows BADGE_CONFIG.SCALE, and later manifests win', () => {
+  const page = loadBadgesPage(
+    { data: [badgeSet('subscriber', ['0', '12']), badgeSet('moderator', ['1'])] },
+    { badges: { 'subscriber/12': { url: 'channel/sub-12.png', title: '1-Year Sub' } } }
+  );
+  
+  assert.deepStrictEqual(toPlain(page.resolveBadge('subscriber/24')), { url: 'channel/sub-12.png', title: '1-Year Sub' });
+  assert.deepStrictEqual(toPlain(page.resolveBadge('moderator/1')), { url: 'https://cdn.example/moderator/1/2', title: 'moderator 1' });
+});
+
+test('other sets fall back within their versions and then to a version-less entry', () => {
+  const page = loadBadgesPage(
+    { data: [badgeSet('bits', ['1', '100', '1000', '5000'])] },
+    { badges: { vip: 'custom/vip.png' } }
+  );
+  page.run('BADGE_CONFIG.custom.founder = "custom/founder.png";');
+  
+  // Bits versions are amounts, not tiers: 2500 falls back to 1000
+  assert.strictEqual(resolvedTitle(page, 'bits/2500'), 'bits 1000');
+  assert.strictEqual(page.resolveBadge('vip/1').url, 'custom/vip.png');
+  assert.strictEqual(page.resolveBadge('founder/0').url, 'custom/founder.png');
+  assert.strictEqual(page.resolveBadge('turbo/1'), null);
+});
@@ -0,0 +1,41 @@
+/*
+ * tests/chat-benchmark.test.js
+ * The comparison table printed by tools/chat-benchmark.js (the runs themselves need jsdom)
+ * Run: node --test tests/*.test.js
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { formatBenchmarkTable } = require('../tools/chat-benchmark');
+
+const result = {
+  sent: 200,
+  rendered: 200,
+  dropped: 0,
+  fps: 60.52,
+  maxFrame: 23.15,
+  longFrames: 0,
+  sendTime: 25.06,
+  renderTime: 479.46,
+  renderPerLine: 2.4,
+  created: 93,
+  recycled: 107,
+  elements: 740
+};
+
+test('one row per run, figures right-aligned under their column, failed runs with their error', () => {
+  const table = formatBenchmarkTable([
+    { query: 'benchmark=100&cap=0', result },
+    { query: 'benchmark=100&batch=0', result: { ...result, fps: 54.7, created: 200, recycled: 0 } },
+    { query: 'benchmark=5000', error: 'no result after 40s' }
+  ]);
+  
+  assert.deepStrictEqual(table.split('\n'), [
+    'run                    sent  rendered  dropped    fps  maxFrame  longFrames  sendTime  renderTime  renderPerLine  created  recycled  elements',
+    'benchmark=100&cap=0     200       200        0  60.52     23.15           0     25.06      479.46            2.4       93       107       740',
+    'benchmark=100&batch=0   200       200        0   54.7     23.15           0     25.06      479.46            2.4      200         0       740',
+    'benchmark=5000            -         -        -      -         -           -         -           -              -        -         -         -  failed: no result after 40s'
+  ]);
+});
@@ -0,0 +1,69 @@
+/*
+ * tests/control.test.js
+ * Dock commands arriving on the control channel
+ * Run: node --test tests/*.test.js
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts, toPlain } = require('./helpers');
+
+/**
+ * Load control.js with a transport that records what it posts
+ * @returns {Object} Page context; page.posted lists posted messages, page.deliver(message) plays one in
+ */
+function loadControlPage() {
+  const posted = [];
+  const handlers = [];
+  const page = loadScripts(['shared.js', 'control.js'], {
+    createRelayTransport: () => ({
+      post: (message) => posted.push(toPlain(message)),
+      listen: (handler) => handlers.push(handler),
+      close() {}
+    })
+  });
+  page.posted = posted;
+  page.deliver = (message) => handlers.forEach(handler => handler(message));
+  return page;
+}
+
+test('a command that throws is logged and the dock still gets the status', () => {
+  const page = loadControlPage();
+  let target = 100;
+  page.registerControlTarget('goal', {
+    commands: {
+      setTarget: (value) => {
+        if (!(value > 0)) throw new Error(`Invalid goal target: ${value}`);
+        target = value;
+      }
+    },
+    getStatus: () => ({ target })
+  });
+  page.posted.length = 0;
+  
+  assert.doesNotThrow(() => page.deliver({ kind: 'command', target: 'goal', command: 'setTarget', args: ['abc'] }));
+  page.deliver({ kind: 'command', target: 'goal', command: 'setTarget', args: [250] });
+  
+  assert.deepStrictEqual(page.posted, [
+    { kind: 'status', source: 'goal', status: { target: 100 } },
+    { kind: 'status', source: 'goal', status: { target: 250 } }
+  ]);
+  assert.ok(page.logs.some(entry => entry.level === 'error' && entry.text.includes('goal command setTarget failed')));
+});
+
+test('commands for other targets and unknown commands are ignored', () => {
+  const page = loadControlPage();
+  const calls = [];
+  page.registerControlTarget('alerts', { commands: { skip: () => calls.push('skip') }, getStatus: () => ({}) });
+  page.posted.length = 0;
+  
+  page.deliver({ kind: 'command', target: 'ticker', command: 'skip' });
+  assert.strictEqual(page.runControlCommand('alerts', 'explode'), undefined);
+  page.deliver({ kind: 'command', target: 'alerts', command: 'skip' });
+  
+  assert.deepStrictEqual(calls, ['skip']);
+  assert.strictEqual(page.posted.length, 1);
+  assert.ok(page.logs.some(entry => entry.text.includes('Unknown alerts command: explode')));
+});
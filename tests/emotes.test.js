@@ -0,0 +1,137 @@
+/*
+ * tests/emotes.test.js
+ * BetterTTV, FrankerFaceZ and 7TV emote set parsing (tests/fixtures/emotes/) and emote rendering
+ * Run: node --test tests/*.test.js
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts, readFixture, toPlain } = require('./helpers');
+
+const fixtures = {
+  bttvGlobal: readFixture('emotes/bttv-global.json'),
+  bttvChannel: readFixture('emotes/bttv-channel.json'),
+  ffzRoom: readFixture('emotes/ffz-room.json'),
+  sevenTvUser: readFixture('emotes/7tv-user.json')
+};
+
+const loadEmotesPage = (globals) => loadScripts(['shared.js', 'emotes.js'], globals);
+
+/**
+ * Parse a fixture into [name, url, animated, zeroWidth] rows
+ * @param {Object} page - Page context
+ * @param {Object|Array} json - Emote set response
+ * @returns {Array[]}
+ */
+const parseRows = (page, json) => toPlain(page.parseEmoteSet(json))
+  .map(emote => [emote.name, emote.url, emote.animated, emote.zeroWidth]);
+
+test('providers are detected from the response shape', () => {
+  const page = loadEmotesPage();
+  
+  assert.deepStrictEqual(
+    [fixtures.bttvGlobal, fixtures.bttvChannel, fixtures.ffzRoom, fixtures.sevenTvUser, { emotes: [] }].map(page.detectEmoteProvider),
+    ['bttv', 'bttv', 'ffz', '7tv', 'json']);
+});
+
+test('BetterTTV global and channel emotes', () => {
+  const page = loadEmotesPage();
+  
+  assert.deepStrictEqual(parseRows(page, fixtures.bttvGlobal), [
+    [':tf:', 'https://cdn.betterttv.net/emote/54fa8f1401e468494b85b537/2x', false, false],
+    ['cvHazmat', 'https://cdn.betterttv.net/emote/5e76d338d6581c3724c0f0b2/2x', false, true],
+    ['SoSnowy', 'https://cdn.betterttv.net/emote/5fa179c8710f8302f0c9a86c/2x', true, true]
+  ]);
+  assert.deepStrictEqual(parseRows(page, fixtures.bttvChannel), [
+    ['nascarHype', 'https://cdn.betterttv.net/emote/6531a2b4c5d6e7f8a9b0c1d2/2x', false, false],
+    ['catJAM', 'https://cdn.betterttv.net/emote/5f1b0186cf6d2144653d2970/2x', true, false],
+    ['monkaS', 'https://cdn.betterttv.net/emote/56e9f494fff3cc5c35e5287e/2x', false, false]
+  ]);
+});
+
+test('FrankerFaceZ room emotes pick the scale, animated images and modifiers', () => {
+  const page = loadEmotesPage();
+  
+  assert.deepStrictEqual(parseRows(page, fixtures.ffzRoom), [
+    ['ffzFlag', 'https://cdn.frankerfacez.com/emote/720001/2', false, false],
+    ['ffzTireSmoke', 'https://cdn.frankerfacez.com/emote/720002/animated/2', true, false],
+    ['ffzWide', 'https://cdn.frankerfacez.com/emote/720003/2', false, true]
+  ]);
+  
+  // Still images, falling back to the largest size available below SCALE
+  page.run('EMOTE_CONFIG.ANIMATED = false;');
+  assert.strictEqual(toPlain(page.parseEmoteSet(fixtures.ffzRoom))[1].url, 'https://cdn.frankerfacez.com/emote/720002/1');
+});
+
+test('7TV set emotes use their set name, zero-width flags and skip deleted emotes', () => {
+  const page = loadEmotesPage();
+  
+  assert.deepStrictEqual(parseRows(page, fixtures.sevenTvUser), [
+    ['catJAM', 'https://cdn.7tv.app/emote/60ae958e229664e8667aea38/2x.webp', true, false],
+    ['pitStop', 'https://cdn.7tv.app/emote/63f1c2d3e4f5a6b7c8d9e0f1/2x.webp', false, false],
+    ['RainTime', 'https://cdn.7tv.app/emote/6128ed55a50c52b1429e09dc/2x.webp', true, true]
+  ]);
+  
+  page.run('EMOTE_CONFIG.ANIMATED = false;');
+  assert.deepStrictEqual(toPlain(page.parseEmoteSet(fixtures.sevenTvUser)).map(emote => emote.url.split('/').pop()),
+    ['2x_static.webp', '2x.webp', '2x_static.webp']);
+});
+
+test('loaded sets merge in order, later sets winning, and a missing set is skipped', async () => {
+  const responses = {
+    'bttv-global.json': fixtures.bttvGlobal,
+    'bttv-channel.json': fixtures.bttvChannel,
+    'ffz-room.json': fixtures.ffzRoom,
+    '7tv-user.json': fixtures.sevenTvUser
+  };
+  const page = loadEmotesPage({
+    fetch: (url) => Promise.resolve(responses[url]
+      ? { ok: true, status: 200, json: () => Promise.resolve(responses[url]) }
+      : { ok: false, status: 404 })
+  });
+  
+  const count = await page.loadEmoteSets(['bttv-global.json', 'bttv-channel.json', 'ffz-room.json', 'missing.json', '7tv-user.json']);
+  const emotes = page.run('thirdPartyEmotes');
+  
+  // 3 + 3 + 3 + 3, with catJAM in both BetterTTV and 7TV
+  assert.strictEqual(count, 11);
+  assert.strictEqual(emotes.get('catJAM').provider, '7tv');
+  assert.ok(page.logs.some(entry => entry.level === 'warn' && entry.text.includes('missing.json (404)')));
+});
+
+test('messages render Twitch and third-party emotes, stacking zero-width ones, with the text escaped', () => {
+  const page = loadEmotesPage();
+  const emotes = new Map([...page.parseEmoteSet(fixtures.sevenTvUser), ...page.parseEmoteSet(fixtures.ffzRoom)]
+    .map(emote => [emote.name, emote]));
+  
+  const { html, emoteOnly } = toPlain(page.renderEmotes('Kappa catJAM RainTime <b>hi</b> ffzFlag', [{ id: '25', start: 0, end: 4 }], emotes));
+  
+  assert.strictEqual(html, [
+    '<img class="emote" src="https://static-cdn.jtvnw.net/emoticons/v2/25/default/dark/2.0" alt="Kappa"> ',
+    '<span class="emote-stack">',
+    '<img class="emote animated" src="https://cdn.7tv.app/emote/60ae958e229664e8667aea38/2x.webp" alt="catJAM">',
+    '<img class="emote animated zero-width" src="https://cdn.7tv.app/emote/6128ed55a50c52b1429e09dc/2x.webp" alt="RainTime">',
+    '</span> &lt;b&gt;hi&lt;/b&gt; ',
+    '<img class="emote" src="https://cdn.frankerfacez.com/emote/720001/2" alt="ffzFlag">'
+  ].join(''));
+  assert.strictEqual(emoteOnly, false);
+});
+
+test('Twitch emote positions count an emoji as one character', () => {
+  const page = loadEmotesPage();
+  const { html } = page.renderEmotes('\u{1F3C1} Kappa', [{ id: '25', start: 2, end: 6 }], new Map());
+  
+  assert.strictEqual(html, '\u{1F3C1} <img class="emote" src="https://static-cdn.jtvnw.net/emoticons/v2/25/default/dark/2.0" alt="Kappa">');
+});
+
+test('emote-only messages up to EMOTE_ONLY_MAX emotes', () => {
+  const page = loadEmotesPage();
+  const emotes = new Map(page.parseEmoteSet(fixtures.sevenTvUser).map(emote => [emote.name, emote]));
+  
+  assert.strictEqual(page.renderEmotes('catJAM RainTime', [], emotes).emoteOnly, true);
+  assert.strictEqual(page.renderEmotes(' catJAM  pitStop ', [], emotes).emoteOnly, true);
+  assert.strictEqual(page.renderEmotes('catJAM gg', [], emotes).emoteOnly, false);
+  assert.strictEqual(page.renderEmotes(Array(7).fill('pitStop').join(' '), [], emotes).emoteOnly, false);
+});
@@ -0,0 +1,157 @@
+/*
+ * tests/eventsub.test.js
+ * EventSub notification mapping, the reconnect path against the fake EventSub server, and close() during a reconnect
+ * Run: node --test tests/*.test.js
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts, readFixture, toPlain, waitFor } = require('./helpers');
+const { WebSocketClient } = require('../tools/websocket');
+const { startFakeEventSub } = require('../tools/fake-eventsub');
+
+const { notifications } = readFixture('eventsub/notifications.json');
+
+/**
+ * Load eventsub.js with short timeouts and a <body> that records the stale state
+ * @returns {Object} Page context; page.staleHistory lists every setEventsStale() value
+ */
+function loadEventSubPage() {
+  const page = loadScripts(['shared.js', 'eventsub.js'], { WebSocket: WebSocketClient });
+  page.staleHistory = [];
+  page.document.body = {
+    classList: { toggle: (name, stale) => page.staleHistory.push(stale) }
+  };
+  page.run('EVENTSUB_CONFIG.KEEPALIVE_GRACE = 0; EVENTSUB_CONFIG.RECONNECT_DELAY = 50;');
+  return page;
+}
+
+const countLogs = (page, text) => page.logs.filter(entry => entry.text.includes(text)).length;
+
+test('notifications map to the alert and ticker event shapes', () => {
+  const page = loadScripts(['shared.js', 'eventsub.js']);
+  const normalize = (name) => toPlain(page.normalizeEventSubNotification(
+    notifications[name].subscription_type, notifications[name].event));
+  
+  assert.deepStrictEqual(normalize('follow'), { type: 'follow', user: 'SpeedRacer88' });
+  assert.strictEqual(normalize('giftRecipient'), null);
+  assert.deepStrictEqual(normalize('gift'),
+    { type: 'subscribe', user: 'DraftMaster', sender: 'DraftMaster', gifted: true, count: 3, tier: '1000' });
+  assert.deepStrictEqual([normalize('cheer').bits, normalize('raid').viewers], [250, 30]);
+});
+
+test('welcome, reconnect to the new URL, keepalive timeout and reconnect', async () => {
+  const server = await startFakeEventSub({ port: 0, keepalive: 1, interval: 20, log: () => {} });
+  const page = loadEventSubPage();
+  const events = [];
+  
+  const connection = page.connectEventSub({ url: server.url, onEvent: event => events.push(toPlain(event)) });
+  
+  try {
+    await waitFor(() => countLogs(page, 'session started') === 3, 5000);
+    
+    // First socket, the session_reconnect target, then a fresh session after the keepalive timeout
+    assert.deepStrictEqual(server.connections, ['/ws', '/reconnect', '/ws']);
+    assert.strictEqual(countLogs(page, 'server requested reconnect'), 1);
+    assert.strictEqual(countLogs(page, 'keepalive timed out'), 1);
+    
+    // The follow sent twice and the cheer redelivered on the new socket arrive once; the gift recipient is skipped
+    assert.deepStrictEqual(events.map(event => event.type), ['follow', 'subscribe', 'cheer', 'raid']);
+    assert.deepStrictEqual(events.map(event => event.id), [
+      notifications.follow.message_id,
+      notifications.gift.message_id,
+      notifications.cheer.message_id,
+      notifications.raid.message_id
+    ]);
+    
+    // Stale while reconnecting, healthy again once welcomed
+    assert.ok(page.staleHistory.includes(true));
+    assert.strictEqual(page.staleHistory[page.staleHistory.length - 1], false);
+  } finally {
+    connection.close();
+    await server.close();
+  }
+});
+
+test('a reconnect target that fails before its welcome clears the stale state', async () => {
+  const server = await startFakeEventSub({ port: 0, keepalive: 1, interval: 20, brokenReconnect: true, log: () => {} });
+  const page = loadEventSubPage();
+  const events = [];
+  
+  const connection = page.connectEventSub({ url: server.url, onEvent: event => events.push(toPlain(event)) });
+  
+  try {
+    await waitFor(() => countLogs(page, 'reconnect target closed') === 1 && events.length === 4, 5000);
+    
+    assert.deepStrictEqual(server.connections, ['/ws', '/broken']);
+    assert.strictEqual(page.staleHistory[page.staleHistory.length - 1], false);
+    
+    // The raid arrived on the old socket
+    assert.strictEqual(events[3].type, 'raid');
+    assert.strictEqual(countLogs(page, 'reconnecting'), 0);
+  } finally {
+    connection.close();
+    await server.close();
+  }
+});
+
+test('closing while a reconnect target waits for its welcome shuts that socket too', () => {
+  const sockets = [];
+  /**
+   * WebSocket stand-in driven by the test: receive() delivers a message
+   */
+  class ScriptedSocket {
+    constructor(url) {
+      this.url = url;
+      this.closed = false;
+      sockets.push(this);
+    }
+    
+    close() {
+      this.closed = true;
+    }
+    
+    receive(message) {
+      if (this.onmessage) {
+        this.onmessage({ data: JSON.stringify(message) });
+      }
+    }
+  }
+  
+  const page = loadScripts(['shared.js', 'eventsub.js'], { WebSocket: ScriptedSocket });
+  const events = [];
+  const welcome = (id) => ({
+    metadata: { message_id: `welcome-${id}`, message_type: 'session_welcome' },
+    payload: { session: { id, keepalive_timeout_seconds: 10 } }
+  });
+  const notification = (name) => ({
+    metadata: {
+      message_id: notifications[name].message_id,
+      message_type: 'notification',
+      subscription_type: notifications[name].subscription_type
+    },
+    payload: { event: notifications[name].event }
+  });
+  
+  const connection = page.connectEventSub({ url: 'ws://eventsub.test/ws', onEvent: event => events.push(event.type) });
+  sockets[0].receive(welcome('session-1'));
+  sockets[0].receive(notification('follow'));
+  sockets[0].receive({
+    metadata: { message_id: 'reconnect-1', message_type: 'session_reconnect' },
+    payload: { session: { id: 'session-1', reconnect_url: 'ws://eventsub.test/reconnect' } }
+  });
+  
+  connection.close();
+  assert.deepStrictEqual(sockets.map(socket => [socket.url, socket.closed]),
+    [['ws://eventsub.test/ws', true], ['ws://eventsub.test/reconnect', true]]);
+  
+  // A welcome and notification already in flight on the target are ignored
+  sockets[1].receive(welcome('session-1'));
+  sockets[1].receive(notification('raid'));
+  
+  assert.deepStrictEqual(events, ['follow']);
+  assert.strictEqual(sockets.length, 2);
+  assert.strictEqual(countLogs(page, 'session started'), 1);
+});
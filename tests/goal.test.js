@@ -0,0 +1,80 @@
+/*
+ * tests/goal.test.js
+ * Goal amounts per event (sub points for tiered and gifted subs), the goal period and reaching the target
+ * Run: node --test tests/*.test.js
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./helpers');
+
+/**
+ * Load the goal widget logic (no container, so nothing is rendered)
+ * @returns {Object} Page context
+ */
+function loadGoalPage() {
+  return loadScripts(['shared.js', 'goal.js']);
+}
+
+test('subs count their tier points, gifted subs once per sub', () => {
+  const page = loadGoalPage();
+  const amount = (event) => page.getGoalAmount('subscriber', page.normalizeEvent({ type: 'subscribe', user: 'Fan', ...event }));
+  
+  assert.deepStrictEqual([
+    {},
+    { tier: '1000' },
+    { tier: '2000' },
+    { tier: '3000' },
+    { tier: 'prime' },
+    { tier: '2000', months: 14 },
+    { tier: '1000', gifted: true, sender: 'Gifter', count: 5 },
+    { tier: '3000', gifted: true, sender: 'Gifter', count: 2 },
+    { tier: '2000', gifted: true, sender: 'Gifter' },
+    // A count without gifted is a resub streak, not a gift
+    { tier: '1000', count: 10 }
+  ].map(amount), [1, 1, 2, 6, 1, 2, 5, 12, 2, 1]);
+});
+
+test('each goal type only counts its own events', () => {
+  const page = loadGoalPage();
+  const events = [
+    { type: 'follow', user: 'Fan' },
+    { type: 'subscribe', user: 'Fan', tier: '2000' },
+    { type: 'cheer', user: 'Fan', bits: 500 },
+    { type: 'donation', user: 'Fan', amount: 12.5 },
+    { type: 'raid', user: 'Fan', viewers: 40 }
+  ].map(page.normalizeEvent);
+  
+  assert.deepStrictEqual(['follower', 'subscriber', 'bits', 'tip', 'unknown'].map(type => events.map(event => page.getGoalAmount(type, event))), [
+    [1, 0, 0, 0, 0],
+    [0, 2, 0, 0, 0],
+    [0, 0, 500, 0, 0],
+    [0, 0, 0, 12.5, 0],
+    [0, 0, 0, 0, 0]
+  ]);
+});
+
+test('events outside the goal period are not counted, and the target is reached once', () => {
+  const page = loadGoalPage();
+  const now = Date.now();
+  page.run('goalState.type = "subscriber"; goalState.target = 10;');
+  
+  page.run(`goalState.start = ${now + 60000};`);
+  page.handleGoalEvent(page.normalizeEvent({ type: 'subscribe', user: 'Early', tier: '3000' }));
+  assert.strictEqual(page.getGoal().current, 0);
+  
+  page.run(`goalState.start = ${now - 60000}; goalState.end = ${now + 60000};`);
+  page.handleGoalEvent(page.normalizeEvent({ type: 'subscribe', user: 'Gifter', tier: '3000', gifted: true, count: 2 }));
+  const { current, percent, reachedAt } = page.getGoal();
+  assert.deepStrictEqual([current, percent], [12, 100]);
+  assert.ok(reachedAt);
+  
+  page.handleGoalEvent(page.normalizeEvent({ type: 'subscribe', user: 'Fan', tier: '1000' }));
+  assert.strictEqual(page.getGoal().reachedAt, reachedAt);
+  
+  page.run(`goalState.end = ${now - 1};`);
+  page.handleGoalEvent(page.normalizeEvent({ type: 'subscribe', user: 'Late', tier: '1000' }));
+  assert.strictEqual(page.getGoal().current, 13);
+});
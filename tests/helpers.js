@@ -0,0 +1,193 @@
+/*
+ * tests/helpers.js
+ * Loads the overlay's browser scripts into a Node vm context so their functions can be checked without a browser
+ * Widgets are not initialized (onReady callbacks never run); pass stubs for anything else a script needs.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..');
+
+/**
+ * Read a fixture file
+ * @param {string} name - Path below tests/fixtures
+ * @returns {Object|string} Parsed JSON for .json files, text otherwise
+ */
+function readFixture(name) {
+  const text = fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+  return name.endsWith('.json') ? JSON.parse(text) : text;
+}
+
+/**
+ * Minimal stand-in for an element: classes, attributes, children and text
+ * innerHTML returns the escaped text, which is what escapeHtml() relies on.
+ * @param {string} tag - Tag name
+ * @returns {Object}
+ */
+function createElementStub(tag = 'div') {
+  const escape = (text) => String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+  const classes = new Set();
+  const attributes = new Map();
+  let text = '';
+  
+  const element = {
+    tagName: tag.toUpperCase(),
+    parentNode: null,
+    children: [],
+    style: {},
+    dataset: {},
+    classList: {
+      add: (...names) => names.forEach(name => classes.add(name)),
+      remove: (...names) => names.forEach(name => classes.delete(name)),
+      contains: (name) => classes.has(name),
+      toggle: (name, force = !classes.has(name)) => {
+        if (force) {
+          classes.add(name);
+        } else {
+          classes.delete(name);
+        }
+        return force;
+      }
+    },
+    get className() { return [...classes].join(' '); },
+    set textContent(value) { text = String(value); element.children = []; },
+    get textContent() { return text + element.children.map(child => child.textContent).join(''); },
+    get innerHTML() { return escape(text); },
+    set innerHTML(value) { text = String(value); },
+    setAttribute: (name, value) => attributes.set(name, String(value)),
+    getAttribute: (name) => (attributes.has(name) ? attributes.get(name) : null),
+    removeAttribute: (name) => attributes.delete(name),
+    appendChild(child) {
+      child.parentNode = element;
+      element.children.push(child);
+      return child;
+    },
+    removeChild(child) {
+      element.children = element.children.filter(existing => existing !== child);
+      child.parentNode = null;
+      return child;
+    },
+    replaceChild(child, old) {
+      element.children = element.children.map(existing => (existing === old ? child : existing));
+      child.parentNode = element;
+      old.parentNode = null;
+      return old;
+    },
+    // Single class selectors only ('.name')
+    querySelector(selector) {
+      for (const child of element.children) {
+        if (child.classList.contains(selector.slice(1))) return child;
+        const found = child.querySelector(selector);
+        if (found) return found;
+      }
+      return null;
+    },
+    addEventListener() {},
+    removeEventListener() {}
+  };
+  
+  return element;
+}
+
+/**
+ * Minimal stand-in for the parts of `document` the scripts touch at load time and in escapeHtml()
+ * @returns {Object}
+ */
+function createDocumentStub() {
+  return {
+    // Keeps onReady() callbacks (widget initialization) from running
+    readyState: 'loading',
+    body: null,
+    title: '',
+    addEventListener() {},
+    querySelector: () => null,
+    querySelectorAll: () => [],
+    getElementById: () => null,
+    createElement: createElementStub
+  };
+}
+
+/**
+ * Load scripts from assets/js into a fresh context
+ * @param {string[]} files - Script names, in page order (e.g. ['shared.js', 'irc.js'])
+ * @param {Object} globals - Extra globals (e.g. { WebSocket, fetch })
+ * @returns {Object} The context: script functions are properties, run(code) evaluates code in it
+ *   (for top-level const/let such as CHAT_CONFIG), and logs holds console output
+ */
+function loadScripts(files, globals = {}) {
+  const logs = [];
+  const record = (level) => (...args) => logs.push({ level, text: args.join(' ') });
+  
+  const context = {
+    console: { log: record('log'), info: record('info'), warn: record('warn'), error: record('error') },
+    setTimeout,
+    clearTimeout,
+    setInterval,
+    clearInterval,
+    URL,
+    URLSearchParams,
+    performance,
+    document: createDocumentStub(),
+    location: { search: '' },
+    addEventListener() {},
+    requestAnimationFrame: (callback) => setTimeout(() => callback(performance.now()), 16),
+    cancelAnimationFrame: (id) => clearTimeout(id),
+    ...globals
+  };
+  context.window = context;
+  
+  vm.createContext(context);
+  files.forEach(file => {
+    const filename = path.join(ROOT, 'assets', 'js', file);
+    vm.runInContext(fs.readFileSync(filename, 'utf8'), context, { filename });
+  });
+  
+  context.logs = logs;
+  context.run = (code) => vm.runInContext(code, context);
+  return context;
+}
+
+/**
+ * Copy a value made inside a context into this realm, so assert.deepStrictEqual can compare it
+ * @param {*} value - JSON-serializable value
+ * @returns {*}
+ */
+function toPlain(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Wait until a condition holds
+ * @param {Function} condition - Checked every 10ms
+ * @param {number} timeout - Milliseconds before giving up (default: 3000)
+ * @returns {Promise}
+ */
+function waitFor(condition, timeout = 3000) {
+  const started = Date.now();
+  
+  return new Promise((resolve, reject) => {
+    const check = () => {
+      if (condition()) {
+        resolve();
+      } else if (Date.now() - started > timeout) {
+        reject(new Error('waitFor: timed out'));
+      } else {
+        setTimeout(check, 10);
+      }
+    };
+    check();
+  });
+}
+
+module.exports = {
+  ROOT,
+  createElementStub,
+  readFixture,
+  loadScripts,
+  toPlain,
+  waitFor
+};
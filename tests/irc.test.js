@@ -0,0 +1,109 @@
+/*
+ * tests/irc.test.js
+ * IRC parser and chat mapping against raw Twitch IRC lines (tests/fixtures/irc/chat.txt)
+ * Run: node --test tests/*.test.js
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts, readFixture, toPlain } = require('./helpers');
+
+const page = loadScripts(['irc.js']);
+const lines = readFixture('irc/chat.txt').split('\n');
+
+/**
+ * Find the raw line containing some text
+ * @param {string} text
+ * @returns {string} The line, with its \r\n ending
+ */
+const findLine = (text) => lines.find(line => line.includes(text)) + '\n';
+
+const parse = (line) => toPlain(page.parseIrcMessage(line));
+const chatLine = (line) => toPlain(page.ircMessageToChatLine(page.parseIrcMessage(line)));
+
+test('commands, prefixes, params and trailing text', () => {
+  assert.deepStrictEqual(parse(findLine('PING')),
+    { tags: {}, prefix: '', nick: '', command: 'PING', params: [], trailing: 'tmi.twitch.tv' });
+  
+  const welcome = parse(findLine(' 001 '));
+  assert.deepStrictEqual([welcome.command, welcome.params, welcome.trailing], ['001', ['justinfan12345'], 'Welcome, GLHF!']);
+  
+  const join = parse(findLine(' JOIN '));
+  assert.deepStrictEqual([join.nick, join.command, join.params, join.trailing], ['justinfan12345', 'JOIN', ['#nascarfan'], '']);
+  
+  assert.strictEqual(page.parseIrcMessage('\r\n'), null);
+});
+
+test('tags are split and unescaped', () => {
+  const { tags } = parse(findLine('msg-id=resub'));
+  
+  assert.strictEqual(tags['system-msg'], "SpeedRacer88 subscribed at Tier 1. They've subscribed for 6 months!");
+  assert.strictEqual(tags['msg-param-sub-plan-name'], 'Channel Subscription (nascarfan)');
+  assert.strictEqual(tags.flags, '');
+  assert.deepStrictEqual(toPlain(page.parseIrcTags('a=semi\\:colon;b=back\\\\slash;c=line\\nbreak;d')),
+    { a: 'semi;colon', b: 'back\\slash', c: 'line\nbreak', d: '' });
+});
+
+test('a PRIVMSG maps display name, color, badges and emotes', () => {
+  assert.deepStrictEqual(chatLine(findLine('display-name=PitCrewPro')), {
+    id: 'b34ccfc7-4977-403a-8a94-33c6bac34fb8',
+    userId: '1337',
+    login: 'pitcrewpro',
+    username: 'PitCrewPro',
+    message: 'Kappa green flag!',
+    badges: ['moderator/1', 'subscriber/12'],
+    emotes: [{ id: '25', start: 0, end: 4 }],
+    color: '#1E90FF',
+    cheer: false,
+    bits: 0,
+    highlighted: false
+  });
+});
+
+test('bits, empty tags and highlighted messages', () => {
+  const cheer = chatLine(findLine('bits=500'));
+  assert.deepStrictEqual([cheer.cheer, cheer.bits, cheer.color, cheer.badges], [true, 500, null, ['bits/1000']]);
+  
+  const highlighted = chatLine(findLine('msg-id=highlighted-message'));
+  assert.deepStrictEqual([highlighted.username, highlighted.highlighted, highlighted.message], ['quietfan', true, 'Go go go!']);
+});
+
+test('emote positions count code points, so an emoji before an emote counts once', () => {
+  const line = chatLine(findLine('display-name=LapLeader'));
+  const characters = Array.from(line.message);
+  
+  assert.deepStrictEqual(line.emotes, [{ id: '25', start: 2, end: 6 }, { id: '25', start: 16, end: 20 }]);
+  line.emotes.forEach(emote => {
+    assert.strictEqual(characters.slice(emote.start, emote.end + 1).join(''), 'Kappa');
+  });
+});
+
+test('/me messages lose their ACTION markers', () => {
+  const raw = '@display-name=DraftMaster;id=abc :draftmaster!draftmaster@draftmaster.tmi.twitch.tv PRIVMSG #nascarfan :\u0001ACTION waves the checkered flag\u0001';
+  
+  assert.strictEqual(chatLine(raw).message, 'waves the checkered flag');
+});
+
+test('sub and raid USERNOTICEs become system lines; other notices are skipped', () => {
+  const resub = chatLine(findLine('msg-id=resub'));
+  assert.strictEqual(resub.system, true);
+  assert.strictEqual(resub.login, 'speedracer88');
+  assert.strictEqual(resub.message, "SpeedRacer88 subscribed at Tier 1. They've subscribed for 6 months! \"Six months of racing!\"");
+  
+  // No system-msg tag: the text is built from the msg-param tags
+  assert.strictEqual(chatLine(findLine('msg-id=raid')).message, 'FriendlyStreamer raided with 42 viewers!');
+  
+  assert.strictEqual(chatLine(findLine('msg-id=announcement')), null);
+  assert.strictEqual(chatLine(findLine('PING')), null);
+});
+
+test('CLEARMSG and CLEARCHAT map to the lines they remove', () => {
+  const moderation = (text) => toPlain(page.ircMessageToModeration(page.parseIrcMessage(findLine(text))));
+  
+  assert.deepStrictEqual(moderation('CLEARMSG'), { id: '7c8d9e0f-1a2b-4c3d-8e4f-5a6b7c8d9e0f' });
+  assert.deepStrictEqual(moderation('target-user-id=9999'), { userId: '9999', login: 'spambot' });
+  assert.deepStrictEqual(moderation('tmi-sent-ts=1760896810000'), {});
+  assert.strictEqual(moderation('msg-id=resub'), null);
+});
@@ -0,0 +1,91 @@
+/*
+ * tests/laptimer.test.js
+ * m:ss.t parsing and formatting, and lap timing from the crossings in tests/fixtures/laptimer/stint.json
+ * Run: node --test tests/*.test.js
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts, readFixture, toPlain } = require('./helpers');
+
+const page = loadScripts(['laptimer.js']);
+const stint = readFixture('laptimer/stint.json');
+
+test('parseLapTime reads seconds and m:ss.t text', () => {
+  const cases = [
+    [105.3, 105.3],
+    ['1:45.3', 105.3],
+    [' 1:45.3 ', 105.3],
+    ['1:45', 105],
+    ['45.3', 45.3],
+    ['0:59.9', 59.9],
+    ['12:00.0', 720],
+    ['0', 0]
+  ];
+  
+  cases.forEach(([input, seconds]) => {
+    assert.ok(Math.abs(page.parseLapTime(input) - seconds) < 1e-9, `${JSON.stringify(input)} -> ${seconds}`);
+  });
+});
+
+test('parseLapTime rejects anything that is not a time', () => {
+  ['', '-', 'abc', '1:4x', '1:45.3s', '-1:45.3', null, undefined, NaN, Infinity].forEach(input => {
+    assert.strictEqual(page.parseLapTime(input), null, String(input));
+  });
+});
+
+test('formatLapTime rounds to tenths and carries into minutes', () => {
+  const cases = [
+    [105.3, '1:45.3'],
+    [105.34, '1:45.3'],
+    [105.36, '1:45.4'],
+    [59.96, '1:00.0'],
+    [9.5, '0:09.5'],
+    [0, '0:00.0'],
+    [3600, '60:00.0']
+  ];
+  
+  cases.forEach(([seconds, text]) => assert.strictEqual(page.formatLapTime(seconds), text, String(seconds)));
+});
+
+test('formatted lap times parse back to the same tenth', () => {
+  [0, 9.5, 59.9, 60, 104.6, 105.3, 599.9].forEach(seconds => {
+    assert.strictEqual(page.formatLapTime(page.parseLapTime(page.formatLapTime(seconds))), page.formatLapTime(seconds));
+  });
+});
+
+test('formatLapDelta signs the difference and shows no sign for zero', () => {
+  assert.deepStrictEqual([-0.4, 1.2, 0, 0.04, -0.04, 0.3000000000000114].map(page.formatLapDelta),
+    ['-0.4', '+1.2', '0.0', '0.0', '0.0', '+0.3']);
+});
+
+test('a stint with a double press and a pit stop', () => {
+  const timer = page.createLapTimer();
+  
+  stint.events.forEach(event => {
+    if ('pit' in event) {
+      timer.pit(event.pit);
+    } else {
+      timer.crossLine(event.cross);
+    }
+  });
+  
+  const stats = toPlain(timer.getStats(stint.events[stint.events.length - 1].cross));
+  assert.deepStrictEqual({
+    laps: stats.laps,
+    lastLap: page.formatLapTime(stats.lastLap),
+    bestLap: page.formatLapTime(stats.bestLap),
+    averageLap: page.formatLapTime(stats.averageLap),
+    delta: page.formatLapDelta(stats.delta),
+    stintLaps: stats.stintLaps,
+    pitStops: stats.pitStops,
+    pitting: stats.pitting
+  }, stint.expected);
+  
+  // A saved timer continues where it left off
+  const restored = page.createLapTimer();
+  restored.restore(toPlain(timer.save()));
+  assert.deepStrictEqual(toPlain(restored.getStats(0)), toPlain(timer.getStats(0)));
+});
@@ -0,0 +1,120 @@
+/*
+ * tests/leaderboard.test.js
+ * Running order cleanup, the time column, and the compact top-N tower with your car added below it
+ * Run: node --test tests/*.test.js
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts, toPlain } = require('./helpers');
+
+/**
+ * Load the leaderboard logic (no container, so nothing is rendered)
+ * @returns {Object} Page context
+ */
+function loadLeaderboardPage() {
+  return loadScripts(['shared.js', 'leaderboard.js']);
+}
+
+/**
+ * Running order of ten cars, numbered 1-10 by position
+ * @returns {Object[]}
+ */
+function field() {
+  return Array.from({ length: 10 }, (_, index) => ({ number: index + 1, driver: `Driver ${index + 1}` }));
+}
+
+test('entries are cleaned up and sorted by position; cars without a number are dropped', () => {
+  const page = loadLeaderboardPage();
+  
+  const count = page.setRunningOrder({
+    lap: 42,
+    totalLaps: 200,
+    order: [
+      { position: '2', number: 5, driver: 'TurboDriver', interval: 0.512, gap: 0.512, pit: 0 },
+      { position: 1, number: '24', driver: 'SpeedRacer88' },
+      { position: 3, driver: 'No Number' },
+      { position: 4, number: '', driver: 'Empty Number' },
+      null,
+      { position: 3, number: 0, driver: 'Zero', interval: '+1 Lap', pit: 'yes' }
+    ]
+  });
+  
+  assert.strictEqual(count, 3);
+  assert.deepStrictEqual(toPlain(page.getRunningOrder()), [
+    { position: 1, number: '24', driver: 'SpeedRacer88', interval: null, gap: null, pit: false },
+    { position: 2, number: '5', driver: 'TurboDriver', interval: 0.512, gap: 0.512, pit: false },
+    { position: 3, number: '0', driver: 'Zero', interval: '+1 Lap', gap: null, pit: true }
+  ]);
+  assert.deepStrictEqual(toPlain(page.run('leaderboardLap')), { lap: 42, totalLaps: 200 });
+});
+
+test('without positions the list order is the running order, cut at MAX_ROWS', () => {
+  const page = loadLeaderboardPage();
+  page.run('LEADERBOARD_CONFIG.MAX_ROWS = 4;');
+  
+  page.setRunningOrder(field().reverse());
+  
+  assert.deepStrictEqual(toPlain(page.getRunningOrder()).map(({ position, number }) => [position, number]), [
+    [1, '10'], [2, '9'], [3, '8'], [4, '7']
+  ]);
+});
+
+test('the time column shows the leader text, seconds to three places, or the text given', () => {
+  const page = loadLeaderboardPage();
+  const time = (entry) => page.formatLeaderboardTime({ interval: null, gap: null, ...entry });
+  
+  assert.deepStrictEqual([
+    { position: 1, interval: 0 },
+    { position: 2, interval: 0.5 },
+    { position: 3, interval: '+1 Lap' },
+    { position: 4 },
+    { position: 5, interval: '' }
+  ].map(time), ['Leader', '+0.500', '+1 Lap', '', '']);
+  
+  page.run('LEADERBOARD_CONFIG.TIME_COLUMN = "gap";');
+  assert.strictEqual(time({ position: 2, interval: 0.5, gap: 12.3456 }), '+12.346');
+});
+
+test('compact mode shows the top rows, with your car added below when it is further back', () => {
+  const page = loadLeaderboardPage();
+  const visible = () => toPlain(page.getVisibleCars()).map(({ number, detached }) => (detached ? `${number} (detached)` : number));
+  page.setRunningOrder(field());
+  
+  assert.strictEqual(visible().length, 10);
+  
+  page.setLeaderboardMode('compact');
+  assert.deepStrictEqual(visible(), ['1', '2', '3', '4', '5']);
+  
+  page.setMyCar(8);
+  assert.deepStrictEqual(visible(), ['1', '2', '3', '4', '5', '8 (detached)']);
+  
+  // Already in the top rows: not repeated
+  page.setMyCar('3');
+  assert.deepStrictEqual(visible(), ['1', '2', '3', '4', '5']);
+  
+  // Not in the running order: nothing added
+  page.setMyCar('99');
+  assert.deepStrictEqual(visible(), ['1', '2', '3', '4', '5']);
+  
+  page.setMyCar(8);
+  assert.deepStrictEqual(toPlain(page.getLeaderboardStatus()), { cars: 10, leader: '#1 Driver 1', myCar: '#8 P8', mode: 'compact', demo: false });
+  
+  // Anything but 'compact' is the full tower
+  page.setLeaderboardMode('tiny');
+  assert.strictEqual(visible().length, 10);
+});
+
+test('a live running order replaces the demo one and ends the demo', (t) => {
+  const page = loadLeaderboardPage();
+  t.after(() => page.stopLeaderboardDemo());
+  page.startLeaderboardDemo();
+  assert.strictEqual(page.getLeaderboardStatus().demo, true);
+  
+  page.applyLiveRunningOrder([{ number: 24, driver: 'SpeedRacer88' }]);
+  
+  assert.strictEqual(page.getLeaderboardStatus().demo, false);
+  assert.deepStrictEqual(toPlain(page.getRunningOrder()).map(entry => entry.number), ['24']);
+});
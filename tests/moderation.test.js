@@ -0,0 +1,110 @@
+/*
+ * tests/moderation.test.js
+ * Hidden bots and commands, masked blocked terms and links, and Twitch emote positions after masking
+ * Run: node --test tests/*.test.js
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts, toPlain } = require('./helpers');
+
+const page = loadScripts(['shared.js', 'moderation.js']);
+const defaults = page.run('MODERATION_CONFIG');
+
+/**
+ * Moderation settings with some values replaced
+ * @param {Object} overrides - Settings to replace
+ * @returns {Object}
+ */
+const withConfig = (overrides = {}) => ({ ...defaults, ...overrides });
+
+/**
+ * The text each emote position points at
+ * @param {Object} result - maskChatMessage result
+ * @returns {string[]}
+ */
+const emoteText = ({ message, emotes }) => emotes.map(emote => Array.from(message).slice(emote.start, emote.end + 1).join(''));
+
+test('bots and commands are hidden, system lines are not', () => {
+  assert.strictEqual(page.filterChatLine({ login: 'nightbot', username: 'Nightbot', message: 'Join the Discord!' }), null);
+  assert.strictEqual(page.filterChatLine({ username: 'StreamElements', message: 'Follow the channel' }), null);
+  assert.strictEqual(page.filterChatLine({ login: 'pitcrewpro', message: '  !uptime' }), null);
+  
+  const system = { system: true, login: 'nightbot', message: '!raid https://spam.tv' };
+  assert.strictEqual(page.filterChatLine(system), system);
+  
+  const line = { login: 'pitcrewpro', message: 'Box box this lap' };
+  assert.strictEqual(page.filterChatLine(line), line);
+  assert.strictEqual(page.filterChatLine({ login: 'nightbot', message: 'hi' }, withConfig({ HIDE_BOTS: false })).message, 'hi');
+});
+
+test('links are masked; dotted chat that is not a link is left alone', () => {
+  const mask = (message) => page.maskChatMessage(message).message;
+  
+  assert.strictEqual(mask('go to https://spam.tv/live now'), 'go to <link> now');
+  assert.strictEqual(mask('www.example.org'), '<link>');
+  assert.strictEqual(mask('check out spam.tv or x.com/abc'), 'check out <link> or <link>');
+  ['gg.wp', 'nice.try', 'e.g. lap 1.5 faster', 'pit.stop.now', 'P1...P2'].forEach(message => {
+    assert.strictEqual(mask(message), message);
+  });
+});
+
+test('links from the broadcaster, moderators and VIPs are kept', () => {
+  const post = (badges) => page.filterChatLine({ login: 'pitcrewpro', badges, message: 'spam.tv' }).message;
+  
+  assert.strictEqual(post(['moderator/1']), 'spam.tv');
+  assert.strictEqual(post(['vip/1', 'subscriber/12']), 'spam.tv');
+  assert.strictEqual(post(['subscriber/12']), '<link>');
+  assert.strictEqual(post([]), '<link>');
+  assert.strictEqual(page.filterChatLine({ login: 'pitcrewpro', message: 'spam.tv' }, withConfig({ MASK_LINKS: false })).message, 'spam.tv');
+});
+
+test('blocked terms are masked as whole words, with * matching any letters', () => {
+  const config = withConfig({ BLOCKED_TERMS: ['spam*', 'b.a.d'] });
+  const mask = (message) => page.maskChatMessage(message, [], {}, config).message;
+  
+  assert.strictEqual(mask('SPAMMER spam Spam!'), '*** *** ***!');
+  assert.strictEqual(mask('antispam is fine'), 'antispam is fine');
+  assert.strictEqual(mask('that is b.a.d, not bxaxd'), 'that is ***, not bxaxd');
+  assert.strictEqual(mask('spamé'), '***');
+});
+
+test('emote positions move with the masks before them, and masked emotes are dropped', () => {
+  const config = withConfig({ BLOCKED_TERMS: ['spam*'] });
+  const emotes = [
+    { id: '25', start: 0, end: 4 },
+    { id: '1', start: 12, end: 15 },
+    { id: '25', start: 22, end: 26 },
+    { id: '25', start: 38, end: 42 }
+  ];
+  
+  const result = toPlain(page.maskChatMessage('Kappa https://spam.tv Kappa spammer \u{1F3C1} Kappa', emotes, {}, config));
+  
+  assert.strictEqual(result.message, 'Kappa <link> Kappa *** \u{1F3C1} Kappa');
+  assert.deepStrictEqual(result.emotes, [
+    { id: '25', start: 0, end: 4 },
+    { id: '25', start: 13, end: 17 },
+    { id: '25', start: 25, end: 29 }
+  ]);
+  assert.deepStrictEqual(emoteText(result), ['Kappa', 'Kappa', 'Kappa']);
+  assert.strictEqual(result.masked, true);
+});
+
+test('the README example', () => {
+  const result = toPlain(page.maskChatMessage('check out spam.tv Kappa', [{ id: '25', start: 18, end: 22 }]));
+  
+  assert.deepStrictEqual(result, { message: 'check out <link> Kappa', emotes: [{ id: '25', start: 17, end: 21 }], masked: true });
+});
+
+test('filterChatLine passes the shifted emotes on with the line', () => {
+  const line = page.filterChatLine({ login: 'pitcrewpro', badges: [], message: 'spam.tv Kappa', emotes: [{ id: '25', start: 8, end: 12 }] });
+  
+  assert.deepStrictEqual(toPlain(line), {
+    login: 'pitcrewpro',
+    badges: [],
+    message: '<link> Kappa',
+    emotes: [{ id: '25', start: 7, end: 11 }]
+  });
+});
@@ -0,0 +1,112 @@
+/*
+ * tests/race.test.js
+ * Race HUD starting state read from the main overlay's markup, lap counting and the best lap
+ * Run: node --test tests/*.test.js
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { ROOT, loadScripts, toPlain } = require('./helpers');
+
+const overlay = fs.readFileSync(path.join(ROOT, 'overlays', 'main-overlay.html'), 'utf8');
+
+/**
+ * Build stand-ins for the HUD's .race-stat boxes
+ * @param {string} html - Markup containing the boxes
+ * @returns {Object[]} Elements with dataset.stat, a .value child and classList
+ */
+function createHudElements(html) {
+  const pattern = /class="race-stat" data-stat="(\w+)">\s*<span class="label">[^<]*<\/span>\s*<span class="value">([^<]*)<\/span>/g;
+  
+  return [...html.matchAll(pattern)].map(([, stat, text]) => {
+    const value = { textContent: text };
+    return {
+      dataset: { stat },
+      querySelector: () => value,
+      classList: { toggle() {}, add() {}, remove() {} }
+    };
+  });
+}
+
+/**
+ * Load the race HUD against some markup
+ * @param {string} html - Markup containing the boxes
+ * @returns {Object} Page context; page.hud lists the boxes
+ */
+function loadRacePage(html) {
+  const page = loadScripts(['shared.js', 'laptimer.js', 'race.js']);
+  page.hud = createHudElements(html);
+  page.document.querySelectorAll = () => page.hud;
+  page.document.querySelector = (selector) => page.hud.find(element => selector.includes(`"${element.dataset.stat}"`)) || null;
+  page.run('lapTimer = createLapTimer();');
+  return page;
+}
+
+const hudText = (page, stat) => page.hud.find(element => element.dataset.stat === stat).querySelector().textContent;
+
+test('the shipped HUD markup holds no race state', () => {
+  const page = loadRacePage(overlay);
+  
+  assert.deepStrictEqual(page.hud.map(element => element.dataset.stat),
+    ['position', 'lap', 'gap', 'lastLap', 'bestLap', 'delta', 'stintLaps']);
+  page.hud.forEach(element => assert.strictEqual(element.querySelector().textContent, '-'));
+  
+  page.readRaceStateFromHud();
+  const state = toPlain(page.getRaceState());
+  Object.keys(state).filter(key => key !== 'pitting').forEach(key => assert.strictEqual(state[key], null, key));
+});
+
+test('lap crossings count from lap 1 and the best lap comes from the timer', () => {
+  const page = loadRacePage(overlay);
+  page.readRaceStateFromHud();
+  
+  page.recordLapCrossing(0);
+  page.recordLapCrossing(105300);
+  page.recordLapCrossing(211300);
+  
+  const state = toPlain(page.getRaceState());
+  assert.strictEqual(state.lap, 2);
+  assert.strictEqual(state.bestLap, 105.3);
+  assert.strictEqual(hudText(page, 'bestLap'), '1:45.3');
+  assert.strictEqual(hudText(page, 'lastLap'), '1:46.0');
+});
+
+test('a pit lap never becomes the best lap, even as the first lap', () => {
+  const page = loadRacePage(overlay);
+  page.readRaceStateFromHud();
+  
+  page.recordLapCrossing(0);
+  page.recordPitStop(60000);
+  page.recordLapCrossing(140000);
+  
+  let state = toPlain(page.getRaceState());
+  assert.deepStrictEqual([state.lap, state.lastLap, state.bestLap], [1, 140, null]);
+  assert.strictEqual(hudText(page, 'bestLap'), '-');
+  
+  page.recordLapCrossing(245300);
+  state = toPlain(page.getRaceState());
+  assert.deepStrictEqual([state.lastLap, state.bestLap], [105.3, 105.3]);
+  
+  // Race data from a feed or the dock
+  const fed = loadRacePage(overlay);
+  fed.readRaceStateFromHud();
+  fed.setRaceState({ lastLap: '2:20.0', lastLapPit: true });
+  assert.strictEqual(toPlain(fed.getRaceState()).bestLap, null);
+  fed.setRaceState({ lastLap: '1:46.0' });
+  assert.strictEqual(toPlain(fed.getRaceState()).bestLap, 106);
+});
+
+test('values written into the markup by hand are the starting state', () => {
+  const html = overlay
+    .replace(/(data-stat="lap">\s*<span class="label">Lap<\/span>\s*<span class="value">)-/, '$115/200')
+    .replace(/(data-stat="bestLap">\s*<span class="label">Best Lap<\/span>\s*<span class="value">)-/, '$11:45.3');
+  const page = loadRacePage(html);
+  page.readRaceStateFromHud();
+  
+  const state = toPlain(page.getRaceState());
+  assert.deepStrictEqual([state.lap, state.totalLaps, state.bestLap], [15, 200, 105.3]);
+});
@@ -0,0 +1,116 @@
+/*
+ * tests/recorder.test.js
+ * Per-page recording storage, the entry cap, and the playback URL parameters
+ * Run: node --test tests/*.test.js
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts, toPlain, waitFor } = require('./helpers');
+
+/**
+ * In-memory localStorage
+ * @returns {Object}
+ */
+function createStorage() {
+  const items = new Map();
+  return {
+    items,
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: (key) => items.delete(key)
+  };
+}
+
+/**
+ * Load the recorder as if on a page
+ * @param {string} pathname - Page path
+ * @param {Object} localStorage - Storage shared between the pages of one test
+ * @param {Object} globals - Extra globals (e.g. an addChatLine stub)
+ * @returns {Object} Page context
+ */
+function loadRecorderPage(pathname, localStorage, globals = {}) {
+  return loadScripts(['shared.js', 'recorder.js'], {
+    location: { pathname, search: '' },
+    localStorage,
+    ...globals
+  });
+}
+
+test('pages recording at the same time keep separate recordings', () => {
+  const storage = createStorage();
+  const alerts = loadRecorderPage('/widgets/alerts.html', storage);
+  const chat = loadRecorderPage('/widgets/chat-box.html', storage);
+  
+  alerts.startRecording();
+  chat.startRecording();
+  alerts.run('bus').emit({ type: 'follow', user: 'SpeedRacer88' });
+  chat.recordEntry('chat', { username: 'PitCrewPro', message: 'Box box' });
+  chat.recordEntry('chat', { username: 'PitCrewPro', message: 'Copy' });
+  alerts.stopRecording();
+  chat.stopRecording();
+  
+  assert.deepStrictEqual([...storage.items.keys()].sort(), ['nascar25-recording-alerts', 'nascar25-recording-chat-box']);
+  assert.strictEqual(JSON.parse(storage.getItem('nascar25-recording-alerts')).entries.length, 1);
+  assert.strictEqual(JSON.parse(storage.getItem('nascar25-recording-chat-box')).entries.length, 2);
+});
+
+test('a recording keeps its latest entries up to MAX_ENTRIES', () => {
+  const storage = createStorage();
+  const page = loadRecorderPage('/widgets/chat-box.html', storage);
+  page.run('RECORDER_CONFIG.MAX_ENTRIES = 3;');
+  
+  page.startRecording();
+  for (let i = 1; i <= 5; i++) {
+    page.recordEntry('chat', { message: `line ${i}` });
+  }
+  const recording = page.stopRecording();
+  
+  assert.deepStrictEqual(toPlain(recording.entries.map(entry => entry.data.message)), ['line 3', 'line 4', 'line 5']);
+  assert.strictEqual(recording.dropped, 2);
+  assert.strictEqual(JSON.parse(storage.getItem('nascar25-recording-chat-box')).entries.length, 3);
+  assert.ok(page.logs.some(entry => entry.text.includes('2 older entries dropped')));
+});
+
+test('playback of a capped recording starts with its first kept entry', async () => {
+  const played = [];
+  const page = loadRecorderPage('/widgets/chat-box.html', createStorage(), {
+    addChatLine: (data) => played.push({ message: data.message, at: Date.now() })
+  });
+  page.run('RECORDER_CONFIG.MAX_ENTRIES = 3;');
+  
+  page.startRecording();
+  // An hour into the stream
+  page.run('recordingStartTime -= 3600000;');
+  for (let i = 1; i <= 5; i++) {
+    page.recordEntry('chat', { message: `line ${i}` });
+  }
+  const recording = toPlain(page.stopRecording());
+  
+  const started = Date.now();
+  await page.startPlayback(recording);
+  try {
+    await waitFor(() => played.length === 3);
+  } finally {
+    page.stopPlayback();
+  }
+  
+  assert.deepStrictEqual(played.map(entry => entry.message), ['line 3', 'line 4', 'line 5']);
+  assert.ok(played[0].at - started < 500, `first entry after ${played[0].at - started}ms`);
+});
+
+test('?playbackSpeed sets the replay speed and leaves ?speed to the ticker', () => {
+  const page = loadRecorderPage('/widgets/ticker.html', createStorage());
+  const calls = [];
+  page.startPlayback = (source, options) => calls.push({ source, speed: options.speed, step: options.step });
+  
+  page.startEventsFromUrl(new URLSearchParams('playback=burst.json&playbackSpeed=4&speed=slow'));
+  page.startEventsFromUrl(new URLSearchParams('playback=burst.json&speed=fast&step'));
+  
+  assert.deepStrictEqual(calls, [
+    { source: 'burst.json', speed: 4, step: false },
+    { source: 'burst.json', speed: 1, step: true }
+  ]);
+});
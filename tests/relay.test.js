@@ -0,0 +1,213 @@
+/*
+ * tests/relay.test.js
+ * Cross-source relay: leader election, hand-over when the leader leaves, two leaders at once, relayed events
+ * and the stale flag, with several pages joined by an in-memory BroadcastChannel
+ * Run: node --test tests/*.test.js
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts, createElementStub, waitFor } = require('./helpers');
+
+const CONFIG = { provider: 'streamelements', token: 'test-token' };
+
+/**
+ * BroadcastChannel stand-in shared by the pages of one test: messages reach every other open channel of the
+ * same name, asynchronously and as copies, like the real one. hold() keeps messages back until release().
+ * @returns {Function} BroadcastChannel class
+ */
+function createBroadcastChannelClass() {
+  const channels = [];
+  let held = null;
+  
+  return class FakeBroadcastChannel {
+    static hold() {
+      held = held || [];
+    }
+    
+    static release() {
+      const deliveries = held || [];
+      held = null;
+      deliveries.forEach(deliver => deliver());
+    }
+    
+    constructor(name) {
+      this.name = name;
+      this.listeners = [];
+      this.closed = false;
+      channels.push(this);
+    }
+    
+    postMessage(message) {
+      const data = JSON.parse(JSON.stringify(message));
+      channels
+        .filter(channel => channel !== this && channel.name === this.name)
+        .forEach(channel => {
+          const deliver = () => queueMicrotask(() => {
+            if (!channel.closed) {
+              channel.listeners.forEach(listener => listener({ data }));
+            }
+          });
+          
+          if (held) {
+            held.push(deliver);
+          } else {
+            deliver();
+          }
+        });
+    }
+    
+    addEventListener(type, listener) {
+      this.listeners.push(listener);
+    }
+    
+    close() {
+      this.closed = true;
+    }
+  };
+}
+
+/**
+ * Load a page that can join the relay, with short heartbeat timings
+ * @param {Function} BroadcastChannel - Shared channel class
+ * @returns {Object} Page context; page.connections lists the upstream connections it opened,
+ *   page.received the users of events on its bus, page.listeners its window listeners
+ */
+function loadRelayPage(BroadcastChannel) {
+  const connections = [];
+  const listeners = {};
+  const page = loadScripts(['shared.js', 'relay.js'], {
+    BroadcastChannel,
+    document: { readyState: 'loading', body: createElementStub('body'), addEventListener() {}, createElement: createElementStub },
+    addEventListener: (type, listener) => { listeners[type] = listener; },
+    connectStreamElements: (config) => {
+      const connection = { config, closed: false, close() { connection.closed = true; } };
+      connections.push(connection);
+      return connection;
+    }
+  });
+  
+  page.run('RELAY_CONFIG.HEARTBEAT_INTERVAL = 20; RELAY_CONFIG.LEADER_TIMEOUT = 150;');
+  page.connections = connections;
+  page.listeners = listeners;
+  page.received = [];
+  page.run('bus').on('*', event => page.received.push(event.user));
+  return page;
+}
+
+/**
+ * Join the relay on a page, leaving it when the test ends
+ * @param {Object} t - Test context
+ * @param {Object} page - Page context
+ * @param {Object|null} config - Event config (null to only receive)
+ * @returns {Object} Relay handle
+ */
+function join(t, page, config) {
+  const relay = page.startRelay(config);
+  t.after(() => relay.stop());
+  return relay;
+}
+
+/**
+ * Wait for a while
+ * @param {number} ms - Milliseconds
+ * @returns {Promise}
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+test('the first candidate leads and relays its events; later pages follow', async (t) => {
+  const BroadcastChannel = createBroadcastChannelClass();
+  const [first, second, viewer] = [0, 1, 2].map(() => loadRelayPage(BroadcastChannel));
+  
+  const leader = join(t, first, CONFIG);
+  await waitFor(() => leader.isLeader());
+  const candidate = join(t, second, CONFIG);
+  const listener = join(t, viewer, null);
+  await sleep(150);
+  
+  assert.deepStrictEqual([leader.isLeader(), candidate.isLeader(), listener.isLeader()], [true, false, false]);
+  assert.deepStrictEqual([first.connections.length, second.connections.length, viewer.connections.length], [1, 0, 0]);
+  assert.strictEqual(first.connections[0].config.token, 'test-token');
+  
+  // The leader's events reach every page once, even when the source sends one again
+  const { onEvent } = first.connections[0].config;
+  onEvent({ id: 'e1', type: 'follow', user: 'Fan1' });
+  onEvent({ id: 'e1', type: 'follow', user: 'Fan1' });
+  onEvent({ id: 'e2', type: 'cheer', user: 'Fan2', bits: 100 });
+  onEvent({ user: 'NoType' });
+  await sleep(0);
+  
+  assert.deepStrictEqual([first.received, second.received, viewer.received].map(users => [...users]), [
+    ['Fan1', 'Fan2'],
+    ['Fan1', 'Fan2'],
+    ['Fan1', 'Fan2']
+  ]);
+});
+
+test('when the leader leaves, a candidate takes over without waiting for the timeout', async (t) => {
+  const BroadcastChannel = createBroadcastChannelClass();
+  const [first, second] = [0, 1].map(() => loadRelayPage(BroadcastChannel));
+  
+  const leader = join(t, first, CONFIG);
+  await waitFor(() => leader.isLeader());
+  const candidate = join(t, second, CONFIG);
+  await sleep(100);
+  
+  const resignedAt = Date.now();
+  first.listeners.pagehide();
+  await waitFor(() => candidate.isLeader());
+  
+  // At the next heartbeat tick, before LEADER_TIMEOUT
+  assert.ok(Date.now() - resignedAt < 150);
+  assert.strictEqual(leader.isLeader(), false);
+  assert.strictEqual(first.connections[0].closed, true);
+  assert.deepStrictEqual([second.connections.length, second.connections[0].closed], [1, false]);
+});
+
+test('two pages that take over at once settle on the lowest id', async (t) => {
+  const BroadcastChannel = createBroadcastChannelClass();
+  const pages = [0, 1].map(() => loadRelayPage(BroadcastChannel));
+  
+  // Neither hears the other before taking over
+  BroadcastChannel.hold();
+  const relays = pages.map(page => join(t, page, CONFIG));
+  await waitFor(() => relays.every(relay => relay.isLeader()));
+  BroadcastChannel.release();
+  
+  await waitFor(() => relays.filter(relay => relay.isLeader()).length === 1);
+  await sleep(100);
+  
+  const stepped = pages.findIndex(page => page.connections[0].closed);
+  const kept = 1 - stepped;
+  const [keptId, steppedId] = [kept, stepped].map(index => pages[index].logs
+    .map(entry => entry.text.match(/^Relay: (\S+) is now the leader/))
+    .find(Boolean)[1]);
+  assert.ok(keptId < steppedId);
+  assert.deepStrictEqual([relays[kept].isLeader(), relays[stepped].isLeader()], [true, false]);
+  assert.ok(pages[kept].logs.every(entry => !entry.text.includes('stepped down')));
+  assert.ok(pages[stepped].logs.some(entry => entry.text.includes('stepped down')));
+});
+
+test('pages only listening show the leader\'s stale flag, and go stale without a leader', async (t) => {
+  const BroadcastChannel = createBroadcastChannelClass();
+  const [first, viewer] = [0, 1].map(() => loadRelayPage(BroadcastChannel));
+  const stale = (page) => page.document.body.classList.contains('events-stale');
+  
+  const leader = join(t, first, CONFIG);
+  await waitFor(() => leader.isLeader());
+  join(t, viewer, null);
+  
+  first.setEventsStale(true);
+  await waitFor(() => stale(viewer));
+  first.setEventsStale(false);
+  await waitFor(() => !stale(viewer));
+  
+  // The leader leaves and nobody can take over
+  leader.stop();
+  await waitFor(() => stale(viewer));
+  assert.strictEqual(viewer.connections.length, 0);
+});
@@ -0,0 +1,105 @@
+/*
+ * tests/shared.test.js
+ * Event normalization, the event bus and text templates
+ * Run: node --test tests/*.test.js
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts, toPlain } = require('./helpers');
+
+test('stream events get every stream field', () => {
+  const page = loadScripts(['shared.js']);
+  const event = toPlain(page.normalizeEvent({ id: 'a', timestamp: 1, type: 'subscribe', username: 'NewSub', months: '6' }));
+  
+  assert.deepStrictEqual(event, {
+    id: 'a',
+    timestamp: 1,
+    type: 'subscribe',
+    user: 'NewSub',
+    message: '',
+    amount: 0,
+    currency: 'USD',
+    bits: 0,
+    months: 6,
+    tier: '',
+    gifted: false,
+    sender: '',
+    count: 1,
+    viewers: 0
+  });
+});
+
+test('events without a type are rejected', () => {
+  const page = loadScripts(['shared.js']);
+  
+  assert.strictEqual(page.normalizeEvent({ user: 'Nobody' }), null);
+  assert.strictEqual(page.normalizeEvent(), null);
+  assert.strictEqual(page.normalizeEvent(null), null);
+});
+
+test('non-stream events keep only their type and data', () => {
+  const page = loadScripts(['shared.js']);
+  const event = toPlain(page.normalizeEvent({ id: 'b', timestamp: 2, type: 'stats', data: { viewers: 1300 } }));
+  
+  assert.deepStrictEqual(event, { id: 'b', timestamp: 2, type: 'stats', data: { viewers: 1300 } });
+});
+
+test('the bus drops events without a type and delivers the rest', () => {
+  const page = loadScripts(['shared.js']);
+  const bus = page.run('bus');
+  const received = [];
+  bus.on('*', event => received.push(event.type));
+  
+  assert.strictEqual(bus.emit({ user: 'Nobody' }), null);
+  bus.emit({ type: 'leaderboard', data: [] });
+  bus.emit({ type: 'follow', user: 'SpeedRacer88' });
+  
+  assert.deepStrictEqual(received, ['leaderboard', 'follow']);
+  assert.ok(page.logs.some(entry => entry.level === 'warn' && entry.text.includes('without a type')));
+});
+
+test('template tokens are filled in, through their formatter when one is given', () => {
+  const page = loadScripts(['shared.js']);
+  const tokens = { name: 'Gifter', count: 1234567, amount: 12.5, currency: '€', tier: '2000', months: 1, message: null };
+  
+  assert.deepStrictEqual([
+    '{name} gifted {count|number} subs',
+    '{count|compact} | {amount|compact} | {months|compact}',
+    '{amount|currency}',
+    '{tier|tier} · {months|plural:# month:# months}',
+    '{count|plural:one sub:# subs}',
+    '{name|upper}!',
+    '[{message}]'
+  ].map(template => page.formatTemplate(template, tokens)), [
+    'Gifter gifted 1,234,567 subs',
+    '1.2M | 13 | 1',
+    '€12.50',
+    'Tier 2 · 1 month',
+    '1,234,567 subs',
+    'GIFTER!',
+    '[]'
+  ]);
+});
+
+test('template formatters fall back for missing values and tiers they do not know', () => {
+  const page = loadScripts(['shared.js']);
+  
+  assert.strictEqual(page.formatTemplate('{amount|currency}', { amount: 5 }), '$5.00');
+  assert.strictEqual(page.formatTemplate('{bits|number} bits', { bits: 'lots' }), '0 bits');
+  assert.strictEqual(page.formatTemplate('{tier|tier}', { tier: 'prime' }), 'Prime');
+  assert.strictEqual(page.formatTemplate('{tier|tier}', { tier: '4000' }), '4000');
+  // An empty form hides the text, e.g. no "1 months" line for a first month
+  assert.strictEqual(page.formatTemplate('{months|plural::# months!}', { months: 1 }), '');
+  assert.strictEqual(page.formatTemplate('', { name: 'x' }), '');
+});
+
+test('unknown tokens stay in the text, unknown formatters are skipped with a warning', () => {
+  const page = loadScripts(['shared.js']);
+  
+  assert.strictEqual(page.formatTemplate('{name} raided with {viewers|number}', { name: 'Crew' }), 'Crew raided with {viewers|number}');
+  assert.strictEqual(page.formatTemplate('{name|sparkle}', { name: 'Crew' }), 'Crew');
+  assert.ok(page.logs.some(entry => entry.level === 'warn' && entry.text.includes('Unknown template formatter: sparkle')));
+});
@@ -0,0 +1,63 @@
+/*
+ * tests/stats.test.js
+ * Twitch (Helix) stats: the stream and follower requests are applied separately
+ * Run: node --test tests/*.test.js
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts, toPlain } = require('./helpers');
+
+const config = { clientId: 'client', accessToken: 'token', broadcasterId: '12826' };
+
+/**
+ * Stand-in for fetch answering the two Helix requests
+ * @param {Object} responses - { streams, followers }: [status, body]
+ * @returns {Function}
+ */
+function createHelixFetch(responses) {
+  return (url) => {
+    const [status, body] = url.includes('/streams?') ? responses.streams : responses.followers;
+    return Promise.resolve({ ok: status === 200, status, json: () => Promise.resolve(body) });
+  };
+}
+
+const liveStream = { data: [{ viewer_count: 1234, started_at: '2026-10-19T18:00:00Z' }] };
+
+test('both requests succeeding update viewers, followers and the start time', async () => {
+  const page = loadScripts(['shared.js', 'stats.js'], {
+    fetch: createHelixFetch({ streams: [200, liveStream], followers: [200, { total: 5600, data: [] }] })
+  });
+  
+  await page.fetchTwitchStats(config);
+  
+  const stats = toPlain(page.getStreamStats());
+  assert.deepStrictEqual([stats.live, stats.viewers, stats.followers], [true, 1234, 5600]);
+  assert.strictEqual(stats.startedAt, Date.parse('2026-10-19T18:00:00Z'));
+});
+
+test('a failed follower request still updates the stream', async () => {
+  const page = loadScripts(['shared.js', 'stats.js'], {
+    fetch: createHelixFetch({ streams: [200, liveStream], followers: [401, { message: 'Missing scope' }] })
+  });
+  
+  await page.fetchTwitchStats(config);
+  
+  const stats = toPlain(page.getStreamStats());
+  assert.deepStrictEqual([stats.live, stats.viewers, stats.followers], [true, 1234, null]);
+  assert.ok(page.logs.some(entry => entry.level === 'error' && entry.text.includes('follower total')));
+});
+
+test('a failed stream request still updates the follower total', async () => {
+  const page = loadScripts(['shared.js', 'stats.js'], {
+    fetch: createHelixFetch({ streams: [500, {}], followers: [200, { total: 5600, data: [] }] })
+  });
+  
+  await page.fetchTwitchStats(config);
+  
+  const stats = toPlain(page.getStreamStats());
+  assert.deepStrictEqual([stats.viewers, stats.followers], [null, 5600]);
+  assert.ok(page.logs.some(entry => entry.level === 'error' && entry.text.includes('Twitch stream')));
+});
@@ -0,0 +1,113 @@
+/*
+ * tests/storage.test.js
+ * Saved session state: time to live per key, expiry on load, ?fresh and clearing
+ * Run: node --test tests/*.test.js
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts, toPlain } = require('./helpers');
+
+const MINUTE = 60 * 1000;
+
+/**
+ * In-memory localStorage; saved items are own properties, as Object.keys(localStorage) expects
+ * @param {Object} items - Starting items
+ * @returns {Object}
+ */
+function createStorage(items = {}) {
+  const storage = { ...items };
+  Object.defineProperties(storage, {
+    getItem: { value: (key) => (key in storage ? storage[key] : null) },
+    setItem: { value: (key, value) => { storage[key] = String(value); } },
+    removeItem: { value: (key) => { delete storage[key]; } }
+  });
+  return storage;
+}
+
+/**
+ * Load storage.js on a page
+ * @param {Object} localStorage - Storage
+ * @param {string} search - Page URL query string
+ * @returns {Object} Page context
+ */
+function loadStoragePage(localStorage, search = '') {
+  const listeners = {};
+  const page = loadScripts(['shared.js', 'storage.js'], {
+    localStorage,
+    location: { search },
+    addEventListener: (type, listener) => { listeners[type] = listener; }
+  });
+  page.listeners = listeners;
+  return page;
+}
+
+const saved = (value, age) => JSON.stringify({ savedAt: Date.now() - age, value });
+
+test('each key has its time to live; goal keys share the goal entry', () => {
+  const page = loadStoragePage(createStorage());
+  
+  assert.deepStrictEqual(['ticker', 'chat', 'alerts', 'goal', 'goal-follower', 'goal-bits', 'leaderboard'].map(page.getStateTtl), [
+    120 * MINUTE, 30 * MINUTE, 10 * MINUTE, 0, 0, 0, 30 * MINUTE
+  ]);
+});
+
+test('values older than their time to live are deleted instead of restored', () => {
+  const storage = createStorage({
+    'nascar25-state-alerts': saved([{ data: { type: 'follow' } }], 11 * MINUTE),
+    'nascar25-state-ticker': saved(['Recent item'], 90 * MINUTE),
+    'nascar25-state-goal-bits': saved({ current: 4200 }, 400 * 24 * 60 * MINUTE),
+    'nascar25-state-chat': saved(['line'], 5 * MINUTE)
+  });
+  const page = loadStoragePage(storage);
+  
+  assert.strictEqual(page.loadState('alerts'), null);
+  assert.strictEqual(storage.getItem('nascar25-state-alerts'), null);
+  assert.deepStrictEqual(toPlain(page.loadState('ticker')), ['Recent item']);
+  assert.deepStrictEqual(toPlain(page.loadState('goal-bits')), { current: 4200 });
+  
+  // An explicit time to live wins over STORAGE_CONFIG.TTL
+  assert.strictEqual(page.loadState('chat', MINUTE), null);
+  assert.strictEqual(page.loadState('missing'), null);
+});
+
+test('unreadable saved state is ignored', () => {
+  const page = loadStoragePage(createStorage({ 'nascar25-state-race': '{not json' }));
+  
+  assert.strictEqual(page.loadState('race'), null);
+  assert.ok(page.logs.some(entry => entry.level === 'error' && entry.text.includes('failed to read race')));
+});
+
+test('?fresh restores nothing and deletes what was saved for the page', () => {
+  const storage = createStorage({ 'nascar25-state-chat': saved(['line'], 0) });
+  const page = loadStoragePage(storage, '?fresh');
+  
+  assert.strictEqual(page.loadState('chat'), null);
+  assert.strictEqual(storage.getItem('nascar25-state-chat'), null);
+});
+
+test('clearAllState only deletes this pack\'s keys', () => {
+  const storage = createStorage({
+    'nascar25-state-chat': saved([], 0),
+    'nascar25-state-goal-follower': saved({}, 0),
+    'nascar25-recording-alerts': '{}',
+    'other-app': 'keep'
+  });
+  loadStoragePage(storage).clearAllState();
+  
+  assert.deepStrictEqual(Object.keys(storage).sort(), ['nascar25-recording-alerts', 'other-app']);
+});
+
+test('persisted state is written when the page closes', () => {
+  const storage = createStorage();
+  const page = loadStoragePage(storage);
+  let value = 1;
+  
+  page.persistState('stats', () => ({ viewers: value }));
+  value = 2;
+  page.listeners.pagehide();
+  
+  assert.deepStrictEqual(JSON.parse(storage.getItem('nascar25-state-stats')).value, { viewers: 2 });
+});
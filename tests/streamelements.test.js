@@ -0,0 +1,110 @@
+/*
+ * tests/streamelements.test.js
+ * StreamElements payload normalization, and a full session replayed by the mock realtime server
+ * Run: node --test tests/*.test.js
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts, readFixture, toPlain, waitFor } = require('./helpers');
+const { WebSocketClient } = require('../tools/websocket');
+const { startMockStreamElements } = require('../tools/mock-streamelements');
+
+const session = readFixture('streamelements/session.json');
+const payloadData = (id) => session.entries.find(entry => entry.payload._id === id).payload.data;
+
+test('subscriber events keep their months and tier', () => {
+  const page = loadScripts(['shared.js', 'streamelements.js']);
+  const event = toPlain(page.normalizeStreamElementsEvent('subscriber', payloadData('65a1f0c9e4b0a1d2c3e4f502')));
+  
+  assert.strictEqual(event.type, 'subscribe');
+  assert.strictEqual(event.user, 'PitCrewPro');
+  assert.strictEqual(event.months, 6);
+  assert.strictEqual(event.tier, '1000');
+  assert.strictEqual(event.gifted, false);
+  assert.strictEqual(event.count, 1);
+});
+
+test('a community gift is one gifted event with the gift count', () => {
+  const page = loadScripts(['shared.js', 'streamelements.js']);
+  const event = toPlain(page.normalizeStreamElementsEvent('subscriber', payloadData('65a1f0d3e4b0a1d2c3e4f503')));
+  
+  assert.strictEqual(event.gifted, true);
+  assert.strictEqual(event.count, 5);
+  assert.strictEqual(event.sender, 'DraftMaster');
+  assert.strictEqual(event.months, 1);
+});
+
+test('community gift recipients are skipped', () => {
+  const page = loadScripts(['shared.js', 'streamelements.js']);
+  
+  assert.strictEqual(page.normalizeStreamElementsEvent('subscriber', payloadData('65a1f0d3e4b0a1d2c3e4f504')), null);
+});
+
+test('a single gifted sub keeps its gifter', () => {
+  const page = loadScripts(['shared.js', 'streamelements.js']);
+  const event = toPlain(page.normalizeStreamElementsEvent('subscriber', payloadData('65a1f0e1e4b0a1d2c3e4f509')));
+  
+  assert.strictEqual(event.user, 'CheckeredFlag');
+  assert.strictEqual(event.gifted, true);
+  assert.strictEqual(event.sender, 'RacingLegend');
+  assert.strictEqual(event.count, 1);
+});
+
+test('tips, cheers and raids carry their amounts', () => {
+  const page = loadScripts(['shared.js', 'streamelements.js']);
+  const tip = toPlain(page.normalizeStreamElementsEvent('tip', payloadData('65a1f0ebe4b0a1d2c3e4f50a')));
+  const cheer = toPlain(page.normalizeStreamElementsEvent('cheer', payloadData('65a1f0f4e4b0a1d2c3e4f50b')));
+  const raid = toPlain(page.normalizeStreamElementsEvent('raid', payloadData('65a1f0fee4b0a1d2c3e4f50c')));
+  
+  assert.deepStrictEqual([tip.type, tip.amount, tip.currency], ['donation', 25, 'USD']);
+  assert.deepStrictEqual([cheer.type, cheer.bits], ['cheer', 500]);
+  assert.deepStrictEqual([raid.type, raid.viewers], ['raid', 42]);
+});
+
+test('the mock server session arrives through connectStreamElements', async () => {
+  const server = await startMockStreamElements({ port: 0, speed: 50, log: () => {} });
+  const page = loadScripts(['shared.js', 'streamelements.js'], { WebSocket: WebSocketClient });
+  const events = [];
+  
+  const connection = page.connectStreamElements({ token: 'test', url: server.url, onEvent: event => events.push(toPlain(event)) });
+  
+  try {
+    // 13 entries, minus the 5 community gift recipients
+    await waitFor(() => events.length === 8);
+    
+    assert.deepStrictEqual(events.map(event => event.type),
+      ['follow', 'subscribe', 'subscribe', 'subscribe', 'donation', 'cheer', 'raid', 'donation']);
+    assert.strictEqual(events[0].id, '65a1f0c2e4b0a1d2c3e4f501');
+    
+    // Subs counted the way goal.js counts them: 1 + 5 gifted + 1 gifted
+    const subs = events
+      .filter(event => event.type === 'subscribe')
+      .reduce((total, event) => total + (event.gifted ? event.count : 1), 0);
+    assert.strictEqual(subs, 7);
+    
+    // The dashboard test tip
+    assert.strictEqual(events[7].user, 'TestTipper');
+  } finally {
+    connection.close();
+    await server.close();
+  }
+});
+
+test('a rejected token stops the connection', async () => {
+  const server = await startMockStreamElements({ port: 0, token: 'right', log: () => {} });
+  const page = loadScripts(['shared.js', 'streamelements.js'], { WebSocket: WebSocketClient });
+  
+  const connection = page.connectStreamElements({ token: 'wrong', url: server.url, onEvent: () => {} });
+  
+  try {
+    await waitFor(() => page.logs.some(entry => entry.text.includes('authentication failed')));
+    await new Promise(resolve => setTimeout(resolve, 50));
+    assert.ok(!page.logs.some(entry => entry.text.includes('reconnecting')));
+  } finally {
+    connection.close();
+    await server.close();
+  }
+});
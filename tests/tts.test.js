@@ -0,0 +1,132 @@
+/*
+ * tests/tts.test.js
+ * Text-to-speech: message moderation, per-type thresholds, and the speech queue with a scripted voice provider
+ * Run: node --test tests/*.test.js
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts, toPlain } = require('./helpers');
+
+/**
+ * Load tts.js with a voice provider that finishes each message when told to
+ * @returns {Object} Page context; page.spoken lists { text, finish } per message started, page.ducks the duck calls
+ */
+function loadTtsPage() {
+  const spoken = [];
+  const ducks = [];
+  const page = loadScripts(['shared.js', 'tts.js'], {
+    setAudioDuck: (source, on) => ducks.push([source, on])
+  });
+  
+  page.registerTtsProvider('scripted', {
+    speak: (text) => new Promise(resolve => spoken.push({ text, finish: resolve })),
+    cancel: () => spoken.filter(entry => !entry.cancelled).forEach(entry => {
+      entry.cancelled = true;
+      entry.finish();
+    })
+  });
+  page.run('TTS_CONFIG.PROVIDER = "scripted";');
+  page.spoken = spoken;
+  page.ducks = ducks;
+  return page;
+}
+
+/**
+ * Let queued promise callbacks run
+ * @returns {Promise}
+ */
+function settle() {
+  return new Promise(resolve => setImmediate(resolve));
+}
+
+test('links, repeated characters and extra spaces are cleaned up before reading', () => {
+  const page = loadTtsPage();
+  
+  assert.strictEqual(page.moderateTtsMessage('Check   https://example.com/x and www.example.org now'), 'Check link and link now');
+  assert.strictEqual(page.moderateTtsMessage('GOOOOOOOO team!!!!!!!'), 'GOOO team!!!');
+  assert.strictEqual(page.moderateTtsMessage('   '), null);
+  assert.strictEqual(page.moderateTtsMessage(undefined), null);
+  
+  page.run('TTS_CONFIG.MAX_LENGTH = 10;');
+  assert.strictEqual(page.moderateTtsMessage('This message is far too long'), 'This messa');
+});
+
+test('blocked words skip the message, or are cut out when censoring', () => {
+  const page = loadTtsPage();
+  // 'c++' would throw as an unescaped pattern
+  page.run('TTS_CONFIG.BLOCKED_WORDS = ["darn", "c++"];');
+  
+  assert.strictEqual(page.moderateTtsMessage('Well DARN it'), null);
+  assert.strictEqual(page.moderateTtsMessage('Darnell is driving'), 'Darnell is driving');
+  assert.ok(page.logs.some(entry => entry.text.includes('message skipped by word filter')));
+  
+  page.run('TTS_CONFIG.BLOCKED_ACTION = "censor";');
+  assert.strictEqual(page.moderateTtsMessage('Well darn it, darn'), 'Well it,');
+  assert.strictEqual(page.moderateTtsMessage('darn'), null);
+});
+
+test('only messages on alerts at or over their type\'s threshold are read', () => {
+  const page = loadTtsPage();
+  const speech = (data) => page.getAlertSpeech({ username: 'Fan', message: 'Go 24!', ...data });
+  
+  assert.deepStrictEqual([
+    { type: 'donation', amount: 5 },
+    { type: 'donation', amount: 4.99 },
+    { type: 'cheer', bits: 500 },
+    { type: 'cheer', bits: 499 },
+    { type: 'cheer' },
+    { type: 'subscribe', months: 12 },
+    { type: 'donation', amount: 50, message: '' }
+  ].map(speech), ['Fan says: Go 24!', null, 'Fan says: Go 24!', null, null, null, null]);
+  
+  page.run('TTS_CONFIG.thresholds.subscribe = { field: "months", min: 12 }; TTS_CONFIG.TEMPLATE = "{message}";');
+  assert.strictEqual(speech({ type: 'subscribe', months: 12 }), 'Go 24!');
+  
+  page.run('TTS_CONFIG.ENABLED = false;');
+  assert.strictEqual(speech({ type: 'donation', amount: 100 }), null);
+});
+
+test('messages are read one at a time, in order, with alert sounds ducked meanwhile', async () => {
+  const page = loadTtsPage();
+  const first = page.speakText('first');
+  const second = page.speakText('second');
+  let secondDone = false;
+  second.done.then(() => { secondDone = true; });
+  
+  await settle();
+  assert.deepStrictEqual(page.spoken.map(entry => entry.text), ['first']);
+  
+  page.spoken[0].finish();
+  await first.done;
+  await settle();
+  assert.deepStrictEqual(page.spoken.map(entry => entry.text), ['first', 'second']);
+  
+  // Skipping ends the current message only
+  assert.strictEqual(page.skipSpeech(), true);
+  await second.done;
+  assert.strictEqual(secondDone, true);
+  assert.strictEqual(page.skipSpeech(), false);
+  assert.deepStrictEqual(toPlain(page.ducks), [['tts', true], ['tts', false], ['tts', true], ['tts', false]]);
+});
+
+test('a message cancelled before its turn is never spoken, and a stuck one times out', async () => {
+  const page = loadTtsPage();
+  page.run('TTS_CONFIG.TIMEOUT = 50;');
+  
+  const stuck = page.speakText('stuck');
+  const cancelled = page.speakText('cancelled');
+  const last = page.speakText('last');
+  cancelled.cancel();
+  
+  await stuck.done;
+  await cancelled.done;
+  await settle();
+  assert.ok(page.logs.some(entry => entry.level === 'warn' && entry.text.includes('speech timed out')));
+  assert.deepStrictEqual(page.spoken.map(entry => entry.text), ['stuck', 'last']);
+  
+  page.spoken[1].finish();
+  await last.done;
+});
@@ -0,0 +1,197 @@
+#!/usr/bin/env node
+/*
+ * tools/chat-benchmark.js
+ * Runs the chat rendering benchmark (assets/js/benchmark.js) headless in jsdom, once per set of URL parameters,
+ * and prints each result line and a comparison table. jsdom has no layout or paint, so the times measure the
+ * scripts only: compare runs with each other, not with a browser. A run that fails gets a row with its error;
+ * the other runs still go ahead and the exit code is 1.
+ *
+ * Setup: npm install --no-save jsdom
+ * Usage: node tools/chat-benchmark.js ["benchmark=100&duration=10&fresh" ...] [--timeout 60]
+ * e.g.:  node tools/chat-benchmark.js "benchmark=200&duration=5&fresh" "benchmark=200&duration=5&fresh&batch=0&pool=0"
+ */
+
+'use strict';
+
+const path = require('path');
+const { pathToFileURL } = require('url');
+
+/* ============================================================
+   CONFIGURATION
+   ============================================================ */
+
+const CHAT_BENCHMARK_CONFIG = {
+  PAGE: path.join(__dirname, '..', 'widgets', 'chat-box.html'),
+  
+  // URL parameters of the run when none are given
+  DEFAULT_RUN: 'benchmark=100&duration=10&fresh',
+  
+  // Seconds to wait for a result on top of the run's duration
+  TIMEOUT: 30,
+  
+  // Console prefix of the result line (BENCHMARK_CONFIG.LOG_PREFIX in benchmark.js)
+  LOG_PREFIX: '[Chat benchmark]',
+  
+  // Result fields shown in the comparison table
+  COLUMNS: ['sent', 'rendered', 'dropped', 'fps', 'maxFrame', 'longFrames', 'sendTime', 'renderTime', 'renderPerLine', 'created', 'recycled', 'elements']
+};
+
+/* ============================================================
+   PAGE
+   ============================================================ */
+
+/**
+ * Load jsdom, or explain how to install it
+ * @returns {Object} jsdom module
+ */
+function requireJsdom() {
+  try {
+    return require('jsdom');
+  } catch (error) {
+    console.error('chat-benchmark: jsdom is not installed. From the repository root run:');
+    console.error('  npm install --no-save jsdom');
+    process.exit(1);
+  }
+}
+
+/**
+ * In-memory localStorage (jsdom has none for file: pages)
+ * @returns {Object}
+ */
+function createMemoryStorage() {
+  const items = new Map();
+  return {
+    get length() { return items.size; },
+    key: (index) => [...items.keys()][index] ?? null,
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: (key) => items.delete(key),
+    clear: () => items.clear()
+  };
+}
+
+/**
+ * Open the chat box with some URL parameters and wait for its benchmark result
+ * @param {string} query - URL parameters, e.g. 'benchmark=100&duration=10&fresh&cap=0'
+ * @param {Object} options
+ * @param {number} options.timeout - Seconds to wait on top of the run's duration (default: CHAT_BENCHMARK_CONFIG.TIMEOUT)
+ * @param {Function} options.log - Log function for page errors (default: console.error)
+ * @returns {Promise<Object>} Benchmark result (see the README table)
+ */
+async function runBenchmarkPage(query, options = {}) {
+  const { JSDOM, VirtualConsole } = requireJsdom();
+  const {
+    timeout = CHAT_BENCHMARK_CONFIG.TIMEOUT,
+    log = console.error
+  } = options;
+  const params = new URLSearchParams(query);
+  if (!params.has('benchmark')) {
+    params.set('benchmark', '');
+  }
+  
+  const virtualConsole = new VirtualConsole();
+  const dom = await JSDOM.fromFile(CHAT_BENCHMARK_CONFIG.PAGE, {
+    url: `${pathToFileURL(CHAT_BENCHMARK_CONFIG.PAGE).href}?${params}`,
+    runScripts: 'dangerously',
+    resources: 'usable',
+    pretendToBeVisual: true,
+    virtualConsole,
+    beforeParse(window) {
+      Object.defineProperty(window, 'localStorage', { value: createMemoryStorage(), configurable: true });
+      // jsdom has no fetch: emote and badge sets fail to load, as they would offline
+      window.fetch = () => Promise.reject(new Error('chat-benchmark: no network'));
+    }
+  });
+  
+  const duration = Number(params.get('duration')) || 10;
+  
+  try {
+    return await new Promise((resolve, reject) => {
+      const timer = setTimeout(() => reject(new Error(`no result after ${duration + timeout}s`)), (duration + timeout) * 1000);
+      
+      virtualConsole.on('log', (...args) => {
+        const line = args.filter(arg => typeof arg === 'string').join(' ');
+        if (line.startsWith(`${CHAT_BENCHMARK_CONFIG.LOG_PREFIX} {`)) {
+          clearTimeout(timer);
+          resolve(JSON.parse(line.slice(CHAT_BENCHMARK_CONFIG.LOG_PREFIX.length + 1)));
+        }
+      });
+      virtualConsole.on('error', (...args) => log('page error:', ...args));
+      virtualConsole.on('jsdomError', (error) => log('page error:', error.message));
+    });
+  } finally {
+    dom.window.close();
+  }
+}
+
+/* ============================================================
+   REPORT
+   ============================================================ */
+
+/**
+ * Format results as a table, one row per run
+ * A failed run shows '-' in every column, followed by its error.
+ * @param {Object[]} runs - { query, result } or { query, error }
+ * @returns {string}
+ */
+function formatBenchmarkTable(runs) {
+  const rows = [['run', ...CHAT_BENCHMARK_CONFIG.COLUMNS]]
+    .concat(runs.map(({ query, result }) => [query, ...CHAT_BENCHMARK_CONFIG.COLUMNS.map(column => (result ? String(result[column]) : '-'))]));
+  const widths = rows[0].map((cell, index) => Math.max(...rows.map(row => row[index].length)));
+  
+  return rows
+    .map((row, index) => {
+      const line = row.map((cell, column) => (column === 0 ? cell.padEnd(widths[column]) : cell.padStart(widths[column]))).join('  ');
+      const run = runs[index - 1];
+      return run && run.error ? `${line}  failed: ${run.error}` : line;
+    })
+    .join('\n');
+}
+
+/* ============================================================
+   COMMAND LINE
+   ============================================================ */
+
+if (require.main === module) {
+  const options = {};
+  const queries = [];
+  const args = process.argv.slice(2);
+  for (let i = 0; i < args.length; i++) {
+    if (args[i].startsWith('--')) {
+      options[args[i].slice(2)] = args[++i];
+    } else {
+      queries.push(args[i].replace(/^\?/, ''));
+    }
+  }
+  
+  (async () => {
+    const runs = [];
+    // One run at a time, so runs do not slow each other down; a failed run is reported and the rest still run
+    for (const query of queries.length > 0 ? queries : [CHAT_BENCHMARK_CONFIG.DEFAULT_RUN]) {
+      console.log(`chat-benchmark: ?${query}`);
+      try {
+        const result = await runBenchmarkPage(query, { timeout: Number(options.timeout) || CHAT_BENCHMARK_CONFIG.TIMEOUT });
+        console.log(`${CHAT_BENCHMARK_CONFIG.LOG_PREFIX} ${JSON.stringify(result)}`);
+        runs.push({ query, result });
+      } catch (error) {
+        console.error(`chat-benchmark: ?${query} failed: ${error.message}`);
+        runs.push({ query, error: error.message });
+      }
+    }
+    
+    console.log('');
+    console.log(formatBenchmarkTable(runs));
+    
+    if (runs.some(run => run.error)) {
+      process.exitCode = 1;
+    }
+  })().catch(error => {
+    console.error(`chat-benchmark: ${error.message}`);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  runBenchmarkPage,
+  formatBenchmarkTable
+};
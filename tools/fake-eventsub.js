@@ -0,0 +1,248 @@
+#!/usr/bin/env node
+/*
+ * tools/fake-eventsub.js
+ * Local fake of the Twitch EventSub WebSocket server that plays the reconnect path:
+ * session_welcome, notifications (with a redelivered message), session_reconnect to a new URL,
+ * welcome on the new socket, then silence until the client's keepalive timeout reconnects it
+ *
+ * Usage: node tools/fake-eventsub.js [--port 8080] [--keepalive 10] [--interval 1000] [--broken-reconnect]
+ * Then:  widgets/alerts.html?provider=eventsub&socket=ws://localhost:8080/ws
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const path = require('path');
+const { createWebSocketServer } = require('./websocket');
+
+/* ============================================================
+   CONFIGURATION
+   ============================================================ */
+
+const FAKE_EVENTSUB_CONFIG = {
+  PORT: 8080,
+  NOTIFICATIONS: path.join(__dirname, '..', 'tests', 'fixtures', 'eventsub', 'notifications.json'),
+  
+  // keepalive_timeout_seconds sent in session_welcome
+  KEEPALIVE: 10,
+  
+  // Time between scripted messages (milliseconds)
+  INTERVAL: 1000,
+  
+  // Paths: the first socket, the session_reconnect target, and a target that fails before its welcome
+  PATH: '/ws',
+  RECONNECT_PATH: '/reconnect',
+  BROKEN_PATH: '/broken'
+};
+
+/* ============================================================
+   MESSAGES
+   ============================================================ */
+
+/**
+ * Build an EventSub message
+ * @param {string} type - message_type
+ * @param {Object} payload - Message payload
+ * @param {Object} metadata - Extra metadata (message_id, subscription_type, ...)
+ * @returns {string} JSON text
+ */
+function createMessage(type, payload, metadata = {}) {
+  return JSON.stringify({
+    metadata: {
+      message_id: crypto.randomUUID(),
+      message_type: type,
+      message_timestamp: new Date().toISOString(),
+      ...metadata
+    },
+    payload
+  });
+}
+
+/**
+ * Build a session_welcome or session_reconnect message
+ * @param {string} type - 'session_welcome' or 'session_reconnect'
+ * @param {Object} session - { id, keepalive, reconnectUrl }
+ * @returns {string}
+ */
+function createSessionMessage(type, session) {
+  const reconnecting = type === 'session_reconnect';
+  
+  return createMessage(type, {
+    session: {
+      id: session.id,
+      status: reconnecting ? 'reconnecting' : 'connected',
+      connected_at: new Date().toISOString(),
+      keepalive_timeout_seconds: reconnecting ? null : session.keepalive,
+      reconnect_url: reconnecting ? session.reconnectUrl : null
+    }
+  });
+}
+
+/**
+ * Build a notification from a fixture entry (keeps its message_id, so repeats are redeliveries)
+ * @param {Object} notification - { message_id, subscription_type, subscription_version, event }
+ * @returns {string}
+ */
+function createNotification(notification) {
+  return createMessage('notification', {
+    subscription: {
+      id: crypto.randomUUID(),
+      type: notification.subscription_type,
+      version: notification.subscription_version,
+      status: 'enabled',
+      cost: 0,
+      transport: { method: 'websocket' },
+      created_at: new Date().toISOString()
+    },
+    event: notification.event
+  }, {
+    message_id: notification.message_id,
+    subscription_type: notification.subscription_type,
+    subscription_version: notification.subscription_version
+  });
+}
+
+/* ============================================================
+   SERVER
+   ============================================================ */
+
+/**
+ * Start the fake server
+ * @param {Object} options
+ * @param {number} options.port - Port (0 = any free port; default: 8080)
+ * @param {number} options.keepalive - keepalive_timeout_seconds (default: 10)
+ * @param {number} options.interval - Time between scripted messages in ms (default: 1000)
+ * @param {boolean} options.brokenReconnect - Send the client to a reconnect target that closes before
+ *   its welcome; the first socket then keeps delivering
+ * @param {Function} options.log - Log function (default: console.log)
+ * @returns {Promise<Object>} { port, url (for ?socket=), connections (paths, in order), close() }
+ */
+async function startFakeEventSub(options = {}) {
+  const {
+    port = FAKE_EVENTSUB_CONFIG.PORT,
+    keepalive = FAKE_EVENTSUB_CONFIG.KEEPALIVE,
+    interval = FAKE_EVENTSUB_CONFIG.INTERVAL,
+    brokenReconnect = false,
+    log = console.log
+  } = options;
+  const { notifications } = require(FAKE_EVENTSUB_CONFIG.NOTIFICATIONS);
+  const connections = [];
+  let sessions = 0;
+  let baseUrl = '';
+  
+  /**
+   * Send messages one interval apart
+   * @param {Object} connection
+   * @param {Array<string|Function|null>} steps - Messages, functions run at that step, or null to wait
+   * @param {Array} timers - Collects the timers (cleared when the socket closes)
+   */
+  const play = (connection, steps, timers) => {
+    steps.forEach((step, index) => {
+      timers.push(setTimeout(() => {
+        if (typeof step === 'function') {
+          step();
+        } else if (step) {
+          connection.send(step);
+        }
+      }, index * interval));
+    });
+  };
+  
+  const server = await createWebSocketServer({
+    port,
+    onConnection(connection, request) {
+      const route = request.url.split('?')[0];
+      const timers = [];
+      connections.push(route);
+      connection.on('close', () => timers.forEach(timer => {
+        clearTimeout(timer);
+        clearInterval(timer);
+      }));
+      
+      if (route === FAKE_EVENTSUB_CONFIG.BROKEN_PATH) {
+        log('fake-eventsub: reconnect target failing before its welcome');
+        connection.close(1011);
+        return;
+      }
+      
+      if (route === FAKE_EVENTSUB_CONFIG.RECONNECT_PATH) {
+        // Same session on the new socket; a message from the old one is redelivered, then no keepalives
+        log('fake-eventsub: migrated, going silent after the welcome');
+        play(connection, [
+          createSessionMessage('session_welcome', { id: 'fake-session-1', keepalive }),
+          createNotification(notifications.cheer),
+          createNotification(notifications.raid)
+        ], timers);
+        return;
+      }
+      
+      sessions++;
+      const session = { id: `fake-session-${sessions}`, keepalive };
+      log(`fake-eventsub: ${session.id} started`);
+      
+      connection.send(createSessionMessage('session_welcome', session));
+      timers.push(setInterval(() => {
+        connection.send(createMessage('session_keepalive', {}));
+      }, keepalive * 1000 / 2));
+      
+      if (sessions > 1) return;
+      
+      const reconnectPath = brokenReconnect ? FAKE_EVENTSUB_CONFIG.BROKEN_PATH : FAKE_EVENTSUB_CONFIG.RECONNECT_PATH;
+      const steps = [
+        null,
+        createNotification(notifications.follow),
+        createNotification(notifications.follow),
+        createNotification(notifications.giftRecipient),
+        createNotification(notifications.gift),
+        createNotification(notifications.cheer),
+        () => {
+          log(`fake-eventsub: asking the client to reconnect to ${reconnectPath}`);
+          connection.send(createSessionMessage('session_reconnect', { id: session.id, reconnectUrl: baseUrl + reconnectPath }));
+        }
+      ];
+      
+      if (brokenReconnect) {
+        steps.push(null, null, createNotification(notifications.raid));
+      }
+      
+      play(connection, steps, timers);
+    }
+  });
+  baseUrl = server.url;
+  
+  return {
+    ...server,
+    url: baseUrl + FAKE_EVENTSUB_CONFIG.PATH,
+    connections
+  };
+}
+
+/* ============================================================
+   COMMAND LINE
+   ============================================================ */
+
+if (require.main === module) {
+  const options = {};
+  const args = process.argv.slice(2);
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--broken-reconnect') {
+      options.brokenReconnect = true;
+    } else if (args[i].startsWith('--')) {
+      options[args[i].slice(2)] = args[++i];
+    }
+  }
+  
+  startFakeEventSub({
+    port: Number(options.port) || FAKE_EVENTSUB_CONFIG.PORT,
+    keepalive: Number(options.keepalive) || FAKE_EVENTSUB_CONFIG.KEEPALIVE,
+    interval: Number(options.interval) || FAKE_EVENTSUB_CONFIG.INTERVAL,
+    brokenReconnect: Boolean(options.brokenReconnect)
+  }).then(server => {
+    console.log(`fake-eventsub: listening on ws://localhost:${server.port}${FAKE_EVENTSUB_CONFIG.PATH}`);
+    console.log(`Open: widgets/alerts.html?provider=eventsub&socket=ws://localhost:${server.port}${FAKE_EVENTSUB_CONFIG.PATH}`);
+  });
+}
+
+module.exports = {
+  startFakeEventSub
+};
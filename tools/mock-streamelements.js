@@ -0,0 +1,163 @@
+#!/usr/bin/env node
+/*
+ * tools/mock-streamelements.js
+ * Local mock of the StreamElements realtime socket (Socket.IO v2 / Engine.IO v3 over WebSocket)
+ * Accepts the JWT authenticate handshake, then replays recorded payloads (tests/fixtures/streamelements/)
+ *
+ * Usage: node tools/mock-streamelements.js [session.json] [--port 3000] [--speed 1] [--loop] [--token TOKEN]
+ * Then:  widgets/alerts.html?token=test&socket=ws://localhost:3000/socket.io/?EIO=3%26transport=websocket
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { createWebSocketServer } = require('./websocket');
+
+/* ============================================================
+   CONFIGURATION
+   ============================================================ */
+
+const MOCK_SE_CONFIG = {
+  PORT: 3000,
+  FILE: path.join(__dirname, '..', 'tests', 'fixtures', 'streamelements', 'session.json'),
+  
+  // Engine.IO open packet
+  PING_INTERVAL: 25000,
+  PING_TIMEOUT: 60000
+};
+
+/* ============================================================
+   SOCKET.IO FRAMES
+   ============================================================ */
+
+/**
+ * Encode a Socket.IO event frame
+ * @param {string} name - Event name
+ * @param {*} payload - Event argument
+ * @returns {string}
+ */
+function encodeEvent(name, payload) {
+  return `42${JSON.stringify([name, payload])}`;
+}
+
+/* ============================================================
+   SERVER
+   ============================================================ */
+
+/**
+ * Start the mock server
+ * @param {Object} options
+ * @param {number} options.port - Port (0 = any free port; default: 3000)
+ * @param {string} options.file - Recorded session file (default: the fixture)
+ * @param {number} options.speed - Replay speed multiplier (default: 1)
+ * @param {boolean} options.loop - Replay the session again when it ends
+ * @param {string} options.token - Only accept this JWT (default: any non-empty token)
+ * @param {Function} options.log - Log function (default: console.log)
+ * @returns {Promise<Object>} { port, url (for ?socket=), close() }
+ */
+async function startMockStreamElements(options = {}) {
+  const {
+    port = MOCK_SE_CONFIG.PORT,
+    file = MOCK_SE_CONFIG.FILE,
+    speed = 1,
+    loop = false,
+    token = null,
+    log = console.log
+  } = options;
+  const session = JSON.parse(fs.readFileSync(file, 'utf8'));
+  
+  const server = await createWebSocketServer({
+    port,
+    onConnection(connection) {
+      const timers = [];
+      
+      const replay = () => {
+        let delay = 0;
+        session.entries.forEach((entry, index) => {
+          delay += (entry.delay || 0) / speed;
+          timers.push(setTimeout(() => {
+            connection.send(encodeEvent(entry.name, entry.payload));
+            log(`mock-streamelements: sent ${entry.name} ${entry.payload.type || entry.payload.listener}`);
+            
+            if (loop && index === session.entries.length - 1) {
+              replay();
+            }
+          }, delay));
+        });
+      };
+      
+      connection.on('message', (frame) => {
+        if (frame === '2') {
+          connection.send('3');
+          return;
+        }
+        
+        if (!frame.startsWith('42')) return;
+        
+        const [name, payload = {}] = JSON.parse(frame.slice(2));
+        if (name !== 'authenticate') return;
+        
+        if (!payload.token || (token && payload.token !== token)) {
+          log('mock-streamelements: rejected token');
+          connection.send(encodeEvent('unauthorized', { message: 'invalid token' }));
+          return;
+        }
+        
+        log('mock-streamelements: authenticated, replaying', session.entries.length, 'entries');
+        connection.send(encodeEvent('authenticated', { clientId: 'mock', channelId: session.channelId, message: 'ok' }));
+        replay();
+      });
+      
+      connection.on('close', () => timers.forEach(clearTimeout));
+      
+      connection.send(`0${JSON.stringify({
+        sid: `mock-${Date.now()}`,
+        upgrades: [],
+        pingInterval: MOCK_SE_CONFIG.PING_INTERVAL,
+        pingTimeout: MOCK_SE_CONFIG.PING_TIMEOUT
+      })}`);
+      connection.send('40');
+    }
+  });
+  
+  return {
+    ...server,
+    url: `${server.url}/socket.io/?EIO=3&transport=websocket`
+  };
+}
+
+/* ============================================================
+   COMMAND LINE
+   ============================================================ */
+
+if (require.main === module) {
+  const options = {};
+  const files = [];
+  const args = process.argv.slice(2);
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--loop') {
+      options.loop = true;
+    } else if (args[i].startsWith('--')) {
+      options[args[i].slice(2)] = args[++i];
+    } else {
+      files.push(args[i]);
+    }
+  }
+  
+  startMockStreamElements({
+    port: Number(options.port) || MOCK_SE_CONFIG.PORT,
+    file: files[0] ? path.resolve(files[0]) : MOCK_SE_CONFIG.FILE,
+    speed: Number(options.speed) || 1,
+    loop: Boolean(options.loop),
+    token: options.token || null
+  }).then(server => {
+    const socket = `ws://localhost:${server.port}/socket.io/?EIO=3%26transport=websocket`;
+    console.log(`mock-streamelements: listening on ws://localhost:${server.port}`);
+    console.log(`Open: widgets/alerts.html?token=test&socket=${socket}`);
+  });
+}
+
+module.exports = {
+  startMockStreamElements
+};
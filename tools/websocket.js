@@ -0,0 +1,373 @@
+/*
+ * tools/websocket.js
+ * Minimal WebSocket server and client (text frames only) on Node's built-in modules
+ * Used by the mock event servers and the checks in tests/, so they run without installing anything
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const http = require('http');
+const { EventEmitter } = require('events');
+
+/* ============================================================
+   FRAMING
+   ============================================================ */
+
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+const OPCODES = {
+  TEXT: 0x1,
+  CLOSE: 0x8,
+  PING: 0x9,
+  PONG: 0xA
+};
+
+/**
+ * Work out the Sec-WebSocket-Accept value for a handshake key
+ * @param {string} key - Sec-WebSocket-Key header
+ * @returns {string}
+ */
+function getAcceptKey(key) {
+  return crypto.createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+}
+
+/**
+ * Encode a frame
+ * @param {number} opcode - Frame opcode
+ * @param {Buffer} payload - Frame payload
+ * @param {boolean} masked - Whether to mask the payload (required from clients)
+ * @returns {Buffer}
+ */
+function encodeFrame(opcode, payload, masked) {
+  const length = payload.length;
+  const header = [0x80 | opcode];
+  const maskBit = masked ? 0x80 : 0;
+  
+  if (length < 126) {
+    header.push(maskBit | length);
+  } else if (length < 65536) {
+    header.push(maskBit | 126, length >> 8, length & 0xFF);
+  } else {
+    header.push(maskBit | 127, 0, 0, 0, 0, (length >>> 24) & 0xFF, (length >> 16) & 0xFF, (length >> 8) & 0xFF, length & 0xFF);
+  }
+  
+  if (!masked) {
+    return Buffer.concat([Buffer.from(header), payload]);
+  }
+  
+  const mask = crypto.randomBytes(4);
+  const body = Buffer.from(payload.map((byte, index) => byte ^ mask[index % 4]));
+  return Buffer.concat([Buffer.from(header), mask, body]);
+}
+
+/**
+ * Read the complete frames at the start of a buffer
+ * @param {Buffer} buffer - Received bytes
+ * @returns {Object} { frames: [{ opcode, payload }], rest } (rest: bytes of an incomplete frame)
+ */
+function decodeFrames(buffer) {
+  const frames = [];
+  let offset = 0;
+  
+  while (buffer.length - offset >= 2) {
+    const opcode = buffer[offset] & 0x0F;
+    const masked = Boolean(buffer[offset + 1] & 0x80);
+    let length = buffer[offset + 1] & 0x7F;
+    let position = offset + 2;
+    
+    if (length === 126) {
+      if (buffer.length < position + 2) break;
+      length = buffer.readUInt16BE(position);
+      position += 2;
+    } else if (length === 127) {
+      if (buffer.length < position + 8) break;
+      length = Number(buffer.readBigUInt64BE(position));
+      position += 8;
+    }
+    
+    const maskLength = masked ? 4 : 0;
+    if (buffer.length < position + maskLength + length) break;
+    
+    const mask = masked ? buffer.slice(position, position + 4) : null;
+    position += maskLength;
+    
+    const payload = Buffer.from(buffer.slice(position, position + length));
+    if (mask) {
+      for (let i = 0; i < payload.length; i++) {
+        payload[i] ^= mask[i % 4];
+      }
+    }
+    
+    frames.push({ opcode, payload });
+    offset = position + length;
+  }
+  
+  return { frames, rest: buffer.slice(offset) };
+}
+
+/* ============================================================
+   CONNECTION
+   ============================================================ */
+
+/**
+ * One end of an open WebSocket
+ * Emits 'message' (text), and 'close' (code) once.
+ */
+class WebSocketConnection extends EventEmitter {
+  /**
+   * @param {net.Socket} socket - Upgraded TCP socket
+   * @param {boolean} masked - Whether frames we send are masked (client side)
+   */
+  constructor(socket, masked) {
+    super();
+    this.socket = socket;
+    this.masked = masked;
+    this.closed = false;
+    this.buffer = Buffer.alloc(0);
+    
+    socket.on('data', data => this.receive(data));
+    socket.on('close', () => this.finish(1006));
+    socket.on('error', () => this.finish(1006));
+  }
+  
+  /**
+   * Handle received bytes
+   * @param {Buffer} data
+   */
+  receive(data) {
+    const { frames, rest } = decodeFrames(Buffer.concat([this.buffer, data]));
+    this.buffer = rest;
+    
+    frames.forEach(({ opcode, payload }) => {
+      if (opcode === OPCODES.TEXT) {
+        this.emit('message', payload.toString('utf8'));
+      } else if (opcode === OPCODES.PING) {
+        this.write(OPCODES.PONG, payload);
+      } else if (opcode === OPCODES.CLOSE) {
+        const code = payload.length >= 2 ? payload.readUInt16BE(0) : 1005;
+        this.close(code);
+        this.finish(code);
+      }
+    });
+  }
+  
+  /**
+   * Write a frame if the connection is open
+   * @param {number} opcode
+   * @param {Buffer} payload
+   */
+  write(opcode, payload) {
+    if (!this.closed && !this.socket.destroyed) {
+      this.socket.write(encodeFrame(opcode, payload, this.masked));
+    }
+  }
+  
+  /**
+   * Send a text message
+   * @param {string} text
+   */
+  send(text) {
+    this.write(OPCODES.TEXT, Buffer.from(String(text), 'utf8'));
+  }
+  
+  /**
+   * Send a close frame and end the connection
+   * @param {number} code - Close code (default: 1000)
+   */
+  close(code = 1000) {
+    if (this.closed) return;
+    
+    const payload = Buffer.alloc(2);
+    payload.writeUInt16BE(code);
+    this.write(OPCODES.CLOSE, payload);
+    this.socket.end();
+    this.finish(code);
+  }
+  
+  /**
+   * Drop the connection without a close frame (like a network failure)
+   */
+  terminate() {
+    this.socket.destroy();
+    this.finish(1006);
+  }
+  
+  /**
+   * Mark the connection closed and emit 'close' once
+   * @param {number} code
+   */
+  finish(code) {
+    if (this.closed) return;
+    this.closed = true;
+    this.emit('close', code);
+  }
+}
+
+/* ============================================================
+   SERVER
+   ============================================================ */
+
+/**
+ * Start a WebSocket server
+ * @param {Object} options
+ * @param {number} options.port - Port to listen on (0 = any free port)
+ * @param {Function} options.onConnection - Called with (connection, request) for each new socket
+ * @returns {Promise<Object>} { port, url, close() }
+ */
+function createWebSocketServer({ port = 0, onConnection }) {
+  const sockets = new Set();
+  const server = http.createServer((request, response) => {
+    response.writeHead(426, { 'Content-Type': 'text/plain' });
+    response.end('WebSocket connections only');
+  });
+  
+  server.on('upgrade', (request, socket) => {
+    const key = request.headers['sec-websocket-key'];
+    if (!key) {
+      socket.destroy();
+      return;
+    }
+    
+    socket.write([
+      'HTTP/1.1 101 Switching Protocols',
+      'Upgrade: websocket',
+      'Connection: Upgrade',
+      `Sec-WebSocket-Accept: ${getAcceptKey(key)}`,
+      '',
+      ''
+    ].join('\r\n'));
+    
+    sockets.add(socket);
+    socket.on('close', () => sockets.delete(socket));
+    onConnection(new WebSocketConnection(socket, false), request);
+  });
+  
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, '127.0.0.1', () => {
+      const actualPort = server.address().port;
+      resolve({
+        port: actualPort,
+        url: `ws://127.0.0.1:${actualPort}`,
+        close: () => new Promise(done => {
+          sockets.forEach(socket => socket.destroy());
+          server.close(() => done());
+        })
+      });
+    });
+  });
+}
+
+/* ============================================================
+   CLIENT (browser WebSocket API)
+   ============================================================ */
+
+/**
+ * WebSocket client with the browser API (onopen, onmessage, onclose, onerror, send, close, readyState),
+ * so the overlay's connectors can run under Node against the mock servers
+ */
+class WebSocketClient {
+  /**
+   * @param {string} url - ws:// URL
+   */
+  constructor(url) {
+    this.url = url;
+    this.readyState = WebSocketClient.CONNECTING;
+    this.onopen = null;
+    this.onmessage = null;
+    this.onclose = null;
+    this.onerror = null;
+    this.connection = null;
+    
+    const target = new URL(url);
+    const request = http.request({
+      host: target.hostname,
+      port: target.port,
+      path: target.pathname + target.search,
+      headers: {
+        'Connection': 'Upgrade',
+        'Upgrade': 'websocket',
+        'Sec-WebSocket-Version': '13',
+        'Sec-WebSocket-Key': crypto.randomBytes(16).toString('base64')
+      }
+    });
+    
+    request.on('upgrade', (response, socket, head) => {
+      // Closed while connecting
+      if (this.readyState === WebSocketClient.CLOSED) {
+        socket.destroy();
+        return;
+      }
+      
+      this.connection = new WebSocketConnection(socket, true);
+      this.connection.on('message', data => this.onmessage && this.onmessage({ data }));
+      this.connection.on('close', code => this.handleClose(code));
+      this.readyState = WebSocketClient.OPEN;
+      if (this.onopen) this.onopen({});
+      
+      // Frames the server sent along with the handshake response
+      if (head && head.length > 0) {
+        this.connection.receive(head);
+      }
+    });
+    
+    request.on('response', () => this.fail());
+    request.on('error', () => this.fail());
+    request.end();
+  }
+  
+  /**
+   * Report a connection that could not be opened
+   */
+  fail() {
+    if (this.onerror) this.onerror({ type: 'error' });
+    this.handleClose(1006);
+  }
+  
+  /**
+   * Move to CLOSED and call onclose once (asynchronously, as browsers do)
+   * @param {number} code
+   */
+  handleClose(code) {
+    if (this.readyState === WebSocketClient.CLOSED) return;
+    this.readyState = WebSocketClient.CLOSED;
+    setImmediate(() => this.onclose && this.onclose({ code }));
+  }
+  
+  /**
+   * Send a text message
+   * @param {string} data
+   */
+  send(data) {
+    if (this.readyState !== WebSocketClient.OPEN) {
+      throw new Error('WebSocket is not open');
+    }
+    this.connection.send(data);
+  }
+  
+  /**
+   * Close the socket
+   * @param {number} code - Close code (default: 1000)
+   */
+  close(code = 1000) {
+    if (this.connection) {
+      this.readyState = WebSocketClient.CLOSING;
+      this.connection.close(code);
+    } else {
+      this.handleClose(code);
+    }
+  }
+}
+
+WebSocketClient.CONNECTING = 0;
+WebSocketClient.OPEN = 1;
+WebSocketClient.CLOSING = 2;
+WebSocketClient.CLOSED = 3;
+
+module.exports = {
+  createWebSocketServer,
+  WebSocketClient,
+  encodeFrame,
+  decodeFrames
+};